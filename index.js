@@ -1,5 +1,34 @@
-const { Transform } = require('stream');
-const Iconv = require('iconv-lite');
+const { Transform, PassThrough } = require('stream');
+const fs = require('fs');
+const Features = require('./lib/features');
+const { parseHeader, convertToRecord, hasEnoughBytesForHeader } = require('./lib/parser');
+const {
+  validateOffset,
+  validateSize,
+  validateDeleted,
+  validateStrict,
+  validateFields,
+  validateFilter,
+  validateConverters,
+  converterFieldTypes,
+  validateNumeric,
+  validateEncoding,
+  validateCpg,
+  validateRecordCount,
+  validateFileSize,
+  validateMemo,
+  closeMemo,
+  resolveHeader
+} = require('./lib/options');
+const {
+  DbfError,
+  DbfHeaderError,
+  DbfFieldDescriptorError,
+  DbfRecordError,
+  DbfMemoError,
+  DbfShapeError,
+  DbfIndexError
+} = require('./lib/errors');
 
 class YADBF extends Transform {
   constructor(options = {}) {
@@ -12,6 +41,15 @@ class YADBF extends Transform {
     this.size = validateSize(options.size);
     this.includeDeletedRecords = validateDeleted(options.deleted);
     this.encoding = validateEncoding(options.encoding);
+    this.strict = validateStrict(options.strict);
+    this.fields = validateFields(options.fields);
+    this.filter = validateFilter(options.filter);
+    this.converters = validateConverters(options.converters);
+    this.numeric = validateNumeric(options.numeric);
+    this.recordCountMode = validateRecordCount(options.recordCount, options.fileSize);
+    this.fileSize = validateFileSize(options.fileSize, this.recordCountMode);
+    this.cpgEncoding = validateCpg(options.cpg);
+    this.memoReader = validateMemo(options.memo);
 
     // keep track of how many records have been made readable (used for end-of-stream detection)
     this.totalRecordCount = 0;
@@ -24,12 +62,23 @@ class YADBF extends Transform {
     if (!this.header) {
       const numberOfBytes = this.unconsumedBytes ? this.unconsumedBytes.length : 0;
 
-      this.destroy(`Unable to parse first 32 bytes from header, found ${numberOfBytes} byte(s)`);
+      this.destroy(new DbfHeaderError(`Unable to parse first 32 bytes from header, found ${numberOfBytes} byte(s)`, {
+        code: 'ERR_INSUFFICIENT_HEADER_BYTES',
+        offset: numberOfBytes
+      }));
     }
 
+    closeMemo(this.memoReader);
+
     return callback();
   }
 
+  _destroy(err, callback) {
+    closeMemo(this.memoReader);
+
+    callback(err);
+  }
+
   _transform(chunk, encoding, callback) {
     // append the chunk to unconsumed bytes for easier bookkeeping
     this.unconsumedBytes = Buffer.concat( [this.unconsumedBytes, chunk] );
@@ -44,7 +93,9 @@ class YADBF extends Transform {
 
       // otherwise, attempt to parse the header
       try {
-        this.header = parseHeader(this.unconsumedBytes);
+        this.header = parseHeader(this.unconsumedBytes, converterFieldTypes(this.converters));
+
+        resolveHeader(this, warning => this.emit('warning', warning));
 
         // emit the header for outside consumption
         this.emit('header', this.header);
@@ -64,10 +115,21 @@ class YADBF extends Transform {
       const recordSizedChunk = this.unconsumedBytes.slice(0, this.header.numberOfBytesInRecord);
 
       try {
-        const record = convertToRecord(recordSizedChunk, this.header, this.encoding);
-
-        // only push if it's eligble for output and within the pagination params
-        if (isEligibleForOutput(record, this.includeDeletedRecords)) {
+        const record = convertToRecord(recordSizedChunk, this.header, {
+          encoding: this.encoding,
+          memo: this.memo,
+          recordNumber: this.totalRecordCount,
+          strict: this.strict,
+          fields: this.fields,
+          converters: this.converters,
+          numeric: this.numeric,
+          warn: warning => this.emit('warning', warning)
+        });
+
+        // only push if it's eligble for output, passes the filter, and is within the pagination params
+        //  (records that couldn't be converted in lenient mode are skipped)
+        if (record && isEligibleForOutput(record, this.includeDeletedRecords) &&
+            passesFilter(record, this.filter, this.totalRecordCount)) {
           if (isWithinPage(this.eligibleRecordCount, this.offset, this.size)) {
             this.push(record);
           }
@@ -92,9 +154,18 @@ class YADBF extends Transform {
     // if all the records have been emitted, proceed with shutdown
     if (allRecordsHaveBeenProcessed(this.header.numberOfRecords, this.totalRecordCount) &&
         aSingleByteRemains(this.unconsumedBytes)) {
-      // throw an error if the last byte isn't the expected EOF marker
+      // throw an error (or warn in lenient mode) if the last byte isn't the expected EOF marker
       if (!firstByteIsEOFMarker(this.unconsumedBytes)) {
-        this.destroy('Last byte of file is not end-of-file marker');
+        const err = new DbfRecordError('Last byte of file is not end-of-file marker', {
+          code: 'ERR_MISSING_EOF_MARKER',
+          offset: this.header.numberOfHeaderBytes + this.totalRecordCount * this.header.numberOfBytesInRecord
+        });
+
+        if (this.strict) {
+          this.destroy(err);
+        } else {
+          this.emit('warning', err);
+        }
       }
 
       // otherwise clear up unconsumedBytes and signal end-of-stream
@@ -107,64 +178,6 @@ class YADBF extends Transform {
 
 }
 
-// see: https://github.com/infused/dbf/blob/master/lib/dbf/table.rb
-const supportedVersions = new Set([
-  0x03, // FoxBASE+/Dbase III plus, no memo
-  0x83, // FoxBASE+/dBASE III PLUS, with memo
-  0xF5, // FoxPro 2.x (or earlier) with memo
-  0x8B, // dBASE IV with memo
-  0x8E  // ?
-]);
-const supportedFieldTypes = new Set(['C', 'D', 'F', 'L', 'M', 'N']);
-const truthyValues = new Set(['Y', 'y', 'T', 't']);
-const falseyValues = new Set(['N', 'n', 'F', 'f']);
-
-// valid M-type value regex (10 digits or 10 spaces)
-const validMTypeValueRegex = /^(\d{10}| {10})$/;
-
-// type handlers keyed by the single character type designator
-const typeHandlers = {
-  D(value) {
-    return new Date(
-        value.substr(0, 4)
-        + '-'
-        + value.substr(4, 2)
-        + '-'
-        + value.substr(6, 2)
-    );
-  },
-  L(value) {
-    if (truthyValues.has(value)) {
-      return true;
-    } else if (falseyValues.has(value)) {
-      return false;
-    } else if (value !== '?' && value !== ' ') { // '?' or ' ' means undefined
-      throw new Error(`Invalid L-type field value: ${value}`);
-    }
-  },
-  F(value) {
-    return parseFloat(value);
-  },
-  N(value) {
-    return parseFloat(value);
-  },
-  C(value) {
-    return value.replace(/[\u0000 ]+$/, '');
-  },
-  M(value) {
-    if (!validMTypeValueRegex.test(value)) {
-      throw new Error(`Invalid M-type field value: '${value}'`);
-    } else {
-      return value;
-    }
-  }
-};
-
-// returns true if enough bytes have been read to parse the entire header
-function hasEnoughBytesForHeader(chunk) {
-  return chunk.length >= 32 && chunk.length >= chunk.readUInt16LE(8);
-}
-
 // returns true if enough bytes have been read to parse a record
 function hasEnoughBytesForRecord(chunk, header) {
   return chunk.length >= header.numberOfBytesInRecord;
@@ -180,6 +193,20 @@ function isEligibleForOutput(record, includeDeletedRecords) {
   return !record['@meta'].deleted || !!includeDeletedRecords;
 }
 
+// returns true if there's no filter or the filter returns a truthy value for the record,
+//  errors thrown by the filter are given the 0-based position of the record in the file
+function passesFilter(record, filter, recordIndex) {
+  if (!filter) {
+    return true;
+  }
+
+  try {
+    return !!filter(record);
+  } catch (err) {
+    throw Object.assign(err instanceof Error ? err : new Error(String(err)), { recordIndex: recordIndex });
+  }
+}
+
 // returns true if count is within the page size/offset combination
 function isWithinPage(count, offset, size) {
   return count >= offset && count < offset + size;
@@ -200,206 +227,159 @@ function firstByteIsEOFMarker(unconsumedBytes) {
   return unconsumedBytes.readUInt8(0) === 0x1A;
 }
 
-// convert the buffer to a header object
-function parseHeader(buffer) {
-  const versionByte = buffer.readUInt8(0);
-  if (!supportedVersions.has(versionByte)) {
-    throw new Error(`Unsupported version: ${versionByte}`);
+// returns a stream of the bytes in `source`, a .dbf file path, Buffer, or readable stream
+function createSourceStream(source) {
+  if (typeof source === 'string') {
+    return fs.createReadStream(source);
   }
-
-  const numberOfHeaderBytes = buffer.readUInt16LE(8);
-  // the number of header bytes should be 1 when modded with 32
-  if (numberOfHeaderBytes % 32 !== 1) {
-    throw new Error(`Invalid number of header bytes: ${numberOfHeaderBytes}`);
+  if (Buffer.isBuffer(source)) {
+    const stream = new PassThrough();
+    stream.end(source);
+    return stream;
   }
-
-  // there are 32 bytes per header field + 1 byte for terminator + 32 bytes for the initial header
-  const numberOfFields = (numberOfHeaderBytes-32-1)/32;
-
-  const fieldBytes = buffer.slice(32, numberOfHeaderBytes);
-  // emit an error if the header bytes does not end with 0x0D (per spec)
-  if (fieldBytes.readUInt8(numberOfHeaderBytes-32-1) !== 0x0D) {
-    throw new Error(`Invalid field descriptor array terminator at byte ${numberOfHeaderBytes}`);
+  if (source !== null && typeof source === 'object' && typeof source.pipe === 'function') {
+    return source;
   }
 
-  const encryptionByte = buffer.readUInt8(15);
-  // if the source is encrypted, then emit an error
-  if (encryptionByte === 1) {
-    throw new Error('Encryption flag is set, cannot process');
-  }
-  // valid values for the encryption byte are 0x00 and 0x01, emit an error otherwise
-  if (encryptionByte > 1) {
-    throw new Error(`Invalid encryption flag value: ${encryptionByte}`);
-  }
-
-  const hasProductionMDXFile = buffer.readUInt8(28);
-  // production MDX file existence value must be 0x01 or 0x02 (per spec)
-  if (hasProductionMDXFile > 1) {
-    throw new Error(`Invalid production MDX file existence value: ${hasProductionMDXFile}`);
-  }
-
-  // construct and return the header
-  const header = {
-    version: versionByte,
-    dateOfLastUpdate: new Date(
-      1900 + buffer.readUInt8(1),
-      buffer.readUInt8(2) - 1,
-      buffer.readUInt8(3)
-    ),
-    numberOfRecords: buffer.readInt32LE(4),
-    numberOfHeaderBytes: numberOfHeaderBytes,
-    numberOfBytesInRecord: buffer.readInt16LE(10),
-    hasProductionMDXFile: hasProductionMDXFile,
-    langaugeDriverId: buffer.readUInt8(29),
-    fields: Array.from( {length: numberOfFields }, parseHeaderField.bind(null, fieldBytes))
-  };
-
-  // if there are any duplicate field names, throw an error
-  header.fields.reduce((allFieldNames, field) => {
-    if (allFieldNames.has(field.name)) {
-      throw new Error(`Duplicate field name '${field.name}'`);
-    }
-    return allFieldNames.add(field.name);
-  }, new Set());
-
-  return header;
+  throw new Error('source must be a path, Buffer, or readable stream');
 }
 
-// parses up 32 bytes from `fieldBytes` into a valid field definition
-function parseHeaderField(fieldBytes, val, i) {
-  const field = fieldBytes.slice(i*32, i*32+32);
+// pipes `source` through a new YADBF created with `options`, errors reading `source` are emitted by the returned stream
+function parse(source, options = {}) {
+  return pipeSource(source, new YADBF(withFileSize(source, options)));
+}
 
-  // extract the field length from the 16th byte
-  const length = field.readUInt8(16);
-  if (length === 255) {
-    throw new Error('Field length must be less than 255');
+// returns `options` with the size of `source` as the `fileSize` option when it's a path and the number of records
+//  is checked against or inferred from the file size, unless the file size was supplied
+function withFileSize(source, options) {
+  if (typeof source !== 'string' || options.fileSize !== undefined || validateRecordCount(options.recordCount) === 'header') {
+    return options;
   }
 
-  // extract the field type from the 11th byte
-  const type = field.toString('utf-8', 11, 12);
-  if (!supportedFieldTypes.has(type)) {
-    throw new Error(`Field type must be one of: ${Array.from(supportedFieldTypes).join(', ')}`);
-  }
+  return Object.assign({}, options, { fileSize: fs.statSync(source).size });
+}
 
-  // validate that certain types have expected lengths
-  if (type === 'D' && length !== 8) {
-    throw new Error(`Invalid D (date) field length: ${length}`);
-  }
-  if (type === 'L' && length !== 1) {
-    throw new Error(`Invalid L (logical) field length: ${length}`);
-  }
-  if (type === 'M' && length !== 10) {
-    throw new Error(`Invalid M (memo) field length: ${length}`);
-  }
+// pipes `source` (a path, Buffer, or readable stream) through `parser`, errors reading `source` are emitted by `parser`
+function pipeSource(source, parser) {
+  const sourceStream = createSourceStream(source);
 
-  // i have no idea what this is, but read it anyway since it might be of use
-  const isIndexedInMDXFile = field.readUInt8(31);
-  if (isIndexedInMDXFile > 1) {
-    throw new Error(`Invalid indexed in production MDX file value: ${isIndexedInMDXFile}`);
+  sourceStream.on('error', err => parser.destroy(err));
+
+  // stop reading a file once parsing stops early, such as when breaking out of a `for await` loop
+  if (sourceStream !== source) {
+    parser.on('close', () => sourceStream.destroy());
   }
 
-  // return an object representing the field definition
-  return {
-    name: field.toString('utf-8', 0, 10).replace(/\0/g, ''),
-    type: type,
-    length: length,
-    precision: field.readUInt8(17),
-    workAreaId: field.readUInt16LE(18),
-    isIndexedInMDXFile: isIndexedInMDXFile === 1
-  };
+  return sourceStream.pipe(parser);
 }
 
-// converts a record-sized chunk into an object based on the metadata available in `header`
-function convertToRecord(chunk, header, encoding) {
-  const record = {
-    '@meta': {
-      deleted: isDeleted(chunk)
-    }
-  };
+// reads all of `source` (a .dbf file path, Buffer, or readable stream), resolving to the header and records
+function read(source, options) {
+  return new Promise((resolve, reject) => {
+    const result = { records: [] };
 
-  // keep track of how far we're into the record byte-wise
-  // start at 1 since the 0th byte is the deleted flag
-  let byteOffset = 1;
+    parse(source, options)
+      .on('header', header => result.header = header)
+      .on('data', record => result.records.push(record))
+      .on('error', reject)
+      .on('end', () => resolve(result));
+  });
+}
 
-  header.fields.forEach(field => {
-    // read the value out with given encoding
-    const value = Iconv.decode(chunk.slice(byteOffset, byteOffset+field.length), encoding);
+// yields each record in `source` (a .dbf file path, Buffer, or readable stream) for use with `for await`
+async function* records(source, options) {
+  for await (const record of parse(source, options)) {
+    yield record;
+  }
+}
 
-    // assign the field into the record
-    record[field.name] = typeHandlers[field.type](value);
+// streams GeoJSON features pairing the geometry of each record in `shpSource` with the record at the same position
+//  in `dbfSource` (each a path, Buffer, or readable stream), reading the .dbf file with `options`
+function features(shpSource, dbfSource, options = {}) {
+  // skipping .dbf records would pair them with the wrong geometry
+  if (options.offset !== undefined || options.size !== undefined || options.filter !== undefined) {
+    throw new Error('offset, size, and filter are not supported for features');
+  }
 
-    // update where the next field starts
-    byteOffset += field.length;
+  const includeDeletedRecords = validateDeleted(options.deleted);
 
-  });
+  const records = parse(dbfSource, Object.assign({}, options, { deleted: true }));
+  const shapes = pipeSource(shpSource, new YADBF.Shapefile());
 
-  return record;
+  return new Features(shapes, records, includeDeletedRecords);
 }
 
-// determines if the first byte of a chunk is a valid deleted flag, or throws an error otherwise
-function isDeleted(chunk) {
-  const firstByte = chunk.readUInt8(0, 1);
+// resolves to the statistics of the records in `source` (a .dbf file path, Buffer, or readable stream) and each of their
+//  fields, reading the whole file with `options`, deleted records are counted but not profiled unless `deleted` is true
+function profile(source, options = {}) {
+  return new Promise((resolve, reject) => {
+    // statistics of only some of the records would misrepresent the file
+    if (options.offset !== undefined || options.size !== undefined || options.filter !== undefined) {
+      throw new Error('offset, size, and filter are not supported for profile');
+    }
 
-  if (firstByte === 0x20) { // ' '
-    return false;
-  }
-  if (firstByte === 0x2A) { // '*'
-    return true;
-  }
+    const profiler = new YADBF.Profile({ deleted: options.deleted, distinctLimit: options.distinctLimit });
 
-  throw new Error(`Invalid deleted record value: ${String.fromCharCode(firstByte)}`);
+    // deleted records are always read so that they can be counted
+    parse(source, Object.assign({}, options, { deleted: true }))
+      .on('error', reject)
+      .pipe(profiler)
+      .on('error', reject)
+      .on('finish', () => resolve(profiler.report()));
+  });
 }
 
-// validates that `offset` is a non-negative integer, defaulting to `Infinity` if not supplied
-function validateOffset(offset) {
-  if (offset === undefined) {
-    return 0;
-  }
-
-  if (offset < 0 || !Number.isInteger(offset)) {
-    throw new Error('offset must be a non-negative integer');
-  }
+// resolves to a report of every problem found in `source` (a .dbf file path, Buffer, or readable stream) instead of
+//  stopping at the first, rejecting only if `source` can't be read
+function validate(source, options) {
+  return new Promise((resolve, reject) => {
+    const validator = new YADBF.Validator(options);
 
-  return offset;
+    pipeSource(source, validator)
+      .on('error', reject)
+      .on('finish', () => resolve(validator.report()));
+  });
 }
 
-// validates that `size` is a non-negative integer, defaulting to `Infinity` if not supplied
-function validateSize(size) {
-  if (size === undefined) {
-    return Infinity;
-  }
+YADBF.read = read;
+YADBF.records = records;
+YADBF.features = features;
+YADBF.profile = profile;
+YADBF.validate = validate;
 
-  if (size < 0 || !Number.isInteger(size)) {
-    throw new Error('size must be a non-negative integer');
-  }
+// writable counterpart that turns records back into a .dbf file
+YADBF.Writer = require('./lib/writer');
 
-  return size;
-}
+// random-access counterpart that reads records by position without streaming the file from the start
+YADBF.Table = require('./lib/table');
+YADBF.open = (path, options) => new YADBF.Table(path, options);
 
-// validates that `deleted` is a boolean, defaulting to `false` if not supplied
-function validateDeleted(deleted) {
-  if (deleted === undefined) {
-    return false;
-  }
+// .ndx, .mdx, and .cdx index readers that resolve keys to record positions for use with a Table
+YADBF.Index = require('./lib/indexes');
+YADBF.openIndex = (source, options) => new YADBF.Index(source, options);
 
-  if (deleted !== true && deleted !== false) {
-    throw new Error('deleted must be a boolean');
-  }
+// descriptions of the records for a header as a JSON Schema, TypeScript interface, or CREATE TABLE statement
+YADBF.schema = require('./lib/schema');
 
-  return deleted;
-}
+// transform that turns records into CSV text, piped after a YADBF
+YADBF.CSV = require('./lib/csv');
+YADBF.toCSV = options => new YADBF.CSV(options);
 
-// validates that `encoding` exists
-function validateEncoding(encoding) {
-  if (encoding === undefined) {
-    return 'utf-8';
-  }
+// writable that checks the bytes of a .dbf file, collecting every problem found
+YADBF.Validator = require('./lib/validator');
 
-  if (!Iconv.encodingExists(encoding)) {
-    throw new Error(`encoding not recognized: '${encoding}'`);
-  }
+// writable that accumulates statistics of each field, piped after a YADBF
+YADBF.Profile = require('./lib/profile');
 
-  return encoding;
-}
+// transform that turns the geometry of a .shp file into GeoJSON features
+YADBF.Shapefile = require('./lib/shapefile');
+
+YADBF.DbfError = DbfError;
+YADBF.DbfHeaderError = DbfHeaderError;
+YADBF.DbfFieldDescriptorError = DbfFieldDescriptorError;
+YADBF.DbfRecordError = DbfRecordError;
+YADBF.DbfMemoError = DbfMemoError;
+YADBF.DbfShapeError = DbfShapeError;
+YADBF.DbfIndexError = DbfIndexError;
 
 module.exports = YADBF;
@@ -0,0 +1,380 @@
+const fs = require('fs');
+const YADBF = require('..');
+const path = require('path');
+const codePages = require('./code-pages');
+const schemaFormats = require('./schema');
+
+const usage = `Usage: yadbf <command> [options] [file]
+
+Reads the .dbf file from standard input when no file (or -) is given.
+
+Commands:
+  info       print the version, number of records, date of last update, and language driver
+  schema     print the fields, or the records they describe in another format
+  dump       print the records as newline-delimited JSON
+  validate   exit with an error message if the file can't be parsed, or for every problem found
+             in the file with --all
+  stats      print the number of deleted records and the nulls, blanks, distinct values, range,
+             and longest value of each field
+
+Options for schema:
+  --format <name>      text, json-schema, typescript, postgresql, or sqlite (default: text)
+  --table <name>       table name for postgresql and sqlite (default: the file name)
+
+Options for dump:
+  --offset <n>         number of records to skip
+  --size <n>           number of records to print
+  --deleted            include records flagged as deleted
+  --encoding <name>    encoding used to decode values, or auto
+
+Options for validate:
+  --encoding <name>    encoding used to decode values, or auto
+  --all                check the entire file and print every problem found, including problems the
+                       parser accepts (such as a stale record count)
+  --json               print a report of every problem as JSON (implies --all)
+
+Options for stats:
+  --deleted            include records flagged as deleted in the field statistics
+  --encoding <name>    encoding used to decode values, or auto
+`;
+
+// names of the table versions, for display
+const versionNames = new Map([
+  [0x03, 'FoxBASE+/dBASE III PLUS, no memo'],
+  [0x83, 'FoxBASE+/dBASE III PLUS, with memo'],
+  [0xF5, 'FoxPro 2.x (or earlier) with memo'],
+  [0x8B, 'dBASE IV with memo'],
+  [0x8E, 'dBASE IV with SQL table'],
+  [0x30, 'Visual FoxPro'],
+  [0x31, 'Visual FoxPro, autoincrement enabled'],
+  [0x32, 'Visual FoxPro, varchar/varbinary enabled'],
+  [0x04, 'dBASE 7, no memo'],
+  [0x8C, 'dBASE 7, with memo']
+]);
+
+// options that take a value, keyed by name and converted from the command-line string (and option name)
+const valueOptions = {
+  offset: parseCount,
+  size: parseCount,
+  encoding: String,
+  format: validateFormat,
+  table: String
+};
+
+// options that don't take a value
+const flagOptions = new Set(['deleted', 'all', 'json']);
+
+// commands keyed by name, each with the options it supports and a function that runs it
+const commands = {
+  info: { options: [], run: info },
+  schema: { options: ['format', 'table'], run: schema },
+  dump: { options: ['offset', 'size', 'deleted', 'encoding'], run: dump },
+  validate: { options: ['encoding', 'all', 'json'], run: validate },
+  stats: { options: ['deleted', 'encoding'], run: stats }
+};
+
+// error for invalid command-line arguments, reported with the usage
+class UsageError extends Error {}
+
+// runs the command in `args` (the command-line arguments after `yadbf`) using the `stdin`, `stdout`,
+//  and `stderr` streams of `io`, resolving to the exit code (commands may resolve to an exit code other than 0)
+function run(args, io) {
+  let parsed;
+
+  try {
+    parsed = parseArguments(args);
+  } catch (err) {
+    io.stderr.write(`${err.message}\n\n${usage}`);
+    return Promise.resolve(2);
+  }
+
+  if (parsed.help) {
+    io.stdout.write(usage);
+    return Promise.resolve(0);
+  }
+
+  // the file is read from standard input when no file (or -) is given
+  const source = parsed.file === undefined || parsed.file === '-' ? io.stdin : parsed.file;
+
+  return Promise.resolve()
+    .then(() => commands[parsed.command].run(source, parsed.options, io))
+    .then(code => code === undefined ? 0 : code, err => {
+      io.stderr.write(`${err.message}\n`);
+      return 1;
+    });
+}
+
+// returns `value` of the option `name` as a number, which must be a non-negative integer
+function parseCount(value, name) {
+  if (!/^\d+$/.test(value)) {
+    throw new UsageError(`Invalid value for --${name}: ${value}`);
+  }
+
+  return Number(value);
+}
+
+// validates that `format` is the name of a schema format
+function validateFormat(format) {
+  if (format !== 'text' && !Object.prototype.hasOwnProperty.call(formats, format)) {
+    throw new UsageError(`Unknown format: ${format}`);
+  }
+
+  return format;
+}
+
+// returns the command, options, and file named in `args`
+function parseArguments(args) {
+  if (args.length === 0 || args[0] === '--help' || args[0] === '-h' || args[0] === 'help') {
+    return { help: true };
+  }
+
+  const command = args[0];
+  if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  const options = {};
+  const files = [];
+
+  for (let i = 1; i < args.length; i += 1) {
+    const arg = args[i];
+
+    if (!arg.startsWith('--')) {
+      files.push(arg);
+      continue;
+    }
+
+    // options may be given as `--name value` or `--name=value`
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/);
+
+    if (!commands[command].options.includes(name)) {
+      throw new UsageError(`Unknown option for ${command}: --${name}`);
+    }
+
+    if (flagOptions.has(name)) {
+      options[name] = true;
+    } else if (inlineValue !== undefined) {
+      options[name] = valueOptions[name](inlineValue, name);
+    } else if (i + 1 < args.length) {
+      options[name] = valueOptions[name](args[i + 1], name);
+      i += 1;
+    } else {
+      throw new UsageError(`Missing value for --${name}`);
+    }
+  }
+
+  if (files.length > 1) {
+    throw new UsageError('Only one file may be given');
+  }
+
+  return { command: command, options: options, file: files[0] };
+}
+
+// resolves to the header of `source` (a path or readable stream) without reading the records
+function readHeader(source) {
+  return new Promise((resolve, reject) => {
+    const input = typeof source === 'string' ? fs.createReadStream(source) : source;
+    const parser = new YADBF();
+
+    input.on('error', reject);
+
+    input.pipe(parser)
+      .on('error', reject)
+      .on('header', header => {
+        // the rest of the file isn't needed
+        input.unpipe(parser);
+        if (input !== source) {
+          input.destroy();
+        }
+
+        resolve(header);
+      });
+  });
+}
+
+// returns a hex representation of a byte, such as 0x03
+function hex(byte) {
+  return `0x${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+}
+
+// returns the local YYYY-MM-DD representation of a date
+function formatDate(date) {
+  return String(date.getFullYear()).padStart(4, '0') +
+    '-' + String(date.getMonth() + 1).padStart(2, '0') +
+    '-' + String(date.getDate()).padStart(2, '0');
+}
+
+// prints the version, number of records, date of last update, and language driver
+function info(source, options, io) {
+  return readHeader(source).then(header => {
+    const codePage = header.langaugeDriverId === 0 ?
+      'not set' :
+      codePages.fromLanguageDriverId(header.langaugeDriverId) || 'unknown code page';
+
+    // dBASE 7 also names the language driver
+    const languageDriver = `${hex(header.langaugeDriverId)} (${codePage})` +
+      (header.languageDriverName ? ` ${header.languageDriverName}` : '');
+
+    io.stdout.write([
+      `version: ${hex(header.version)} (${versionNames.get(header.version)})`,
+      `records: ${header.numberOfRecords}`,
+      `last update: ${formatDate(header.dateOfLastUpdate)}`,
+      `language driver: ${languageDriver}`,
+      `header bytes: ${header.numberOfHeaderBytes}`,
+      `record bytes: ${header.numberOfBytesInRecord}`,
+      `fields: ${header.fields.length}`
+    ].map(line => `${line}\n`).join(''));
+  });
+}
+
+// schema formats other than text keyed by name, each returns the text for a header and the command options
+const formats = {
+  'json-schema': header => `${JSON.stringify(schemaFormats.toJSONSchema(header), null, 2)}\n`,
+  typescript: header => schemaFormats.toTypeScript(header),
+  postgresql: (header, options) => schemaFormats.toSQL(header, { dialect: 'postgresql', table: options.table }),
+  sqlite: (header, options) => schemaFormats.toSQL(header, { dialect: 'sqlite', table: options.table })
+};
+
+// prints the name, type, length, and precision of each field as aligned columns, or the fields in `options.format`
+function schema(source, options, io) {
+  const format = options.format === undefined ? 'text' : options.format;
+
+  // the table is named after the file unless reading from standard input
+  const table = options.table || (typeof source === 'string' ? path.basename(source, path.extname(source)) : undefined);
+
+  return readHeader(source).then(header => {
+    if (format !== 'text') {
+      io.stdout.write(formats[format](header, { table: table }));
+      return;
+    }
+
+    const rows = [['name', 'type', 'length', 'precision']].concat(
+      header.fields.map(field => [field.name, field.type, String(field.length), String(field.precision)])
+    );
+
+    const widths = rows[0].map((val, i) => Math.max(...rows.map(row => row[i].length)));
+
+    io.stdout.write(rows.map(row => `${row.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd()}\n`).join(''));
+  });
+}
+
+// prints each record as a line of JSON, reading stops once the output is closed (such as when piped to `head`),
+//  which isn't an error
+async function dump(source, options, io) {
+  let outputError;
+
+  // the listener is left in place so that errors from writes still pending when reading stops aren't thrown
+  //  writes made after the output is destroyed fail with ERR_STREAM_DESTROYED, which older versions of node emit
+  //  before the error that destroyed it, so only the first error that isn't one of those is kept
+  io.stdout.on('error', err => {
+    if (!outputError && err.code !== 'ERR_STREAM_DESTROYED') {
+      outputError = err;
+    }
+  });
+
+  for await (const record of YADBF.records(source, options)) {
+    // wait for the output to drain so large files aren't buffered in memory
+    if (!io.stdout.write(`${JSON.stringify(record)}\n`)) {
+      await drained(io.stdout);
+    }
+
+    if (outputError) {
+      break;
+    }
+  }
+
+  if (outputError && outputError.code !== 'EPIPE') {
+    throw outputError;
+  }
+}
+
+// resolves once `stream` drains or errors
+function drained(stream) {
+  return new Promise(resolve => {
+    const done = () => {
+      stream.removeListener('drain', done);
+      stream.removeListener('error', done);
+      resolve();
+    };
+
+    stream.on('drain', done);
+    stream.on('error', done);
+  });
+}
+
+// parses every record, including deleted records, in strict mode, or with --all (or --json) checks the entire file,
+//  printing the message of every problem found (or the report as JSON) and resolving to 1 if there are any
+async function validate(source, options, io) {
+  if (!options.all && !options.json) {
+    let numberOfRecords = 0;
+
+    for await (const record of YADBF.records(source, { deleted: true, encoding: options.encoding })) {
+      numberOfRecords += 1;
+    }
+
+    io.stdout.write(`valid: ${numberOfRecords} record(s)\n`);
+    return 0;
+  }
+
+  const report = await YADBF.validate(source, { encoding: options.encoding });
+
+  if (options.json) {
+    io.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else if (report.valid) {
+    io.stdout.write(`valid: ${report.recordsChecked} record(s)\n`);
+  } else {
+    io.stderr.write(report.issues.map(issue => `${issue.message}\n`).join(''));
+  }
+
+  return report.valid ? 0 : 1;
+}
+
+// prints the number and share of deleted records, then the statistics of each field as aligned columns
+function stats(source, options, io) {
+  return YADBF.profile(source, options).then(report => {
+    const percentage = (report.deletedShare * 100).toFixed(1);
+
+    const rows = [['name', 'type', 'length', 'nulls', 'blanks', 'distinct', 'min', 'max', 'max length']].concat(
+      Object.keys(report.fields).map(name => {
+        const field = report.fields[name];
+
+        return [
+          name,
+          field.type,
+          String(field.length),
+          String(field.nulls),
+          String(field.blanks),
+          // estimated counts are marked as approximate
+          `${field.distinctIsEstimate ? '~' : ''}${field.distinct}`,
+          formatStatistic(field.min, field.type),
+          formatStatistic(field.max, field.type),
+          formatStatistic(field.maxLength, field.type)
+        ];
+      })
+    );
+
+    const widths = rows[0].map((val, i) => Math.max(...rows.map(row => row[i].length)));
+
+    io.stdout.write(
+      `records: ${report.numberOfRecords}\n` +
+      `deleted: ${report.deletedRecords} (${percentage}%)\n` +
+      rows.map(row => `${row.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd()}\n`).join('')
+    );
+  });
+}
+
+// returns the text of a statistic, D-type dates are printed without a time and missing statistics are blank
+function formatStatistic(value, type) {
+  if (value === null) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return type === 'D' ? value.toISOString().slice(0, 10) : value.toISOString();
+  }
+
+  return String(value);
+}
+
+module.exports = {
+  run
+};
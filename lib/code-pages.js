@@ -0,0 +1,137 @@
+const Iconv = require('iconv-lite');
+const { DbfHeaderError } = require('./errors');
+
+// code pages (as iconv-lite encodings) keyed by the language driver ID found in byte 29 of the header
+// see: https://github.com/infused/dbf/blob/master/lib/dbf/encodings.rb
+const languageDriverCodePages = new Map([
+  [0x01, 'cp437'], // U.S. MS-DOS
+  [0x02, 'cp850'], // International MS-DOS
+  [0x03, 'cp1252'], // Windows ANSI
+  [0x04, 'macroman'], // Standard Macintosh
+  [0x08, 'cp865'], // Danish OEM
+  [0x09, 'cp437'], // Dutch OEM
+  [0x0A, 'cp850'], // Dutch OEM*
+  [0x0B, 'cp437'], // Finnish OEM
+  [0x0D, 'cp437'], // French OEM
+  [0x0E, 'cp850'], // French OEM*
+  [0x0F, 'cp437'], // German OEM
+  [0x10, 'cp850'], // German OEM*
+  [0x11, 'cp437'], // Italian OEM
+  [0x12, 'cp850'], // Italian OEM*
+  [0x13, 'cp932'], // Japanese Shift-JIS
+  [0x14, 'cp850'], // Spanish OEM*
+  [0x15, 'cp437'], // Swedish OEM
+  [0x16, 'cp850'], // Swedish OEM*
+  [0x17, 'cp865'], // Norwegian OEM
+  [0x18, 'cp437'], // Spanish OEM
+  [0x19, 'cp437'], // English OEM (Britain)
+  [0x1A, 'cp850'], // English OEM (Britain)*
+  [0x1B, 'cp437'], // English OEM (U.S.)
+  [0x1C, 'cp863'], // French OEM (Canada)
+  [0x1D, 'cp850'], // French OEM*
+  [0x1F, 'cp852'], // Czech OEM
+  [0x22, 'cp852'], // Hungarian OEM
+  [0x23, 'cp852'], // Polish OEM
+  [0x24, 'cp860'], // Portuguese OEM
+  [0x25, 'cp850'], // Portuguese OEM*
+  [0x26, 'cp866'], // Russian OEM
+  [0x37, 'cp850'], // English OEM (U.S.)*
+  [0x40, 'cp852'], // Romanian OEM
+  [0x4D, 'cp936'], // Chinese GBK (PRC)
+  [0x4E, 'cp949'], // Korean (ANSI/OEM)
+  [0x4F, 'cp950'], // Chinese Big5 (Taiwan)
+  [0x50, 'cp874'], // Thai (ANSI/OEM)
+  [0x57, 'cp1252'], // ANSI
+  [0x58, 'cp1252'], // Western European ANSI
+  [0x59, 'cp1252'], // Spanish ANSI
+  [0x64, 'cp852'], // Eastern European MS-DOS
+  [0x65, 'cp866'], // Russian MS-DOS
+  [0x66, 'cp865'], // Nordic MS-DOS
+  [0x67, 'cp861'], // Icelandic MS-DOS
+  [0x6A, 'cp737'], // Greek MS-DOS (437G)
+  [0x6B, 'cp857'], // Turkish MS-DOS
+  [0x6C, 'cp863'], // French-Canadian MS-DOS
+  [0x78, 'cp950'], // Taiwan Big 5
+  [0x79, 'cp949'], // Hangul (Wansung)
+  [0x7A, 'cp936'], // PRC GBK
+  [0x7B, 'cp932'], // Japanese Shift-JIS
+  [0x7C, 'cp874'], // Thai Windows/MS-DOS
+  [0x86, 'cp737'], // Greek OEM
+  [0x87, 'cp852'], // Slovenian OEM
+  [0x88, 'cp857'], // Turkish OEM
+  [0x96, 'maccyrillic'], // Russian Macintosh
+  [0x97, 'maccenteuro'], // Eastern European Macintosh
+  [0x98, 'macgreek'], // Greek Macintosh
+  [0xC8, 'cp1250'], // Eastern European Windows
+  [0xC9, 'cp1251'], // Russian Windows
+  [0xCA, 'cp1254'], // Turkish Windows
+  [0xCB, 'cp1253'], // Greek Windows
+  [0xCC, 'cp1257'] // Baltic Windows
+]);
+
+// returns the code page for a language driver ID, or undefined if the ID is 0 (not set) or unknown
+function fromLanguageDriverId(languageDriverId) {
+  return languageDriverCodePages.get(languageDriverId);
+}
+
+// returns the iconv-lite encoding for the contents of an Esri .cpg file (such as `UTF-8`, `1252`, `ANSI 1251`, or `88591`),
+//  or undefined if the code page is not recognized
+function fromCpg(contents) {
+  // .cpg files are a single line, sometimes with a byte order mark or trailing newline
+  const value = contents.replace(/^\uFEFF/, '').trim().toUpperCase();
+
+  if (/^UTF-?8$/.test(value)) {
+    return 'utf-8';
+  }
+
+  // Windows and DOS code pages: `1252`, `ANSI 1252`, `OEM 866`, `CP1252`, `windows-1252`
+  const windowsMatch = value.match(/^(?:ANSI|OEM|CP|WINDOWS)?[ _-]?(\d{3,5})$/);
+  if (windowsMatch && Iconv.encodingExists(`cp${windowsMatch[1]}`)) {
+    return `cp${windowsMatch[1]}`;
+  }
+
+  // ISO 8859 code pages: `88591`, `8859-1`, `ISO 8859-1`, `ISO-8859-1`
+  const isoMatch = value.match(/^(?:ISO)?[ _-]?8859[ _-]?(\d{1,2})$/);
+  if (isoMatch && Iconv.encodingExists(`iso-8859-${isoMatch[1]}`)) {
+    return `iso-8859-${isoMatch[1]}`;
+  }
+
+  // anything else iconv-lite understands as-is, such as `Big5` or `KOI8-R`
+  if (value && Iconv.encodingExists(value)) {
+    return value.toLowerCase();
+  }
+}
+
+// chooses the encoding once the language driver ID in `header` is known, in order of preference:
+//  `encoding`, the .cpg code page, then the language driver ID (when `encoding` is 'auto'), falling back to utf-8
+//  a language driver ID that disagrees with the .cpg code page is reported to `warn`
+function resolve(header, encoding, cpgEncoding, warn) {
+  const languageDriverEncoding = fromLanguageDriverId(header.langaugeDriverId);
+
+  if (cpgEncoding) {
+    if (languageDriverEncoding && languageDriverEncoding !== cpgEncoding) {
+      warn(new DbfHeaderError(
+        `Language driver ID ${header.langaugeDriverId} (${languageDriverEncoding}) ` +
+        `does not match .cpg code page (${cpgEncoding})`,
+        { code: 'ERR_CODE_PAGE_MISMATCH', offset: 29 }
+      ));
+    }
+
+    if (encoding === undefined || encoding === 'auto') {
+      return cpgEncoding;
+    }
+  }
+
+  if (encoding === 'auto') {
+    return languageDriverEncoding || 'utf-8';
+  }
+
+  return encoding || 'utf-8';
+}
+
+module.exports = {
+  languageDriverCodePages,
+  fromLanguageDriverId,
+  fromCpg,
+  resolve
+};
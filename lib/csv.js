@@ -0,0 +1,219 @@
+const { Transform } = require('stream');
+const { validateFields, validateFieldsInHeader } = require('./options');
+
+// built-in date formats keyed by name, each returns the text of a Date
+const dateFormats = {
+  // full ISO 8601 timestamp, such as 2019-07-17T00:00:00.000Z
+  iso(date) {
+    return date.toISOString();
+  },
+  // UTC calendar date, such as 2019-07-17 (D-type values are UTC midnight)
+  date(date) {
+    return date.toISOString().slice(0, 10);
+  }
+};
+
+// characters that require a value to be quoted (besides the delimiter)
+const quotedCharactersRegex = /["\r\n]/;
+
+// RFC 4180 records end with CRLF
+const lineEnding = '\r\n';
+
+// transforms records (as output by YADBF) into lines of CSV text, the columns are the fields of the header,
+//  which is taken from the 'header' event of the stream piped in or supplied as the `header` option
+class YADBFCSV extends Transform {
+  constructor(options = {}) {
+    super({ writableObjectMode: true });
+
+    this.header = validateHeader(options.header);
+    this.fields = validateFields(options.fields);
+    this.delimiter = validateDelimiter(options.delimiter);
+    this.formatDate = validateDate(options.date);
+    this.nullValue = validateEmptyValue('nullValue', options.nullValue, '');
+    this.undefinedValue = validateEmptyValue('undefinedValue', options.undefinedValue, this.nullValue);
+    this.deletedColumn = validateDeletedColumn(options.deletedColumn);
+    this.headerRow = validateHeaderRow(options.headerRow);
+
+    this.on('pipe', source => {
+      // a reader's `fields` option also limits the columns unless `fields` was supplied
+      if (this.fields === undefined && source.fields instanceof Set) {
+        this.fields = source.fields;
+      }
+
+      source.once('header', header => {
+        if (!this.header) {
+          this.header = header;
+        }
+      });
+    });
+  }
+
+  _transform(record, encoding, callback) {
+    try {
+      const columns = consumeColumns.bind(this)();
+
+      this.push(formatLine(columns.map(column => formatValue.bind(this)(column.value(record))), this.delimiter));
+
+    } catch (err) {
+      return callback(err);
+    }
+
+    callback();
+  }
+
+  _flush(callback) {
+    // a file with no records still has a header row
+    if (this.header) {
+      try {
+        consumeColumns.bind(this)();
+      } catch (err) {
+        return callback(err);
+      }
+    }
+
+    callback();
+  }
+}
+
+// returns the columns, pushing the header row the first time it's called
+function consumeColumns() {
+  if (this.columns) {
+    return this.columns;
+  }
+
+  if (!this.header) {
+    throw new Error('header is not known, pipe from YADBF or supply the header option');
+  }
+
+  validateFieldsInHeader(this.fields, this.header);
+
+  // system fields (such as _NullFlags) are never part of a record
+  this.columns = this.header.fields
+    .filter(field => !field.isSystem && (this.fields === undefined || this.fields.has(field.name)))
+    .map(field => ({ name: field.name, value: record => record[field.name] }));
+
+  if (this.deletedColumn !== undefined) {
+    this.columns.push({ name: this.deletedColumn, value: record => record['@meta'].deleted });
+  }
+
+  if (this.headerRow) {
+    this.push(formatLine(this.columns.map(column => column.name), this.delimiter));
+  }
+
+  return this.columns;
+}
+
+// returns the text of a single value before quoting
+function formatValue(value) {
+  if (value === undefined) {
+    return this.undefinedValue;
+  }
+  if (value === null) {
+    return this.nullValue;
+  }
+  if (value instanceof Date) {
+    return this.formatDate(value);
+  }
+  // binary values (such as Visual FoxPro blobs) have no text representation
+  if (Buffer.isBuffer(value)) {
+    return value.toString('base64');
+  }
+
+  return String(value);
+}
+
+// returns a line of `values` separated by `delimiter`, quoting those that contain the delimiter, a quote, or a line break
+function formatLine(values, delimiter) {
+  return values.map(value => {
+    if (value.includes(delimiter) || quotedCharactersRegex.test(value)) {
+      // quotes are escaped by doubling them
+      return `"${value.replace(/"/g, '""')}"`;
+    }
+
+    return value;
+  }).join(delimiter) + lineEnding;
+}
+
+// validates that `header` is a header with fields, as emitted by YADBF
+function validateHeader(header) {
+  if (header === undefined) {
+    return undefined;
+  }
+
+  if (header === null || typeof header !== 'object' || !Array.isArray(header.fields)) {
+    throw new Error('header must be an object with fields');
+  }
+
+  return header;
+}
+
+// validates that `delimiter` is a single character other than a quote or line break, defaulting to ','
+function validateDelimiter(delimiter) {
+  if (delimiter === undefined) {
+    return ',';
+  }
+
+  if (typeof delimiter !== 'string' || delimiter.length !== 1 || quotedCharactersRegex.test(delimiter)) {
+    throw new Error('delimiter must be a single character other than a quote or line break');
+  }
+
+  return delimiter;
+}
+
+// validates that `date` is the name of a date format or a function, defaulting to 'iso'
+function validateDate(date) {
+  if (date === undefined) {
+    return dateFormats.iso;
+  }
+
+  if (typeof date === 'function') {
+    return value => String(date(value));
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(dateFormats, date)) {
+    throw new Error(`date must be a function or one of: ${Object.keys(dateFormats).join(', ')}`);
+  }
+
+  return dateFormats[date];
+}
+
+// validates that the `name` option is a string, defaulting to `defaultValue`
+function validateEmptyValue(name, value, defaultValue) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+
+  if (typeof value !== 'string') {
+    throw new Error(`${name} must be a string`);
+  }
+
+  return value;
+}
+
+// validates that `deletedColumn` is a non-empty column name, leaving it undefined (no column) if not supplied
+function validateDeletedColumn(deletedColumn) {
+  if (deletedColumn === undefined) {
+    return undefined;
+  }
+
+  if (typeof deletedColumn !== 'string' || deletedColumn.length === 0) {
+    throw new Error('deletedColumn must be a non-empty string');
+  }
+
+  return deletedColumn;
+}
+
+// validates that `headerRow` is a boolean, defaulting to `true` if not supplied
+function validateHeaderRow(headerRow) {
+  if (headerRow === undefined) {
+    return true;
+  }
+
+  if (headerRow !== true && headerRow !== false) {
+    throw new Error('headerRow must be a boolean');
+  }
+
+  return headerRow;
+}
+
+module.exports = YADBFCSV;
@@ -0,0 +1,44 @@
+// base class for all errors describing a problem with a .dbf (or memo, .shp, or index) file
+//  `code` is a stable, machine-readable identifier for the problem
+//  `offset` is the absolute byte offset in the file where the problem was found
+//  `recordIndex` is the 0-based position of the record in the file
+//  `field` is the name of the field
+class DbfError extends Error {
+  constructor(message, properties = {}) {
+    super(message);
+
+    this.name = this.constructor.name;
+    this.code = properties.code;
+    this.offset = properties.offset;
+    this.recordIndex = properties.recordIndex;
+    this.field = properties.field;
+  }
+}
+
+// problems with the 32-byte header, the field descriptor array terminator, or the header as a whole
+class DbfHeaderError extends DbfError {}
+
+// problems with an individual field descriptor
+class DbfFieldDescriptorError extends DbfError {}
+
+// problems with a record or one of its values
+class DbfRecordError extends DbfError {}
+
+// problems reading a memo from a memo file, `offset` is relative to the start of the memo file
+class DbfMemoError extends DbfError {}
+
+// problems reading a .shp file or pairing it with a .dbf file, `offset` is relative to the start of the .shp file
+class DbfShapeError extends DbfError {}
+
+// problems reading an .ndx, .mdx, or .cdx index file, `offset` is relative to the start of the index file
+class DbfIndexError extends DbfError {}
+
+module.exports = {
+  DbfError,
+  DbfHeaderError,
+  DbfFieldDescriptorError,
+  DbfRecordError,
+  DbfMemoError,
+  DbfShapeError,
+  DbfIndexError
+};
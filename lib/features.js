@@ -0,0 +1,75 @@
+const { Readable } = require('stream');
+const { DbfShapeError } = require('./errors');
+
+// pairs the features of a .shp file with the records of its .dbf file by position, streaming GeoJSON features
+//  whose properties are the records, `shapes` is a YADBFShapefile and `records` a YADBF that includes deleted records
+class YADBFFeatures extends Readable {
+  constructor(shapes, records, includeDeletedRecords) {
+    super({ objectMode: true });
+
+    this.shapeStream = shapes;
+    this.recordStream = records;
+    this.shapes = shapes[Symbol.asyncIterator]();
+    this.records = records[Symbol.asyncIterator]();
+    this.includeDeletedRecords = includeDeletedRecords;
+
+    // keep track of how many pairs have been read, deleted or not, for reporting a mismatch
+    this.recordCount = 0;
+
+    records.once('header', header => this.numberOfRecords = header.numberOfRecords);
+  }
+
+  _read() {
+    // the features are already being read
+    if (this.reading) {
+      return;
+    }
+
+    this.reading = true;
+
+    readFeatures.bind(this)().catch(err => this.destroy(err));
+  }
+
+  _destroy(err, callback) {
+    // stop reading both files, such as when breaking out of a `for await` loop, the streams are destroyed directly
+    //  since on some versions of Node the iterators don't finish returning while the other stream still has data
+    this.shapeStream.destroy();
+    this.recordStream.destroy();
+
+    callback(err);
+  }
+}
+
+// pushes features until no more are wanted or both files end, rejecting if one file ends before the other
+async function readFeatures() {
+  for (;;) {
+    const [shape, record] = await Promise.all([this.shapes.next(), this.records.next()]);
+
+    if (shape.done && record.done) {
+      this.push(null);
+      return;
+    }
+
+    if (shape.done || record.done) {
+      throw new DbfShapeError(shape.done ?
+        `.shp file has ${this.recordCount} record(s) but .dbf file has ${this.numberOfRecords}` :
+        `.shp file has more than the ${this.numberOfRecords} record(s) in the .dbf file`, {
+        code: 'ERR_RECORD_COUNT_MISMATCH',
+        recordIndex: this.recordCount
+      });
+    }
+
+    this.recordCount += 1;
+
+    // features of deleted records are skipped unless deleted records should be included
+    if (!record.value['@meta'].deleted || this.includeDeletedRecords) {
+      // stop once the consumer has enough, reading resumes on the next call to _read
+      if (!this.push(Object.assign(shape.value, { properties: record.value }))) {
+        this.reading = false;
+        return;
+      }
+    }
+  }
+}
+
+module.exports = YADBFFeatures;
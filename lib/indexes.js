@@ -0,0 +1,542 @@
+const path = require('path');
+const Iconv = require('iconv-lite');
+const memo = require('./memo');
+const { validateFixedEncoding } = require('./options');
+const { DbfIndexError } = require('./errors');
+
+// dBASE III .ndx files and the tag headers of dBASE IV .mdx files are addressed in 512-byte pages
+const pageSize = 512;
+
+// FoxPro .cdx nodes are always 512 bytes, addressed by byte offset
+const cdxNodeSize = 512;
+
+// the tag table of a dBASE IV .mdx file starts after the 544-byte file header
+const mdxTagTableOffset = 544;
+
+// dBASE IV .mdx tag key format flags
+const mdxDescendingFlag = 0x08;
+const mdxUniqueFlag = 0x40;
+
+// FoxPro .cdx index option flags
+const cdxUniqueFlag = 0x01;
+const cdxCompoundFlag = 0x40;
+
+// FoxPro .cdx node attribute flag for leaf (exterior) nodes
+const cdxLeafFlag = 0x02;
+
+// dBASE IV numeric keys are 12-byte BCD values, the first byte is the exponent offset by 0x34
+const bcdExponentBias = 0x34;
+
+// Julian day number of 1970-01-01, dates are keyed by Julian day number
+const unixEpochJulianDay = 2440588;
+const millisecondsPerDay = 86400000;
+
+// no real index is anywhere near this deep, so deeper trees are assumed to loop
+const maximumDepth = 64;
+
+// comparators of dBASE IV .mdx keys (as bytes) with search values keyed by the tag type
+const mdxKeyComparators = {
+  N: (key, value) => compareNumbers(readBcd(key), value),
+  F: (key, value) => compareNumbers(readBcd(key), value),
+  // dates are 8-byte doubles of the Julian day number
+  D: (key, value) => compareNumbers(key.readDoubleLE(0), value)
+};
+
+// dBASE III .ndx file, which has a single tag
+class NdxIndex {
+  constructor(reader, name) {
+    const header = readBytes(reader, 0, pageSize);
+
+    const keyLength = header.readUInt16LE(12);
+
+    // numeric keys (type 1) are 8-byte doubles, dates included as Julian day numbers
+    const type = header.readUInt16LE(16) === 0 ? 'C' : 'N';
+
+    this.tags = [{
+      name: name,
+      expression: readString(header, 24, pageSize - 24),
+      type: type,
+      keyLength: keyLength,
+      unique: header.readUInt8(23) !== 0,
+      descending: false,
+      root: header.readUInt32LE(0),
+      entryLength: header.readUInt16LE(18),
+      compareKeys: type === 'C' ? Buffer.compare : (key, value) => compareNumbers(key.readDoubleLE(0), value),
+      searchKey: type === 'C' ? characterKey : numberOrJulianDay,
+      readNode: readNdxNode
+    }];
+
+    // entries start with a 4-byte child page and 4-byte record number
+    validateEntryLength(this.tags[0], 8, 18);
+  }
+}
+
+// dBASE IV .mdx file, which lists its tags in a table after the file header
+class MdxIndex {
+  constructor(reader) {
+    const header = readBytes(reader, 0, mdxTagTableOffset);
+
+    // the block size is stored in bytes, and again in 512-byte pages
+    const blockSize = header.readUInt16LE(22) || header.readUInt16LE(20) * pageSize;
+    const tagEntryLength = header.readUInt8(26) || 32;
+    const numberOfTags = header.readUInt16LE(28);
+
+    this.tags = Array.from({ length: numberOfTags }, (value, i) => {
+      const tagEntry = readBytes(reader, mdxTagTableOffset + i * tagEntryLength, tagEntryLength);
+      const tagHeaderOffset = tagEntry.readUInt32LE(0) * pageSize;
+      const tagHeader = readBytes(reader, tagHeaderOffset, pageSize);
+
+      const keyFormat = tagHeader.readUInt8(8);
+      const type = String.fromCharCode(tagHeader.readUInt8(9));
+
+      const tag = {
+        name: readString(tagEntry, 4, 11),
+        expression: readString(tagHeader, 24, 100),
+        type: type,
+        keyLength: tagHeader.readUInt16LE(12),
+        unique: (keyFormat & mdxUniqueFlag) !== 0 || tagHeader.readUInt8(23) !== 0,
+        descending: (keyFormat & mdxDescendingFlag) !== 0,
+        root: tagHeader.readUInt32LE(0),
+        blockSize: blockSize,
+        entryLength: tagHeader.readUInt16LE(18),
+        compareKeys: mdxKeyComparators[type] || Buffer.compare,
+        searchKey: type === 'C' ? characterKey : numberOrJulianDay,
+        readNode: readMdxNode
+      };
+
+      // entries start with a 4-byte record number (or child page)
+      validateEntryLength(tag, 4, tagHeaderOffset + 18);
+
+      return tag;
+    });
+  }
+}
+
+// FoxPro .cdx file, a compound index of tags (or a standalone compact index with a single tag)
+class CdxIndex {
+  constructor(reader, name) {
+    const header = readCdxTagHeader(reader, 0, name);
+
+    // a compound index starts with a tag index whose keys are tag names and whose record numbers are
+    //  the offsets of the tag headers, a standalone compact index has a single tag
+    if ((header.options & cdxCompoundFlag) === 0) {
+      this.tags = [header];
+      return;
+    }
+
+    this.tags = collectEntries(reader, header, { trailByte: 0x20 }).map(entry => {
+      const tagName = entry.key.toString('latin1').replace(/[ \u0000]+$/, '');
+      return readCdxTagHeader(reader, entry.recordNumber, tagName);
+    });
+  }
+}
+
+// index formats keyed by name, each a class that reads the tags of the index
+const formats = {
+  ndx: NdxIndex,
+  mdx: MdxIndex,
+  cdx: CdxIndex
+};
+
+// random-access reader over an .ndx, .mdx, or .cdx index file that resolves keys (or key ranges) of its tags
+//  to the 0-based positions of records in the .dbf file, reading only the nodes on the way to those keys
+class YADBFIndex {
+  constructor(source, options = {}) {
+    const format = validateFormat(options.format, source);
+    this.encoding = validateFixedEncoding(options.encoding);
+
+    this.reader = memo.createReader(source, 'index');
+
+    try {
+      // .ndx files (and standalone .cdx files) have a single key, named after the file
+      const name = typeof source === 'string' ? path.basename(source, path.extname(source)) : format.toUpperCase();
+
+      this.format = new formats[format](this.reader, name);
+
+    } catch (err) {
+      this.close();
+      throw err;
+    }
+
+    // the description of each tag, without the internals used to read it
+    this.tags = this.format.tags.map(tag => ({
+      name: tag.name,
+      expression: tag.expression,
+      type: tag.type,
+      keyLength: tag.keyLength,
+      unique: tag.unique,
+      descending: tag.descending
+    }));
+  }
+
+  // returns the 0-based positions of records whose key in the tag named `tagName` equals `value`,
+  //  a string for character keys or a number (or Date for date keys) for numeric keys
+  find(tagName, value) {
+    return this.findRange(tagName, value, value);
+  }
+
+  // returns the 0-based positions of records whose key in the tag named `tagName` is between `from` and `to`
+  //  (inclusive), in index order, either bound may be undefined to leave that end of the range open
+  findRange(tagName, from, to) {
+    const tag = findTag(this.format.tags, tagName);
+
+    // bounds are in terms of values, so in a descending index the upper bound comes first
+    const [first, last] = tag.descending ? [to, from] : [from, to];
+
+    const range = {
+      first: first === undefined ? undefined : searchKeyFor(tag, first, this.encoding),
+      last: last === undefined ? undefined : searchKeyFor(tag, last, this.encoding),
+      trailByte: trailByteFor(from === undefined ? to : from)
+    };
+
+    return collectEntries(this.reader, tag, range).map(entry => entry.recordNumber - 1);
+  }
+
+  // closes the index file if it was opened from a path
+  close() {
+    if (this.reader instanceof memo.FileReader) {
+      this.reader.close();
+    }
+  }
+}
+
+// returns the leaf entries of `tag` with keys from `range.first` through `range.last` (in index order), either
+//  of which may be undefined, skipping subtrees that hold only keys before `range.first`
+function collectEntries(reader, tag, range) {
+  const entries = [];
+
+  // returns true once a key after `range.last` is found, since every key after it is also out of range
+  const visit = (address, depth) => {
+    if (depth > maximumDepth) {
+      throw new DbfIndexError(`Index tag '${tag.name}' is more than ${maximumDepth} levels deep`, {
+        code: 'ERR_INVALID_INDEX_NODE',
+        offset: address
+      });
+    }
+
+    const node = tag.readNode(reader, address, range.trailByte);
+
+    for (const entry of node.entries) {
+      if (node.isLeaf) {
+        if (range.last !== undefined && compareInIndexOrder(tag, entry.key, range.last) > 0) {
+          return true;
+        }
+
+        if (range.first === undefined || compareInIndexOrder(tag, entry.key, range.first) >= 0) {
+          entries.push(entry);
+        }
+
+      // the key of an interior entry is the last key of its subtree (the final entry of an .ndx or .mdx node has none)
+      } else if (entry.key === undefined || range.first === undefined || compareInIndexOrder(tag, entry.key, range.first) >= 0) {
+        if (visit(entry.child, depth + 1)) {
+          return true;
+        }
+      }
+    }
+
+    return false;
+  };
+
+  visit(tag.root, 0);
+
+  return entries;
+}
+
+// returns the sign of the comparison of the bytes of `key` with `searchKey`, reversed for descending indexes
+function compareInIndexOrder(tag, key, searchKey) {
+  const comparison = Math.sign(tag.compareKeys(key, searchKey));
+
+  return tag.descending ? -comparison : comparison;
+}
+
+// returns a dBASE III .ndx page, whose entries are a 4-byte child page, 4-byte record number, and key,
+//  interior pages end with an extra child page that has no key
+function readNdxNode(reader, page) {
+  const node = readBytes(reader, page * pageSize, pageSize);
+  const numberOfKeys = node.readUInt32LE(0);
+
+  // leaf entries have no child page
+  const isLeaf = numberOfKeys === 0 || node.readUInt32LE(4) === 0;
+
+  validateNodeLength(4 + (numberOfKeys + (isLeaf ? 0 : 1)) * this.entryLength, pageSize, page * pageSize);
+
+  const entries = Array.from({ length: numberOfKeys }, (value, i) => {
+    const offset = 4 + i * this.entryLength;
+
+    return {
+      key: node.slice(offset + 8, offset + 8 + this.keyLength),
+      recordNumber: node.readUInt32LE(offset + 4),
+      child: node.readUInt32LE(offset)
+    };
+  });
+
+  if (!isLeaf) {
+    entries.push({ child: node.readUInt32LE(4 + numberOfKeys * this.entryLength) });
+  }
+
+  return { isLeaf: isLeaf, entries: entries };
+}
+
+// returns a dBASE IV .mdx block, whose entries are a 4-byte record number (or child page) and key,
+//  interior blocks end with an extra child page that has no key, which is 0 in leaf blocks
+function readMdxNode(reader, page) {
+  const node = readBytes(reader, page * pageSize, this.blockSize);
+  const numberOfKeys = node.readUInt32LE(0);
+
+  validateNodeLength(8 + numberOfKeys * this.entryLength, this.blockSize, page * pageSize);
+
+  const lastOffset = 8 + numberOfKeys * this.entryLength;
+  const lastChild = lastOffset + 4 <= this.blockSize ? node.readUInt32LE(lastOffset) : 0;
+  const isLeaf = lastChild === 0;
+
+  const entries = Array.from({ length: numberOfKeys }, (value, i) => {
+    const offset = 8 + i * this.entryLength;
+    const pointer = node.readUInt32LE(offset);
+
+    return {
+      key: node.slice(offset + 4, offset + 4 + this.keyLength),
+      recordNumber: isLeaf ? pointer : 0,
+      child: isLeaf ? 0 : pointer
+    };
+  });
+
+  if (!isLeaf) {
+    entries.push({ child: lastChild });
+  }
+
+  return { isLeaf: isLeaf, entries: entries };
+}
+
+// returns a FoxPro .cdx node, interior entries are the full key followed by a big-endian record number and child offset,
+//  leaf entries are packed record numbers with counts of bytes shared with the previous key (duplicates) and trailing
+//  blanks (`trailByte`) dropped from the key, whose remaining bytes are stored from the end of the node backwards
+function readCdxNode(reader, offset, trailByte) {
+  const node = readBytes(reader, offset, cdxNodeSize);
+  const numberOfKeys = node.readUInt16LE(2);
+
+  if ((node.readUInt16LE(0) & cdxLeafFlag) === 0) {
+    const entryLength = this.keyLength + 8;
+
+    validateNodeLength(12 + numberOfKeys * entryLength, cdxNodeSize, offset);
+
+    return {
+      isLeaf: false,
+      entries: Array.from({ length: numberOfKeys }, (value, i) => {
+        const entryOffset = 12 + i * entryLength;
+
+        return {
+          key: node.slice(entryOffset, entryOffset + this.keyLength),
+          child: node.readUInt32BE(entryOffset + this.keyLength + 4)
+        };
+      })
+    };
+  }
+
+  const recordNumberBits = node.readUInt8(20);
+  const duplicateCountBits = node.readUInt8(21);
+  const trailCountBits = node.readUInt8(22);
+  const bytesPerEntry = node.readUInt8(23);
+
+  validateNodeLength(24 + numberOfKeys * bytesPerEntry, cdxNodeSize, offset);
+
+  const entries = [];
+  let keyOffset = cdxNodeSize;
+  let previousKey = Buffer.alloc(0);
+
+  for (let i = 0; i < numberOfKeys; i += 1) {
+    // bit fields wider than 32 bits can't be shifted, so they're divided out
+    const packed = node.readUIntLE(24 + i * bytesPerEntry, bytesPerEntry);
+    const duplicateCount = Math.floor(packed / 2 ** recordNumberBits) % 2 ** duplicateCountBits;
+    const trailCount = Math.floor(packed / 2 ** (recordNumberBits + duplicateCountBits)) % 2 ** trailCountBits;
+    const storedLength = this.keyLength - duplicateCount - trailCount;
+
+    keyOffset -= storedLength;
+
+    if (storedLength < 0 || keyOffset < 24 + numberOfKeys * bytesPerEntry || duplicateCount > previousKey.length) {
+      throw new DbfIndexError(`Invalid key ${i} in index node at offset ${offset}`, {
+        code: 'ERR_INVALID_INDEX_NODE',
+        offset: offset
+      });
+    }
+
+    const key = Buffer.concat([
+      previousKey.slice(0, duplicateCount),
+      node.slice(keyOffset, keyOffset + storedLength),
+      Buffer.alloc(trailCount, trailByte)
+    ]);
+
+    entries.push({ key: key, recordNumber: packed % 2 ** recordNumberBits });
+
+    previousKey = key;
+  }
+
+  return { isLeaf: true, entries: entries };
+}
+
+// returns a FoxPro .cdx tag from the 1024-byte tag header at `offset` (the header followed by the key expression)
+function readCdxTagHeader(reader, offset, name) {
+  const header = readBytes(reader, offset, cdxNodeSize * 2);
+
+  const options = header.readUInt8(14);
+
+  return {
+    name: name,
+    expression: readString(header, 512, 512),
+    // .cdx files don't record the key type, keys of every type compare bytewise
+    type: undefined,
+    keyLength: header.readUInt16LE(12),
+    unique: (options & cdxUniqueFlag) !== 0,
+    descending: header.readUInt16LE(502) === 1,
+    options: options,
+    root: header.readUInt32LE(0),
+    compareKeys: Buffer.compare,
+    searchKey: cdxKey,
+    readNode: readCdxNode
+  };
+}
+
+// returns `value` as a search key for `tag`, which the tag compares with the bytes of each key
+function searchKeyFor(tag, value, encoding) {
+  return tag.searchKey(value, tag.keyLength, encoding);
+}
+
+// returns a string as the bytes of a character key, padded with spaces (or truncated) to the key length
+function characterKey(value, keyLength, encoding) {
+  if (typeof value !== 'string') {
+    throw new Error(`value must be a string for character keys: ${value}`);
+  }
+
+  const key = Buffer.alloc(keyLength, ' ');
+  Iconv.encode(value, encoding).copy(key, 0, 0, keyLength);
+
+  return key;
+}
+
+// returns a number as-is or a Date as its Julian day number, for dBASE numeric and date keys
+function numberOrJulianDay(value) {
+  if (value instanceof Date && !isNaN(value.getTime())) {
+    return Math.floor(value.getTime() / millisecondsPerDay) + unixEpochJulianDay;
+  }
+
+  if (typeof value !== 'number' || isNaN(value)) {
+    throw new Error(`value must be a number or Date for numeric and date keys: ${value}`);
+  }
+
+  return value;
+}
+
+// returns a string, number, or Date as the bytes of a FoxPro key, numbers are big-endian doubles (or 4-byte integers
+//  for integer keys) with the sign bit flipped for positive values and every bit flipped for negative values, so that
+//  they sort bytewise, and dates are numbers of their Julian day number
+function cdxKey(value, keyLength, encoding) {
+  if (typeof value === 'string') {
+    return characterKey(value, keyLength, encoding);
+  }
+
+  const number = numberOrJulianDay(value);
+  const key = Buffer.alloc(keyLength);
+
+  if (keyLength === 4) {
+    key.writeUInt32BE((number ^ 0x80000000) >>> 0, 0);
+    return key;
+  }
+
+  // zero is never negative
+  key.writeDoubleBE(number || 0, 0);
+
+  if (key.readUInt8(0) & 0x80) {
+    key.forEach((byte, i) => key.writeUInt8(~byte & 0xFF, i));
+  } else {
+    key.writeUInt8(key.readUInt8(0) | 0x80, 0);
+  }
+
+  return key;
+}
+
+// returns the byte dropped from the end of .cdx leaf keys: spaces for character keys and nulls for all others
+function trailByteFor(value) {
+  return value === undefined || typeof value === 'string' ? 0x20 : 0x00;
+}
+
+// returns the value of a 12-byte dBASE IV BCD number, the exponent (offset by 0x34) is followed by the sign (the high
+//  bit of the second byte) and 20 decimal digits (2 per byte) that follow the decimal point
+function readBcd(key) {
+  const exponent = key.readUInt8(0) - bcdExponentBias;
+  const value = parseFloat(`0.${key.toString('hex', 2, 12)}e${exponent}`);
+
+  return key.readUInt8(1) & 0x80 ? -value : value;
+}
+
+// returns the sign of the difference of two numbers
+function compareNumbers(a, b) {
+  return Math.sign(a - b);
+}
+
+// returns the tag named `tagName` (case-insensitively)
+function findTag(tags, tagName) {
+  const tag = tags.find(candidate => typeof tagName === 'string' && candidate.name.toUpperCase() === tagName.toUpperCase());
+
+  if (!tag) {
+    throw new Error(`tag not found: '${tagName}', must be one of: ${tags.map(candidate => candidate.name).join(', ')}`);
+  }
+
+  return tag;
+}
+
+// returns the text of `buffer` from `start` up to the first null, within `length` bytes
+function readString(buffer, start, length) {
+  const bytes = buffer.slice(start, start + length);
+  const end = bytes.indexOf(0);
+
+  return bytes.toString('latin1', 0, end === -1 ? bytes.length : end).trim();
+}
+
+// returns exactly `length` bytes starting at `position`, throwing if the file ends first
+function readBytes(reader, position, length) {
+  const bytes = reader.read(position, length);
+
+  if (bytes.length < length) {
+    throw new DbfIndexError(`Unable to read ${length} byte(s) at offset ${position}, found ${bytes.length} byte(s)`, {
+      code: 'ERR_INDEX_OUT_OF_RANGE',
+      offset: position
+    });
+  }
+
+  return bytes;
+}
+
+// throws if the entries of a node take more than `nodeLength` bytes
+function validateNodeLength(length, nodeLength, offset) {
+  if (length > nodeLength) {
+    throw new DbfIndexError(`Index node at offset ${offset} declares more keys than fit in ${nodeLength} bytes`, {
+      code: 'ERR_INVALID_INDEX_NODE',
+      offset: offset
+    });
+  }
+}
+
+// throws if the entries of `tag` (whose length is stored at `offset`) are too short for their `pointerLength` bytes
+//  of pointers and the key, a length of 0 would otherwise read every entry of a node from the same place
+function validateEntryLength(tag, pointerLength, offset) {
+  if (tag.entryLength < pointerLength + tag.keyLength) {
+    throw new DbfIndexError(`Index tag '${tag.name}' entry length ${tag.entryLength} is too short for ${tag.keyLength}-byte keys`, {
+      code: 'ERR_INVALID_INDEX_ENTRY_LENGTH',
+      offset: offset
+    });
+  }
+}
+
+// validates that `format` is a supported index format, defaulting to the extension of `source` if it's a path
+function validateFormat(format, source) {
+  if (format === undefined && typeof source === 'string') {
+    format = path.extname(source).slice(1).toLowerCase();
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(formats, format)) {
+    throw new Error(`format must be one of: ${Object.keys(formats).join(', ')}`);
+  }
+
+  return format;
+}
+
+module.exports = YADBFIndex;
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const Iconv = require('iconv-lite');
+const { DbfMemoError } = require('./errors');
+
+// dBASE III memo files are made up of fixed-size 512-byte blocks
+const dBaseIIIBlockSize = 512;
+
+// 0x1A marks the end of a dBASE III memo
+const memoTerminator = 0x1A;
+
+// dBASE IV memo files declare the block size in bytes 20-21 and blocks start with a 4-byte signature and 4-byte length
+const dBaseIVHeaderSize = 22;
+const dBaseIVBlockHeaderSize = 8;
+const dBaseIVBlockSignature = 0x0008FFFF; // FF FF 08 00 read little-endian
+
+// FoxPro memo files declare the block size in the first 8 bytes and blocks start with a 4-byte type and 4-byte length
+const foxProHeaderSize = 8;
+const foxProBlockHeaderSize = 8;
+
+// FoxPro memo block type for text, other types (picture, OLE object) are binary
+const foxProTextBlockType = 1;
+
+// table versions whose memos are stored in dBASE IV-style .dbt files
+const dBaseIVVersions = new Set([
+  0x8B, // dBASE IV with memo
+  0x8C  // dBASE 7 with memo
+]);
+
+// table versions whose memos are stored in FoxPro .fpt files
+const foxProVersions = new Set([
+  0xF5, // FoxPro 2.x (or earlier) with memo
+  0x30, // Visual FoxPro
+  0x31, // Visual FoxPro, autoincrement enabled
+  0x32  // Visual FoxPro, varchar/varbinary enabled
+]);
+
+// random-access reader over an in-memory memo file
+class BufferReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.size = buffer.length;
+  }
+
+  read(position, length) {
+    return this.buffer.slice(position, position + length);
+  }
+}
+
+// random-access reader over a memo file on disk, only the requested bytes are read
+class FileReader {
+  constructor(path) {
+    this.fd = fs.openSync(path, 'r');
+    this.size = fs.fstatSync(this.fd).size;
+  }
+
+  read(position, length) {
+    const buffer = Buffer.alloc(Math.max(Math.min(length, this.size - position), 0));
+    fs.readSync(this.fd, buffer, 0, buffer.length, position);
+    return buffer;
+  }
+
+  close() {
+    if (this.fd !== undefined) {
+      fs.closeSync(this.fd);
+      delete this.fd;
+    }
+  }
+}
+
+// dBASE III memos start at the beginning of a block and run until the 0x1A terminator
+class DBaseIIIMemo {
+  constructor(reader) {
+    this.reader = reader;
+    this.blockSize = dBaseIIIBlockSize;
+  }
+
+  // returns true if the block number points somewhere inside the memo file
+  hasBlock(blockNumber) {
+    return blockNumber * this.blockSize < this.reader.size;
+  }
+
+  // returns the text of the memo starting at `blockNumber`
+  read(blockNumber, encoding) {
+    const chunks = [];
+    let position = blockNumber * this.blockSize;
+
+    // read a block at a time until the terminator or the end of the file is found
+    while (position < this.reader.size) {
+      const block = this.reader.read(position, this.blockSize);
+      const terminatorIndex = block.indexOf(memoTerminator);
+
+      if (terminatorIndex !== -1) {
+        chunks.push(block.slice(0, terminatorIndex));
+        break;
+      }
+
+      chunks.push(block);
+      position += block.length;
+    }
+
+    return Iconv.decode(Buffer.concat(chunks), encoding);
+  }
+}
+
+// dBASE IV memos start at the beginning of a block with a signature and length and may span several blocks
+class DBaseIVMemo {
+  constructor(reader) {
+    this.reader = reader;
+
+    if (reader.size < dBaseIVHeaderSize) {
+      throw new DbfMemoError(`Unable to parse first ${dBaseIVHeaderSize} bytes from dBASE IV memo header, found ${reader.size} byte(s)`, {
+        code: 'ERR_INSUFFICIENT_MEMO_HEADER_BYTES',
+        offset: reader.size
+      });
+    }
+
+    // the block size is stored in bytes 20-21 of the header, older writers leave it 0 to mean 512
+    this.blockSize = reader.read(20, 2).readUInt16LE(0) || dBaseIIIBlockSize;
+  }
+
+  // returns true if the block number points somewhere inside the memo file
+  hasBlock(blockNumber) {
+    return blockNumber * this.blockSize < this.reader.size;
+  }
+
+  // returns the text of the memo starting at `blockNumber`
+  read(blockNumber, encoding) {
+    const position = blockNumber * this.blockSize;
+
+    const blockHeader = readBlockHeader(this.reader, position, dBaseIVBlockHeaderSize, blockNumber);
+    if (blockHeader.readUInt32LE(0) !== dBaseIVBlockSignature) {
+      throw new DbfMemoError(`Invalid dBASE IV memo block signature at block ${blockNumber}`, {
+        code: 'ERR_INVALID_MEMO_BLOCK_SIGNATURE',
+        offset: position
+      });
+    }
+
+    // the length includes the block header
+    const length = blockHeader.readUInt32LE(4) - dBaseIVBlockHeaderSize;
+
+    return Iconv.decode(this.reader.read(position + dBaseIVBlockHeaderSize, length), encoding);
+  }
+}
+
+// FoxPro memos are stored in blocks of a size declared in the header, each prefixed with its type and length
+class FoxProMemo {
+  constructor(reader) {
+    this.reader = reader;
+
+    if (reader.size < foxProHeaderSize) {
+      throw new DbfMemoError(`Unable to parse first ${foxProHeaderSize} bytes from FoxPro memo header, found ${reader.size} byte(s)`, {
+        code: 'ERR_INSUFFICIENT_MEMO_HEADER_BYTES',
+        offset: reader.size
+      });
+    }
+
+    // the block size is stored big-endian in bytes 6-7 of the header
+    this.blockSize = reader.read(6, 2).readUInt16BE(0);
+    if (this.blockSize === 0) {
+      throw new DbfMemoError('Invalid FoxPro memo block size: 0', { code: 'ERR_INVALID_MEMO_BLOCK_SIZE', offset: 6 });
+    }
+  }
+
+  // returns true if the block number points somewhere inside the memo file
+  hasBlock(blockNumber) {
+    return blockNumber * this.blockSize < this.reader.size;
+  }
+
+  // returns the memo starting at `blockNumber`, text memos are decoded and all other types are returned as a Buffer
+  read(blockNumber, encoding) {
+    const position = blockNumber * this.blockSize;
+
+    // block type and length are both big-endian
+    const blockHeader = readBlockHeader(this.reader, position, foxProBlockHeaderSize, blockNumber);
+    const type = blockHeader.readUInt32BE(0);
+    const length = blockHeader.readUInt32BE(4);
+
+    const value = this.reader.read(position + foxProBlockHeaderSize, length);
+
+    if (type === foxProTextBlockType) {
+      return Iconv.decode(value, encoding);
+    }
+
+    return value;
+  }
+}
+
+// returns the `length`-byte header of the memo block `blockNumber` found at `position`, throwing if the memo file
+//  ends before the whole block header
+function readBlockHeader(reader, position, length, blockNumber) {
+  const blockHeader = reader.read(position, length);
+
+  if (blockHeader.length < length) {
+    throw new DbfMemoError(`Memo block header at block ${blockNumber} is cut off by the end of the memo file`, {
+      code: 'ERR_INVALID_MEMO_BLOCK_HEADER',
+      offset: position
+    });
+  }
+
+  return blockHeader;
+}
+
+// returns true if `source` looks like a user-supplied random-access reader
+function isReader(source) {
+  return source !== null &&
+    typeof source === 'object' &&
+    typeof source.read === 'function' &&
+    Number.isInteger(source.size);
+}
+
+// wraps a memo file path, Buffer, or random-access reader as a random-access reader, `name` is the option named
+//  in the error thrown for anything else (other files, such as indexes, are read the same way)
+function createReader(source, name = 'memo') {
+  if (typeof source === 'string') {
+    return new FileReader(source);
+  }
+  if (Buffer.isBuffer(source)) {
+    return new BufferReader(source);
+  }
+  if (isReader(source)) {
+    return source;
+  }
+
+  throw new Error(`${name} must be a path, Buffer, or random-access reader`);
+}
+
+// returns the memo file implementation matching the table described by `header`
+function open(reader, header) {
+  if (foxProVersions.has(header.version)) {
+    return new FoxProMemo(reader);
+  }
+  if (dBaseIVVersions.has(header.version)) {
+    return new DBaseIVMemo(reader);
+  }
+
+  return new DBaseIIIMemo(reader);
+}
+
+module.exports = {
+  BufferReader,
+  FileReader,
+  DBaseIIIMemo,
+  DBaseIVMemo,
+  FoxProMemo,
+  createReader,
+  open
+};
@@ -0,0 +1,285 @@
+const fs = require('fs');
+const Iconv = require('iconv-lite');
+const memo = require('./memo');
+const codePages = require('./code-pages');
+const { resolveNumberOfRecords } = require('./parser');
+
+// F/N-type values are output as numbers, as numbers or BigInts for large integers, or as decimal strings
+const numericModes = new Set(['number', 'exact', 'string']);
+
+// the number of records is as declared in the header, checked against the file size, or inferred from the file size
+const recordCountModes = new Set(['header', 'check', 'infer']);
+
+
+// validates that `offset` is a non-negative integer, defaulting to `Infinity` if not supplied
+function validateOffset(offset) {
+  if (offset === undefined) {
+    return 0;
+  }
+
+  if (offset < 0 || !Number.isInteger(offset)) {
+    throw new Error('offset must be a non-negative integer');
+  }
+
+  return offset;
+}
+
+// validates that `size` is a non-negative integer, defaulting to `Infinity` if not supplied
+function validateSize(size) {
+  if (size === undefined) {
+    return Infinity;
+  }
+
+  if (size < 0 || !Number.isInteger(size)) {
+    throw new Error('size must be a non-negative integer');
+  }
+
+  return size;
+}
+
+// validates that `deleted` is a boolean, defaulting to `false` if not supplied
+function validateDeleted(deleted) {
+  if (deleted === undefined) {
+    return false;
+  }
+
+  if (deleted !== true && deleted !== false) {
+    throw new Error('deleted must be a boolean');
+  }
+
+  return deleted;
+}
+
+// validates that `strict` is a boolean, defaulting to `true` if not supplied
+function validateStrict(strict) {
+  if (strict === undefined) {
+    return true;
+  }
+
+  if (strict !== true && strict !== false) {
+    throw new Error('strict must be a boolean');
+  }
+
+  return strict;
+}
+
+// validates that `fields` is an array of field names, returning them as a Set or undefined (all fields) if not supplied
+function validateFields(fields) {
+  if (fields === undefined) {
+    return undefined;
+  }
+
+  if (!Array.isArray(fields) || !fields.every(field => typeof field === 'string')) {
+    throw new Error('fields must be an array of field names');
+  }
+
+  return new Set(fields);
+}
+
+// validates that every name in `fields` is a field in the header, once the header is known
+function validateFieldsInHeader(fields, header) {
+  if (fields === undefined) {
+    return;
+  }
+
+  // system fields (such as _NullFlags) are never output so can't be requested
+  const fieldNames = new Set(header.fields.filter(field => !field.isSystem).map(field => field.name));
+
+  const missingFieldNames = Array.from(fields).filter(name => !fieldNames.has(name));
+  if (missingFieldNames.length > 0) {
+    throw new Error(`fields not found in header: ${missingFieldNames.map(name => `'${name}'`).join(', ')}`);
+  }
+}
+
+// validates that `filter` is a function that takes a record
+function validateFilter(filter) {
+  if (filter === undefined) {
+    return undefined;
+  }
+
+  if (typeof filter !== 'function') {
+    throw new Error('filter must be a function');
+  }
+
+  return filter;
+}
+
+// validates that `converters` is an object of functions keyed by field name or type
+function validateConverters(converters) {
+  if (converters === undefined) {
+    return undefined;
+  }
+
+  if (converters === null || typeof converters !== 'object' || Array.isArray(converters) ||
+      !Object.keys(converters).every(key => typeof converters[key] === 'function')) {
+    throw new Error('converters must be an object of functions');
+  }
+
+  return converters;
+}
+
+// returns the single-character keys of `converters`, which may be field types not otherwise supported
+function converterFieldTypes(converters) {
+  return Object.keys(converters || {}).filter(key => key.length === 1);
+}
+
+// validates that `numeric` is a mode for F/N-type values, defaulting to 'number' if not supplied
+function validateNumeric(numeric) {
+  if (numeric === undefined) {
+    return 'number';
+  }
+
+  if (!numericModes.has(numeric)) {
+    throw new Error(`numeric must be one of: ${Array.from(numericModes).join(', ')}`);
+  }
+
+  return numeric;
+}
+
+// validates that `encoding` exists or is 'auto' (resolved from the language driver ID),
+//  leaving it undefined if not supplied so a .cpg code page can take its place
+function validateEncoding(encoding) {
+  if (encoding === undefined) {
+    return undefined;
+  }
+
+  if (encoding !== 'auto' && !Iconv.encodingExists(encoding)) {
+    throw new Error(`encoding not recognized: '${encoding}'`);
+  }
+
+  return encoding;
+}
+
+// validates that `encoding` exists, defaulting to utf-8 if not supplied, for encoding values (such as index keys)
+//  where there's no language driver ID for `auto` to choose the encoding from
+function validateFixedEncoding(encoding) {
+  if (encoding === 'auto') {
+    throw new Error('encoding \'auto\' is only supported for reading records');
+  }
+
+  const validated = validateEncoding(encoding);
+
+  return validated === undefined ? 'utf-8' : validated;
+}
+
+// validates that `cpg` is a .cpg file path or Buffer of .cpg contents and returns the iconv-lite encoding it names
+function validateCpg(cpg) {
+  if (cpg === undefined) {
+    return undefined;
+  }
+
+  if (typeof cpg !== 'string' && !Buffer.isBuffer(cpg)) {
+    throw new Error('cpg must be a path or Buffer');
+  }
+
+  const contents = (typeof cpg === 'string' ? fs.readFileSync(cpg) : cpg).toString('latin1');
+
+  const encoding = codePages.fromCpg(contents);
+  if (!encoding) {
+    throw new Error(`cpg code page not recognized: '${contents.trim()}'`);
+  }
+
+  return encoding;
+}
+
+// validates that `recordCount` is a way of determining the number of records, defaulting to 'check' if `fileSize`
+//  is supplied (so that a file size is never ignored) and 'header' if not
+function validateRecordCount(recordCount, fileSize) {
+  if (recordCount === undefined) {
+    return fileSize === undefined ? 'header' : 'check';
+  }
+
+  if (!recordCountModes.has(recordCount)) {
+    throw new Error(`recordCount must be one of: ${Array.from(recordCountModes).join(', ')}`);
+  }
+
+  return recordCount;
+}
+
+// validates that `fileSize` is a non-negative integer, which is required when the number of records
+//  is checked against or inferred from the file size and has no effect otherwise
+function validateFileSize(fileSize, recordCount) {
+  if (fileSize === undefined) {
+    if (recordCount !== 'header') {
+      throw new Error(`fileSize is required when recordCount is '${recordCount}'`);
+    }
+
+    return undefined;
+  }
+
+  if (recordCount === 'header') {
+    throw new Error('fileSize has no effect when recordCount is \'header\'');
+  }
+
+  if (fileSize < 0 || !Number.isInteger(fileSize)) {
+    throw new Error('fileSize must be a non-negative integer');
+  }
+
+  return fileSize;
+}
+
+// validates that `memo` is a memo file path, Buffer, or random-access reader, opening the file if it's a path
+//  so it's validated after every other option, otherwise an invalid option would leave the file open
+function validateMemo(source) {
+  if (source === undefined) {
+    return undefined;
+  }
+
+  return memo.createReader(source);
+}
+
+// closes `memoReader` if it was opened from a path by `validateMemo`
+function closeMemo(memoReader) {
+  if (memoReader instanceof memo.FileReader) {
+    memoReader.close();
+  }
+}
+
+// resolves what depends on both the validated options of `reader` (a .dbf reader) and its parsed header: checks that
+//  the requested fields are in the header, resolves the number of records and the encoding, and opens the memo file
+//  (which can only be read once the table format is known), problems that don't stop reading are passed to `warn`
+//  and problems with the memo file are passed to `memoWarn` instead of thrown if it's supplied
+function resolveHeader(reader, warn, memoWarn) {
+  const header = reader.header;
+
+  validateFieldsInHeader(reader.fields, header);
+
+  header.numberOfRecords = resolveNumberOfRecords(header, reader.fileSize, reader.recordCountMode, warn);
+
+  reader.encoding = codePages.resolve(header, reader.encoding, reader.cpgEncoding, warn);
+  header.encoding = reader.encoding;
+
+  if (reader.memoReader) {
+    try {
+      reader.memo = memo.open(reader.memoReader, header);
+      header.memoBlockSize = reader.memo.blockSize;
+    } catch (err) {
+      if (!memoWarn) {
+        throw err;
+      }
+
+      memoWarn(err);
+    }
+  }
+}
+
+module.exports = {
+  validateOffset,
+  validateSize,
+  validateDeleted,
+  validateStrict,
+  validateFields,
+  validateFieldsInHeader,
+  validateFilter,
+  validateConverters,
+  converterFieldTypes,
+  validateNumeric,
+  validateEncoding,
+  validateFixedEncoding,
+  validateCpg,
+  validateRecordCount,
+  validateFileSize,
+  validateMemo,
+  closeMemo,
+  resolveHeader
+};
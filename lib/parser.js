@@ -0,0 +1,798 @@
+const Iconv = require('iconv-lite');
+const { DbfHeaderError, DbfFieldDescriptorError, DbfRecordError, DbfMemoError } = require('./errors');
+
+// see: https://github.com/infused/dbf/blob/master/lib/dbf/table.rb
+const supportedVersions = new Set([
+  0x03, // FoxBASE+/Dbase III plus, no memo
+  0x83, // FoxBASE+/dBASE III PLUS, with memo
+  0xF5, // FoxPro 2.x (or earlier) with memo
+  0x8B, // dBASE IV with memo
+  0x8E, // ?
+  0x30, // Visual FoxPro
+  0x31, // Visual FoxPro, autoincrement enabled
+  0x32, // Visual FoxPro, varchar/varbinary enabled
+  0x04, // dBASE 7, no memo
+  0x8C  // dBASE 7, with memo
+]);
+const visualFoxProVersions = new Set([0x30, 0x31, 0x32]);
+const dBase7Versions = new Set([0x04, 0x8C]);
+const supportedFieldTypes = new Set(['C', 'D', 'F', 'L', 'M', 'N']);
+const visualFoxProFieldTypes = new Set([...supportedFieldTypes, 'I', 'B', 'Y', 'T', 'V', 'Q', 'G', '0']);
+const dBase7FieldTypes = new Set([...supportedFieldTypes, '@', '+', 'O', 'I']);
+
+// dBASE 7 tables have a 68-byte header (including the language driver name) followed by 48-byte field descriptors
+const dBase7HeaderLength = 68;
+const dBase7FieldDescriptorLength = 48;
+
+// Visual FoxPro tables have a 263-byte database container backlink after the field descriptor array terminator
+const visualFoxProBacklinkLength = 263;
+
+// Visual FoxPro field flags
+const visualFoxProSystemFlag = 0x01;
+const visualFoxProNullableFlag = 0x02;
+const visualFoxProBinaryFlag = 0x04;
+
+// Visual FoxPro fields that have a fixed length
+const visualFoxProFieldLengths = {
+  I: 4, B: 8, Y: 8, T: 8, M: 4, G: 4
+};
+
+// dBASE 7 fields that have a fixed length
+const dBase7FieldLengths = {
+  '@': 8, '+': 4, O: 8, I: 4
+};
+
+// Julian day number of 1970-01-01, used to convert Visual FoxPro T-type values
+const unixEpochJulianDay = 2440588;
+const millisecondsPerDay = 86400000;
+const truthyValues = new Set(['Y', 'y', 'T', 't']);
+const falseyValues = new Set(['N', 'n', 'F', 'f']);
+
+// valid M-type value regex (digits right-justified with leading spaces or zeros, or 10 spaces)
+const validMTypeValueRegex = /^( *\d+| {10})$/;
+
+// blank D, F, and N values (all spaces, or nulls left by some writers) have no value
+const blankValueRegex = /^[ \u0000]*$/;
+
+// valid D-type value regex (YYYYMMDD)
+const validDTypeValueRegex = /^\d{8}$/;
+
+// F/N-type integer value regex, used to find values too large to be a number
+const validIntegerValueRegex = /^[-+]?\d+$/;
+
+// sign, integer part, and fractional part of an F/N-type value without an exponent
+const decimalPartsRegex = /^([-+]?)(\d*)(?:\.(\d*))?$/;
+
+// valid F/N-type value regex (padded with spaces or nulls, with an optional sign, decimal point, and exponent)
+const validNumericValueRegex = /^[ \u0000]*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?[ \u0000]*$/;
+
+// type handlers keyed by the single character type designator
+const typeHandlers = {
+  D(value) {
+    if (blankValueRegex.test(value)) {
+      return null;
+    }
+
+    const isoDate = value.substr(0, 4)
+        + '-'
+        + value.substr(4, 2)
+        + '-'
+        + value.substr(6, 2);
+
+    const date = new Date(isoDate);
+
+    // reject dates that don't exist (such as February 30) rather than letting them roll over
+    if (!validDTypeValueRegex.test(value) || isNaN(date.getTime()) || date.toISOString().substr(0, 10) !== isoDate) {
+      throw new DbfRecordError(`Invalid D-type field value: '${value}'`, { code: 'ERR_INVALID_FIELD_VALUE' });
+    }
+
+    return date;
+  },
+  L(value) {
+    if (truthyValues.has(value)) {
+      return true;
+    } else if (falseyValues.has(value)) {
+      return false;
+    } else if (value !== '?' && value !== ' ') { // '?' or ' ' means undefined
+      throw new DbfRecordError(`Invalid L-type field value: ${value}`, { code: 'ERR_INVALID_FIELD_VALUE' });
+    }
+  },
+  F(value, field, context) {
+    return typeHandlers.N(value, field, context);
+  },
+  N(value, field, context) {
+    if (blankValueRegex.test(value)) {
+      return null;
+    }
+
+    if (!validNumericValueRegex.test(value)) {
+      throw new DbfRecordError(`Invalid ${field.type}-type field value: '${value}'`, { code: 'ERR_INVALID_FIELD_VALUE' });
+    }
+
+    return numericHandlers[context.numeric](value.replace(/[ \u0000]/g, ''), field.precision);
+  },
+  C(value) {
+    return value.replace(/[\u0000 ]+$/, '');
+  },
+  M(value) {
+    if (!validMTypeValueRegex.test(value)) {
+      throw new DbfRecordError(`Invalid M-type field value: '${value}'`, { code: 'ERR_INVALID_FIELD_VALUE' });
+    } else {
+      return value;
+    }
+  },
+  V(value) {
+    return value;
+  }
+};
+
+// F/N-type value handlers keyed by the numeric option, these are passed the value without padding
+const numericHandlers = {
+  number(value) {
+    return parseFloat(value);
+  },
+  exact(value, precision) {
+    // integers that can't be represented exactly as a number are output as a BigInt
+    if (precision === 0 && validIntegerValueRegex.test(value) && !Number.isSafeInteger(Number(value))) {
+      return BigInt(value.replace(/^\+/, ''));
+    }
+
+    return parseFloat(value);
+  },
+  string(value, precision) {
+    const match = value.match(decimalPartsRegex);
+
+    // values with an exponent are output as-is
+    if (!match) {
+      return value;
+    }
+
+    const integerPart = match[2].replace(/^0+/, '') || '0';
+    const fractionalPart = (match[3] || '').padEnd(precision, '0');
+
+    // zero is never negative
+    const sign = match[1] === '-' && /[1-9]/.test(integerPart + fractionalPart) ? '-' : '';
+
+    return sign + integerPart + (fractionalPart ? `.${fractionalPart}` : '');
+  }
+};
+
+// type handlers for Visual FoxPro binary field types keyed by the single character type designator,
+//  these are passed the raw bytes of the field instead of the decoded value
+const visualFoxProTypeHandlers = {
+  I(bytes) {
+    return bytes.readInt32LE(0);
+  },
+  B(bytes) {
+    return bytes.readDoubleLE(0);
+  },
+  Y(bytes) {
+    // currency is a 64-bit integer scaled by 10,000
+    return (bytes.readInt32LE(4) * 0x100000000 + bytes.readUInt32LE(0)) / 10000;
+  },
+  T(bytes) {
+    // datetime is a 32-bit Julian day number followed by 32-bit milliseconds since midnight
+    const julianDay = bytes.readInt32LE(0);
+    const milliseconds = bytes.readInt32LE(4);
+
+    // both parts are 0 for blank datetimes
+    if (julianDay === 0 && milliseconds === 0) {
+      return null;
+    }
+
+    return new Date((julianDay - unixEpochJulianDay) * millisecondsPerDay + milliseconds);
+  },
+  M(bytes) {
+    // memo and general fields hold a 32-bit block number
+    return bytes.readInt32LE(0);
+  },
+  G(bytes) {
+    return bytes.readInt32LE(0);
+  },
+  Q(bytes) {
+    return bytes;
+  }
+};
+
+// type handlers for dBASE 7 binary field types keyed by the single character type designator,
+//  these are passed the raw bytes of the field instead of the decoded value
+const dBase7TypeHandlers = {
+  '@'(bytes) {
+    // timestamp is a big-endian Julian day number followed by big-endian milliseconds since midnight
+    const julianDay = bytes.readInt32BE(0);
+    const milliseconds = bytes.readInt32BE(4);
+
+    // both parts are 0 for blank timestamps
+    if (julianDay === 0 && milliseconds === 0) {
+      return null;
+    }
+
+    return new Date((julianDay - unixEpochJulianDay) * millisecondsPerDay + milliseconds);
+  },
+  I(bytes) {
+    // longs are big-endian with the sign bit flipped so that they sort bytewise
+    return bytes.readUInt32BE(0) ^ 0x80000000;
+  },
+  '+'(bytes) {
+    return dBase7TypeHandlers.I(bytes);
+  },
+  O(bytes) {
+    // doubles are big-endian, positive values have the sign bit flipped and negative values have every bit flipped
+    const copy = Buffer.from(bytes);
+
+    if (copy.readUInt8(0) & 0x80) {
+      copy.writeUInt8(copy.readUInt8(0) & 0x7F, 0);
+    } else {
+      copy.forEach((byte, i) => copy.writeUInt8(~byte & 0xFF, i));
+    }
+
+    return copy.readDoubleBE(0);
+  }
+};
+
+// returns the binary type handlers for the table version, if any
+function binaryTypeHandlersFor(version) {
+  if (visualFoxProVersions.has(version)) {
+    return visualFoxProTypeHandlers;
+  }
+  if (dBase7Versions.has(version)) {
+    return dBase7TypeHandlers;
+  }
+
+  return {};
+}
+
+// returns the field types supported by the table version
+function fieldTypesFor(version) {
+  if (visualFoxProVersions.has(version)) {
+    return visualFoxProFieldTypes;
+  }
+  if (dBase7Versions.has(version)) {
+    return dBase7FieldTypes;
+  }
+
+  return supportedFieldTypes;
+}
+
+// returns true if enough bytes have been read to parse the entire header
+function hasEnoughBytesForHeader(chunk) {
+  return chunk.length >= 32 && chunk.length >= chunk.readUInt16LE(8);
+}
+
+// convert the buffer to a header object, `additionalFieldTypes` are types (such as those with a converter)
+//  that are allowed in addition to those the version supports
+//  when `warn` is supplied, problems that don't prevent reading the rest of the header (such as an invalid flag
+//  or field descriptor) are passed to it instead of thrown, so that every problem in the header can be found,
+//  a record length that disagrees with the field descriptors is always thrown since no record could be read
+function parseHeader(buffer, additionalFieldTypes = [], warn) {
+  const versionByte = buffer.readUInt8(0);
+  if (!supportedVersions.has(versionByte)) {
+    throw new DbfHeaderError(`Unsupported version: ${versionByte}`, { code: 'ERR_UNSUPPORTED_VERSION', offset: 0 });
+  }
+
+  const isVisualFoxPro = visualFoxProVersions.has(versionByte);
+  const isDBase7 = dBase7Versions.has(versionByte);
+  const fieldTypes = new Set([...fieldTypesFor(versionByte), ...additionalFieldTypes]);
+
+  // what the field descriptor parsers need to know about the table
+  const format = { isVisualFoxPro, fieldTypes, warn };
+
+  const numberOfHeaderBytes = buffer.readUInt16LE(8);
+
+  const fieldBytes = isDBase7 ?
+    sliceDBase7FieldDescriptors(buffer, numberOfHeaderBytes) :
+    sliceFieldDescriptors(buffer, numberOfHeaderBytes, isVisualFoxPro);
+
+  const encryptionByte = buffer.readUInt8(15);
+  // if the source is encrypted, then emit an error
+  if (encryptionByte === 1) {
+    throw new DbfHeaderError('Encryption flag is set, cannot process', { code: 'ERR_ENCRYPTED', offset: 15 });
+  }
+  // valid values for the encryption byte are 0x00 and 0x01, emit an error otherwise
+  if (encryptionByte > 1) {
+    reportProblem(new DbfHeaderError(`Invalid encryption flag value: ${encryptionByte}`, {
+      code: 'ERR_INVALID_ENCRYPTION_FLAG',
+      offset: 15
+    }), warn);
+  }
+
+  const hasProductionMDXFile = buffer.readUInt8(28);
+  // production MDX file existence value must be 0x01 or 0x02 (per spec)
+  if (hasProductionMDXFile > 1) {
+    reportProblem(new DbfHeaderError(`Invalid production MDX file existence value: ${hasProductionMDXFile}`, {
+      code: 'ERR_INVALID_PRODUCTION_MDX_FLAG',
+      offset: 28
+    }), warn);
+  }
+
+  // construct and return the header
+  const header = {
+    version: versionByte,
+    dateOfLastUpdate: new Date(
+      1900 + buffer.readUInt8(1),
+      buffer.readUInt8(2) - 1,
+      buffer.readUInt8(3)
+    ),
+    numberOfRecords: buffer.readInt32LE(4),
+    numberOfHeaderBytes: numberOfHeaderBytes,
+    numberOfBytesInRecord: buffer.readInt16LE(10),
+    hasProductionMDXFile: hasProductionMDXFile,
+    langaugeDriverId: buffer.readUInt8(29),
+    fields: isDBase7 ?
+      Array.from( {length: fieldBytes.length / dBase7FieldDescriptorLength }, parseDBase7HeaderField.bind(null, fieldBytes, format)) :
+      Array.from( {length: fieldBytes.length / 32 }, parseHeaderField.bind(null, fieldBytes, format))
+  };
+
+  // records are the deleted flag followed by each field, any other length would read every record shifted,
+  //  so this is thrown even when `warn` is supplied
+  const numberOfBytesInFields = header.fields.reduce((total, field) => total + field.length, 1);
+  if (header.numberOfBytesInRecord !== numberOfBytesInFields) {
+    throw new DbfHeaderError(
+      `Invalid number of bytes in record: ${header.numberOfBytesInRecord}, the deleted flag and fields total ${numberOfBytesInFields}`, {
+        code: 'ERR_INVALID_RECORD_LENGTH',
+        offset: 10
+      });
+  }
+
+  // dBASE 7 stores the name of the language driver after the standard 32 header bytes
+  if (isDBase7) {
+    header.languageDriverName = buffer.toString('utf-8', 32, 64).replace(/\0/g, '');
+  }
+
+  // if there are any duplicate field names, throw an error
+  header.fields.reduce((allFieldNames, field, i) => {
+    if (allFieldNames.has(field.name)) {
+      reportProblem(new DbfFieldDescriptorError(`Duplicate field name '${field.name}'`, {
+        code: 'ERR_DUPLICATE_FIELD_NAME',
+        offset: isDBase7 ? dBase7HeaderLength + i*dBase7FieldDescriptorLength : 32 + i*32,
+        field: field.name
+      }), warn);
+    }
+    return allFieldNames.add(field.name);
+  }, new Set());
+
+  if (isVisualFoxPro) {
+    assignNullFlagBits(header.fields);
+  }
+
+  return header;
+}
+
+// returns the field descriptor array (excluding the terminator) of a dBASE III/IV, FoxPro, or Visual FoxPro header
+function sliceFieldDescriptors(buffer, numberOfHeaderBytes, isVisualFoxPro) {
+  // the database container backlink in Visual FoxPro tables is not part of the field descriptor array
+  const numberOfFieldDescriptorBytes = numberOfHeaderBytes - (isVisualFoxPro ? visualFoxProBacklinkLength : 0);
+
+  // the number of header bytes (less any backlink) should be 1 when modded with 32
+  if (numberOfFieldDescriptorBytes % 32 !== 1) {
+    throw new DbfHeaderError(`Invalid number of header bytes: ${numberOfHeaderBytes}`, { code: 'ERR_INVALID_HEADER_LENGTH', offset: 8 });
+  }
+
+  // emit an error if the header bytes does not end with 0x0D (per spec)
+  if (buffer.readUInt8(numberOfFieldDescriptorBytes-1) !== 0x0D) {
+    throw new DbfHeaderError(`Invalid field descriptor array terminator at byte ${numberOfFieldDescriptorBytes}`, {
+      code: 'ERR_INVALID_FIELD_DESCRIPTOR_TERMINATOR',
+      offset: numberOfFieldDescriptorBytes-1
+    });
+  }
+
+  // there are 32 bytes per header field + 1 byte for terminator + 32 bytes for the initial header
+  return buffer.slice(32, numberOfFieldDescriptorBytes-1);
+}
+
+// returns the field descriptor array (excluding the terminator) of a dBASE 7 header
+function sliceDBase7FieldDescriptors(buffer, numberOfHeaderBytes) {
+  // dBASE 7 headers may have field properties after the terminator, so look for it descriptor by descriptor
+  let terminatorOffset = dBase7HeaderLength;
+
+  while (terminatorOffset < numberOfHeaderBytes && buffer.readUInt8(terminatorOffset) !== 0x0D) {
+    terminatorOffset += dBase7FieldDescriptorLength;
+  }
+
+  if (terminatorOffset >= numberOfHeaderBytes) {
+    throw new DbfHeaderError(`Invalid field descriptor array terminator at byte ${numberOfHeaderBytes}`, {
+      code: 'ERR_INVALID_FIELD_DESCRIPTOR_TERMINATOR',
+      offset: numberOfHeaderBytes-1
+    });
+  }
+
+  return buffer.slice(dBase7HeaderLength, terminatorOffset);
+}
+
+// assigns each nullable and variable-length Visual FoxPro field its bit(s) in the _NullFlags field
+function assignNullFlagBits(fields) {
+  let bit = 0;
+
+  fields.forEach(field => {
+    // V/Q fields use a bit to flag values shorter than the field (with the actual length stored in the last byte)
+    if (field.type === 'V' || field.type === 'Q') {
+      field.varLengthBit = bit;
+      bit+=1;
+    }
+    if (field.isNullable) {
+      field.nullFlagBit = bit;
+      bit+=1;
+    }
+  });
+}
+
+// parses up 32 bytes from `fieldBytes` into a valid field definition
+function parseHeaderField(fieldBytes, format, val, i) {
+  const field = fieldBytes.slice(i*32, i*32+32);
+  const isVisualFoxPro = format.isVisualFoxPro;
+
+  // where the descriptor starts in the file and which field it describes, for errors
+  const location = {
+    offset: 32 + i*32,
+    field: field.toString('utf-8', 0, 10).replace(/\0/g, '')
+  };
+
+  // extract the field length from the 16th byte
+  const length = field.readUInt8(16);
+  if (length === 255) {
+    reportProblem(fieldDescriptorError('Field length must be less than 255', 'ERR_INVALID_FIELD_LENGTH', location, 16), format.warn);
+  }
+
+  // extract the field type from the 11th byte
+  const type = field.toString('utf-8', 11, 12);
+  if (!format.fieldTypes.has(type)) {
+    reportProblem(fieldDescriptorError(`Field type must be one of: ${Array.from(format.fieldTypes).join(', ')}`,
+      'ERR_UNSUPPORTED_FIELD_TYPE', location, 11), format.warn);
+  }
+
+  // validate that certain types have expected lengths
+  validateFieldLength(type, length, isVisualFoxPro ? visualFoxProFieldLengths : {}, Object.assign({}, location, {
+    offset: location.offset + 16,
+    warn: format.warn
+  }));
+
+  // i have no idea what this is, but read it anyway since it might be of use
+  const isIndexedInMDXFile = field.readUInt8(31);
+  if (isIndexedInMDXFile > 1) {
+    reportProblem(fieldDescriptorError(`Invalid indexed in production MDX file value: ${isIndexedInMDXFile}`,
+      'ERR_INVALID_MDX_INDEX_FLAG', location, 31), format.warn);
+  }
+
+  // return an object representing the field definition
+  const fieldDefinition = {
+    name: location.field,
+    type: type,
+    length: length,
+    precision: field.readUInt8(17),
+    workAreaId: field.readUInt16LE(18),
+    isIndexedInMDXFile: isIndexedInMDXFile === 1
+  };
+
+  // Visual FoxPro stores field flags where dBASE stores the work area ID
+  if (isVisualFoxPro) {
+    const flags = field.readUInt8(18);
+
+    fieldDefinition.isSystem = (flags & visualFoxProSystemFlag) !== 0;
+    fieldDefinition.isNullable = (flags & visualFoxProNullableFlag) !== 0;
+    fieldDefinition.isBinary = (flags & visualFoxProBinaryFlag) !== 0;
+  }
+
+  return fieldDefinition;
+}
+
+// parses 48 bytes from `fieldBytes` into a valid dBASE 7 field definition
+function parseDBase7HeaderField(fieldBytes, format, val, i) {
+  const field = fieldBytes.slice(i*dBase7FieldDescriptorLength, (i+1)*dBase7FieldDescriptorLength);
+
+  // where the descriptor starts in the file and which field it describes, for errors
+  const location = {
+    offset: dBase7HeaderLength + i*dBase7FieldDescriptorLength,
+    field: field.toString('utf-8', 0, 32).replace(/\0/g, '')
+  };
+
+  // extract the field length from the 33rd byte
+  const length = field.readUInt8(33);
+  if (length === 255) {
+    reportProblem(fieldDescriptorError('Field length must be less than 255', 'ERR_INVALID_FIELD_LENGTH', location, 33), format.warn);
+  }
+
+  // extract the field type from the 32nd byte
+  const type = field.toString('utf-8', 32, 33);
+  if (!format.fieldTypes.has(type)) {
+    reportProblem(fieldDescriptorError(`Field type must be one of: ${Array.from(format.fieldTypes).join(', ')}`,
+      'ERR_UNSUPPORTED_FIELD_TYPE', location, 32), format.warn);
+  }
+
+  // validate that certain types have expected lengths
+  validateFieldLength(type, length, dBase7FieldLengths, Object.assign({}, location, {
+    offset: location.offset + 33,
+    warn: format.warn
+  }));
+
+  const isIndexedInMDXFile = field.readUInt8(37);
+  if (isIndexedInMDXFile > 1) {
+    reportProblem(fieldDescriptorError(`Invalid indexed in production MDX file value: ${isIndexedInMDXFile}`,
+      'ERR_INVALID_MDX_INDEX_FLAG', location, 37), format.warn);
+  }
+
+  // return an object representing the field definition
+  return {
+    name: location.field,
+    type: type,
+    length: length,
+    precision: field.readUInt8(34),
+    isIndexedInMDXFile: isIndexedInMDXFile === 1
+  };
+}
+
+// returns a DbfFieldDescriptorError for the field descriptor at `location`, `byte` is relative to the descriptor
+function fieldDescriptorError(message, code, location, byte) {
+  return new DbfFieldDescriptorError(message, {
+    code: code,
+    offset: location.offset + byte,
+    field: location.field
+  });
+}
+
+// validates the length of types with an expected length, `fixedFieldLengths` holds version-specific types
+//  `location` is the offset of the length byte and the name of the field, for errors, and `warn` (if any)
+function validateFieldLength(type, length, fixedFieldLengths, location) {
+  let message;
+
+  if (type === 'D' && length !== 8) {
+    message = `Invalid D (date) field length: ${length}`;
+  } else if (type === 'L' && length !== 1) {
+    message = `Invalid L (logical) field length: ${length}`;
+  } else if (fixedFieldLengths[type] && length !== fixedFieldLengths[type]) {
+    message = `Invalid ${type} field length: ${length}`;
+  } else if (type === 'M' && !fixedFieldLengths.M && length !== 10) {
+    // memo fields hold a 10-character block number unless the version stores them differently
+    message = `Invalid M (memo) field length: ${length}`;
+  }
+
+  if (message) {
+    reportProblem(new DbfFieldDescriptorError(message, {
+      code: 'ERR_INVALID_FIELD_LENGTH',
+      offset: location.offset,
+      field: location.field
+    }), location.warn);
+  }
+}
+
+// throws `err`, or passes it to `warn` if supplied so that parsing can continue
+function reportProblem(err, warn) {
+  if (!warn) {
+    throw err;
+  }
+
+  warn(err);
+}
+
+
+// replaces a validated M-type (or Visual FoxPro G-type) block number with the value stored in the memo file
+function resolveMemo(blockNumber, field, context) {
+  const block = typeof blockNumber === 'number' ? blockNumber : parseInt(blockNumber, 10);
+
+  // a blank or 0 block number means the record has no memo (block 0 is the memo file header)
+  if (!block) {
+    return null;
+  }
+
+  if (!context.memo.hasBlock(block)) {
+    const message = `Memo block ${block} for field '${field.name}' in record ${context.recordNumber} is beyond the end of the memo file`;
+
+    throw new DbfMemoError(message, {
+      code: 'ERR_MEMO_BLOCK_OUT_OF_RANGE',
+      offset: block * context.memo.blockSize
+    });
+  }
+
+  try {
+    return context.memo.read(block, context.encoding);
+  } catch (err) {
+    err.message = `${err.message} for field '${field.name}' in record ${context.recordNumber}`;
+    throw err;
+  }
+}
+
+// converts a record-sized chunk into an object based on the metadata available in `header`
+//  `context` holds the encoding, memo file (if any), the 0-based record number, the strictness,
+//  the Set of field names to output (all fields if undefined, other fields aren't decoded), any custom converters,
+//  and the numeric mode used for F/N-type values
+//  in lenient mode, invalid field values are output as `null` and records with an invalid deleted flag
+//  are skipped (`undefined` is returned), with a warning passed to `context.warn` for each
+function convertToRecord(chunk, header, context) {
+  let deleted;
+
+  // where the record starts in the file, for errors
+  const recordOffset = header.numberOfHeaderBytes + context.recordNumber * header.numberOfBytesInRecord;
+
+  try {
+    deleted = isDeleted(chunk);
+  } catch (err) {
+    Object.assign(err, { offset: recordOffset, recordIndex: context.recordNumber });
+
+    if (context.strict) {
+      throw err;
+    }
+
+    context.warn(err);
+    return undefined;
+  }
+
+  const record = {
+    '@meta': {
+      deleted: deleted
+    }
+  };
+
+  // keep track of how far we're into the record byte-wise
+  // start at 1 since the 0th byte is the deleted flag
+  let byteOffset = 1;
+
+  const binaryTypeHandlers = binaryTypeHandlersFor(header.version);
+  const nullFlags = visualFoxProVersions.has(header.version) ? readNullFlags(chunk, header) : undefined;
+
+  header.fields.forEach(field => {
+    let bytes = chunk.slice(byteOffset, byteOffset+field.length);
+
+    // update where the next field starts
+    byteOffset += field.length;
+
+    // system fields (such as _NullFlags) are not part of the record
+    if (field.isSystem) {
+      return;
+    }
+
+    // fields not requested are skipped without decoding
+    if (context.fields && !context.fields.has(field.name)) {
+      return;
+    }
+
+    if (isNullFlagSet(nullFlags, field.nullFlagBit)) {
+      record[field.name] = null;
+      return;
+    }
+
+    // variable-length values shorter than the field store their actual length in the last byte
+    if (isNullFlagSet(nullFlags, field.varLengthBit)) {
+      bytes = bytes.slice(0, bytes.readUInt8(bytes.length-1));
+    }
+
+    try {
+      record[field.name] = convertToValue(bytes, field, binaryTypeHandlers, context);
+    } catch (thrown) {
+      // custom converters may throw anything
+      const err = thrown instanceof Error ? thrown : new Error(String(thrown));
+
+      // memo errors already hold the offset in the memo file
+      if (!(err instanceof DbfMemoError)) {
+        err.offset = recordOffset + byteOffset - field.length;
+      }
+      Object.assign(err, { recordIndex: context.recordNumber, field: field.name });
+
+      if (context.strict) {
+        throw err;
+      }
+
+      context.warn(err);
+      record[field.name] = null;
+    }
+
+  });
+
+  return record;
+}
+
+// converts the bytes of a single field into a value
+function convertToValue(bytes, field, binaryTypeHandlers, context) {
+  const converter = converterFor(field, context.converters);
+
+  // custom converters take the place of the type handler and memo lookup
+  if (converter) {
+    return converter(bytes, Iconv.decode(bytes, context.encoding), field);
+  }
+
+  let value;
+
+  if (binaryTypeHandlers[field.type]) {
+    value = binaryTypeHandlers[field.type](bytes);
+  } else {
+    // read the value out with given encoding
+    value = typeHandlers[field.type](Iconv.decode(bytes, context.encoding), field, context);
+  }
+
+  // when a memo file is available, swap the block number for the memo itself
+  if ((field.type === 'M' || field.type === 'G') && context.memo) {
+    return resolveMemo(value, field, context);
+  }
+
+  return value;
+}
+
+// returns the converter for the field, by field name in preference to type, if any
+function converterFor(field, converters) {
+  if (!converters) {
+    return undefined;
+  }
+  if (Object.prototype.hasOwnProperty.call(converters, field.name)) {
+    return converters[field.name];
+  }
+  if (Object.prototype.hasOwnProperty.call(converters, field.type)) {
+    return converters[field.type];
+  }
+}
+
+// returns the bytes of the Visual FoxPro _NullFlags field, if the table has one
+function readNullFlags(chunk, header) {
+  // 1 since the 0th byte is the deleted flag
+  let byteOffset = 1;
+
+  for (const field of header.fields) {
+    if (field.type === '0') {
+      return chunk.slice(byteOffset, byteOffset+field.length);
+    }
+
+    byteOffset += field.length;
+  }
+}
+
+// returns true if `bit` is set in the Visual FoxPro _NullFlags bytes
+function isNullFlagSet(nullFlags, bit) {
+  if (!nullFlags || bit === undefined) {
+    return false;
+  }
+
+  return (nullFlags.readUInt8(Math.floor(bit / 8)) & (1 << (bit % 8))) !== 0;
+}
+
+// determines if the first byte of a chunk is a valid deleted flag, or throws an error otherwise
+function isDeleted(chunk) {
+  const firstByte = chunk.readUInt8(0, 1);
+
+  if (firstByte === 0x20) { // ' '
+    return false;
+  }
+  if (firstByte === 0x2A) { // '*'
+    return true;
+  }
+
+  throw new DbfRecordError(`Invalid deleted record value: ${String.fromCharCode(firstByte)}`, { code: 'ERR_INVALID_DELETED_FLAG' });
+}
+
+// returns the number of records in a file of `fileSize` bytes described by `header`, either as declared in the header
+//  or, depending on `recordCount`, checked against or inferred from the number of whole records that fit in the file
+//  (the end-of-file marker is optional), a stale count throws in 'check' mode and is passed to `warn` in 'infer' mode
+function resolveNumberOfRecords(header, fileSize, recordCount, warn) {
+  if (recordCount === 'header') {
+    return header.numberOfRecords;
+  }
+
+  const numberOfRecordsInFile = Math.max(Math.floor((fileSize - header.numberOfHeaderBytes) / header.numberOfBytesInRecord), 0);
+
+  if (numberOfRecordsInFile === header.numberOfRecords) {
+    return numberOfRecordsInFile;
+  }
+
+  const err = new DbfHeaderError(
+    `Number of records in header (${header.numberOfRecords}) does not match the ${numberOfRecordsInFile} record(s) ` +
+    `in the ${fileSize}-byte file`, {
+      code: 'ERR_RECORD_COUNT_MISMATCH',
+      offset: 4
+    });
+
+  if (recordCount === 'check') {
+    throw err;
+  }
+
+  warn(err);
+
+  return numberOfRecordsInFile;
+}
+
+module.exports = {
+  supportedVersions,
+  visualFoxProVersions,
+  dBase7Versions,
+  supportedFieldTypes,
+  validMTypeValueRegex,
+  hasEnoughBytesForHeader,
+  parseHeader,
+  convertToRecord,
+  resolveNumberOfRecords
+};
@@ -0,0 +1,283 @@
+const { Writable } = require('stream');
+const { validateDeleted, validateFields, validateFieldsInHeader } = require('./options');
+
+// distinct values of each field are counted exactly up to this many, then estimated
+const defaultDistinctLimit = 1000;
+
+// distinct estimates use a HyperLogLog of 2^14 registers (16 KB per field), which is typically within 1%
+const registerBits = 14;
+const numberOfRegisters = 2 ** registerBits;
+
+// the bits of each 32-bit hash not used to select a register
+const rankBits = 32 - registerBits;
+
+// types whose declared length limits the length of their string values
+const lengthLimitedTypes = new Set(['C', 'V']);
+
+// accumulates statistics about the records (as output by YADBF) written to it, the fields are those of the header,
+//  which is taken from the 'header' event of the stream piped in, call `report()` once finished for the statistics
+class YADBFProfile extends Writable {
+  constructor(options = {}) {
+    super({ objectMode: true });
+
+    this.includeDeletedRecords = validateDeleted(options.deleted);
+    this.distinctLimit = validateDistinctLimit(options.distinctLimit);
+    this.fields = validateFields(options.fields);
+
+    // keep track of how many records, deleted or not, have been written
+    this.recordCount = 0;
+    this.deletedRecordCount = 0;
+
+    this.on('pipe', source => {
+      // a reader's `fields` option also limits the fields profiled unless `fields` was supplied
+      if (this.fields === undefined && source.fields instanceof Set) {
+        this.fields = source.fields;
+      }
+
+      source.once('header', header => {
+        this.header = header;
+      });
+    });
+  }
+
+  _write(record, encoding, callback) {
+    this.recordCount += 1;
+
+    if (record['@meta'].deleted) {
+      this.deletedRecordCount += 1;
+
+      if (!this.includeDeletedRecords) {
+        return callback();
+      }
+    }
+
+    try {
+      consumeFieldProfiles.bind(this)().forEach(fieldProfile => fieldProfile.add(record[fieldProfile.name]));
+    } catch (err) {
+      return callback(err);
+    }
+
+    callback();
+  }
+
+  // returns the number of records, the number and share of deleted records, and the statistics of each field
+  //  keyed by field name
+  report() {
+    const fieldProfiles = this.header ? consumeFieldProfiles.bind(this)() : [];
+
+    return {
+      numberOfRecords: this.recordCount,
+      deletedRecords: this.deletedRecordCount,
+      deletedShare: this.recordCount === 0 ? 0 : this.deletedRecordCount / this.recordCount,
+      fields: fieldProfiles.reduce((fields, fieldProfile) => {
+        fields[fieldProfile.name] = fieldProfile.report();
+        return fields;
+      }, {})
+    };
+  }
+}
+
+// statistics of the values of a single field
+class FieldProfile {
+  constructor(field, distinctLimit) {
+    this.name = field.name;
+    this.type = field.type;
+    this.length = field.length;
+
+    this.count = 0;
+    this.nulls = 0;
+    this.blanks = 0;
+    this.min = null;
+    this.max = null;
+    this.maxLength = lengthLimitedTypes.has(field.type) ? 0 : null;
+    this.distinct = new DistinctCounter(distinctLimit);
+  }
+
+  add(value) {
+    this.count += 1;
+
+    // unknown logical values are undefined
+    if (value === null || value === undefined) {
+      this.nulls += 1;
+      return;
+    }
+
+    if (typeof value === 'string') {
+      if (value.trim() === '') {
+        this.blanks += 1;
+      }
+
+      if (this.maxLength !== null) {
+        this.maxLength = Math.max(this.maxLength, value.length);
+      }
+    }
+
+    if (isOrdered(value)) {
+      if (this.min === null || value < this.min) {
+        this.min = value;
+      }
+      if (this.max === null || value > this.max) {
+        this.max = value;
+      }
+    }
+
+    this.distinct.add(distinctKey(value));
+  }
+
+  report() {
+    return {
+      type: this.type,
+      length: this.length,
+      count: this.count,
+      nulls: this.nulls,
+      blanks: this.blanks,
+      distinct: this.distinct.count(),
+      distinctIsEstimate: this.distinct.isEstimate(),
+      min: this.min,
+      max: this.max,
+      maxLength: this.maxLength
+    };
+  }
+}
+
+// counts distinct values exactly until there are more than `limit`, then estimates the count with a HyperLogLog
+//  so that memory doesn't grow with the number of distinct values
+class DistinctCounter {
+  constructor(limit) {
+    this.limit = limit;
+    this.values = new Set();
+  }
+
+  add(key) {
+    if (!this.registers) {
+      this.values.add(key);
+
+      if (this.values.size <= this.limit) {
+        return;
+      }
+
+      this.registers = new Uint8Array(numberOfRegisters);
+      this.values.forEach(value => addToRegisters(this.registers, value));
+      this.values = undefined;
+      return;
+    }
+
+    addToRegisters(this.registers, key);
+  }
+
+  isEstimate() {
+    return this.registers !== undefined;
+  }
+
+  count() {
+    return this.registers ? estimateCardinality(this.registers) : this.values.size;
+  }
+}
+
+// returns the field profiles, creating them the first time it's called
+function consumeFieldProfiles() {
+  if (this.fieldProfiles) {
+    return this.fieldProfiles;
+  }
+
+  if (!this.header) {
+    throw new Error('header is not known, pipe from YADBF');
+  }
+
+  validateFieldsInHeader(this.fields, this.header);
+
+  // system fields (such as _NullFlags) are never part of a record
+  this.fieldProfiles = this.header.fields
+    .filter(field => !field.isSystem && (this.fields === undefined || this.fields.has(field.name)))
+    .map(field => new FieldProfile(field, this.distinctLimit));
+
+  return this.fieldProfiles;
+}
+
+// returns true if `value` has a minimum and maximum: numbers, BigInts, and Dates
+function isOrdered(value) {
+  return (typeof value === 'number' && !isNaN(value)) || typeof value === 'bigint' || value instanceof Date;
+}
+
+// returns a string that's equal for equal values of a field
+function distinctKey(value) {
+  if (value instanceof Date) {
+    return String(value.getTime());
+  }
+  if (Buffer.isBuffer(value)) {
+    return value.toString('base64');
+  }
+
+  return String(value);
+}
+
+// records `key` in the HyperLogLog `registers`: the first bits of its hash select a register, which keeps the
+//  highest position of the first 1 bit seen in the rest of the hash
+function addToRegisters(registers, key) {
+  const hash = hashString(key);
+  const index = hash >>> rankBits;
+  const rank = Math.min(Math.clz32((hash << registerBits) >>> 0), rankBits) + 1;
+
+  if (rank > registers[index]) {
+    registers[index] = rank;
+  }
+}
+
+// returns the HyperLogLog estimate of the number of distinct keys added to `registers`, with the corrections
+//  for small counts (linear counting of empty registers) and for counts approaching the 32-bit hash space
+function estimateCardinality(registers) {
+  const alpha = 0.7213 / (1 + 1.079 / numberOfRegisters);
+
+  let sum = 0;
+  let emptyRegisters = 0;
+
+  registers.forEach(rank => {
+    sum += 2 ** -rank;
+
+    if (rank === 0) {
+      emptyRegisters += 1;
+    }
+  });
+
+  const estimate = alpha * numberOfRegisters * numberOfRegisters / sum;
+
+  if (estimate <= 2.5 * numberOfRegisters && emptyRegisters > 0) {
+    return Math.round(numberOfRegisters * Math.log(numberOfRegisters / emptyRegisters));
+  }
+
+  if (estimate > 2 ** 32 / 30) {
+    return Math.round(-(2 ** 32) * Math.log(1 - estimate / 2 ** 32));
+  }
+
+  return Math.round(estimate);
+}
+
+// returns the 32-bit FNV-1a hash of the UTF-16 code units of `key`, finished with the MurmurHash3 mix
+//  so that every bit depends on every input bit
+function hashString(key) {
+  let hash = 0x811C9DC5;
+
+  for (let i = 0; i < key.length; i += 1) {
+    hash = Math.imul(hash ^ key.charCodeAt(i), 0x01000193);
+  }
+
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85EBCA6B);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35);
+
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+// validates that `distinctLimit` is a non-negative integer, defaulting to 1,000 if not supplied
+function validateDistinctLimit(distinctLimit) {
+  if (distinctLimit === undefined) {
+    return defaultDistinctLimit;
+  }
+
+  if (distinctLimit < 0 || !Number.isInteger(distinctLimit)) {
+    throw new Error('distinctLimit must be a non-negative integer');
+  }
+
+  return distinctLimit;
+}
+
+module.exports = YADBFProfile;
@@ -0,0 +1,224 @@
+const { validateNumeric } = require('./options');
+
+// converts a parsed header into descriptions of the records YADBF emits for other tools:
+//  a JSON Schema, a TypeScript interface, and CREATE TABLE statements
+
+// SQL dialects that CREATE TABLE statements can be written for
+const sqlDialects = new Set(['postgresql', 'sqlite']);
+
+// Visual FoxPro memo and general fields are 4-byte block numbers instead of 10-character strings
+const visualFoxProVersions = new Set([0x30, 0x31, 0x32]);
+
+// value types keyed by field type, each with the JSON Schema of the value (as serialized by JSON.stringify, so Dates
+//  are strings), the TypeScript type of the value, the SQL type in a dialect, and whether the value can be null
+//  values of types not listed (such as those with a custom converter) are described as unknown
+const valueTypes = {
+  C: {
+    json: field => ({ type: 'string', maxLength: field.length }),
+    typescript: 'string',
+    sql: field => `VARCHAR(${field.length})`
+  },
+  V: {
+    json: field => ({ type: 'string', maxLength: field.length }),
+    typescript: 'string',
+    sql: field => `VARCHAR(${field.length})`
+  },
+  N: {
+    json: (field, options) => options.numeric === 'string' ? { type: 'string' } : { type: 'number' },
+    typescript: (field, options) => ({ number: 'number', exact: 'number | bigint', string: 'string' })[options.numeric],
+    sql: field => `NUMERIC(${field.length}, ${field.precision})`,
+    nullable: true
+  },
+  D: {
+    json: () => ({ type: 'string', format: 'date-time' }),
+    typescript: 'Date',
+    sql: () => 'DATE',
+    nullable: true
+  },
+  L: {
+    json: () => ({ type: 'boolean' }),
+    typescript: 'boolean',
+    sql: () => 'BOOLEAN',
+    // unknown values ('?' or ' ') are undefined, so the property may be missing once serialized
+    optional: true
+  },
+  M: {
+    json: (field, options, header) => memoType(options, header) === 'number' ? { type: 'integer' } : { type: 'string' },
+    typescript: (field, options, header) => memoType(options, header),
+    sql: () => 'TEXT',
+    nullable: (field, options) => options.memo
+  },
+  I: {
+    json: () => ({ type: 'integer' }),
+    typescript: 'number',
+    sql: () => 'INTEGER'
+  },
+  B: {
+    json: () => ({ type: 'number' }),
+    typescript: 'number',
+    sql: (field, dialect) => dialect === 'sqlite' ? 'REAL' : 'DOUBLE PRECISION'
+  },
+  Y: {
+    json: () => ({ type: 'number' }),
+    typescript: 'number',
+    // currency is a 64-bit integer scaled by 10,000
+    sql: () => 'NUMERIC(19, 4)'
+  },
+  T: {
+    json: () => ({ type: 'string', format: 'date-time' }),
+    typescript: 'Date',
+    sql: () => 'TIMESTAMP',
+    nullable: true
+  },
+  Q: {
+    json: () => ({ type: 'object' }),
+    typescript: 'Buffer',
+    sql: (field, dialect) => dialect === 'sqlite' ? 'BLOB' : 'BYTEA'
+  }
+};
+
+// types that share the value type of another type
+valueTypes.F = valueTypes.N;
+valueTypes.G = valueTypes.M;
+valueTypes['@'] = valueTypes.T;
+valueTypes['+'] = valueTypes.I;
+valueTypes.O = valueTypes.B;
+
+// the value type of fields with a type not listed in `valueTypes`
+const unknownValueType = {
+  json: () => ({}),
+  typescript: 'unknown',
+  sql: () => 'TEXT'
+};
+
+// identifiers that can be used as TypeScript property names without quoting
+const identifierRegex = /^[A-Za-z_$][\w$]*$/;
+
+// returns the JSON Schema (draft-07) of the records YADBF emits for `header` once serialized with JSON.stringify
+function toJSONSchema(header, options = {}) {
+  const context = schemaContext(header, options);
+
+  const properties = {
+    '@meta': {
+      type: 'object',
+      properties: { deleted: { type: 'boolean' } },
+      required: ['deleted'],
+      additionalProperties: false
+    }
+  };
+
+  context.fields.forEach(field => {
+    const valueType = valueTypeFor(field);
+    const schema = valueType.json(field, context.options, header);
+
+    // null is added to the type rather than wrapping the schema so that keywords such as maxLength still apply
+    properties[field.name] = isNullable(valueType, field, context.options) && schema.type ?
+      Object.assign({}, schema, { type: [schema.type, 'null'] }) :
+      schema;
+  });
+
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: context.options.name,
+    type: 'object',
+    properties: properties,
+    required: ['@meta'].concat(context.fields.filter(field => !valueTypeFor(field).optional).map(field => field.name)),
+    additionalProperties: false
+  };
+}
+
+// returns a TypeScript interface declaration for the records YADBF emits for `header`
+function toTypeScript(header, options = {}) {
+  const context = schemaContext(header, options);
+
+  const properties = context.fields.map(field => {
+    const valueType = valueTypeFor(field);
+    const type = typeof valueType.typescript === 'function' ?
+      valueType.typescript(field, context.options, header) :
+      valueType.typescript;
+
+    const name = identifierRegex.test(field.name) ? field.name : `'${field.name.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+
+    return `  ${name}${valueType.optional ? '?' : ''}: ${type}${isNullable(valueType, field, context.options) ? ' | null' : ''};\n`;
+  });
+
+  return `export interface ${context.options.name} {\n` +
+    '  \'@meta\': { deleted: boolean };\n' +
+    properties.join('') +
+    '}\n';
+}
+
+// returns a CREATE TABLE statement for the fields of `header` in the `dialect` option ('postgresql' or 'sqlite')
+function toSQL(header, options = {}) {
+  const context = schemaContext(header, options);
+
+  if (!sqlDialects.has(context.options.dialect)) {
+    throw new Error(`dialect must be one of: ${Array.from(sqlDialects).join(', ')}`);
+  }
+
+  const columns = context.fields.map(field => {
+    return `  ${quoteIdentifier(field.name)} ${valueTypeFor(field).sql(field, context.options.dialect)}`;
+  });
+
+  return `CREATE TABLE ${quoteIdentifier(context.options.table)} (\n${columns.join(',\n')}\n);\n`;
+}
+
+// validates `header` and `options`, returning the fields that are part of each record and the options with defaults
+function schemaContext(header, options) {
+  if (header === null || typeof header !== 'object' || !Array.isArray(header.fields)) {
+    throw new Error('header must be an object with fields');
+  }
+
+  if (options.memo !== undefined && options.memo !== true && options.memo !== false) {
+    throw new Error('memo must be a boolean');
+  }
+
+  if (options.name !== undefined && !identifierRegex.test(options.name)) {
+    throw new Error('name must be a valid TypeScript identifier');
+  }
+
+  if (options.table !== undefined && (typeof options.table !== 'string' || options.table.length === 0)) {
+    throw new Error('table must be a non-empty string');
+  }
+
+  return {
+    // system fields (such as _NullFlags) are never part of a record
+    fields: header.fields.filter(field => !field.isSystem),
+    options: {
+      numeric: validateNumeric(options.numeric),
+      memo: options.memo === true,
+      name: options.name || 'DbfRecord',
+      table: options.table || 'records',
+      dialect: options.dialect === undefined ? 'postgresql' : options.dialect
+    }
+  };
+}
+
+// returns the value type for the type of `field`
+function valueTypeFor(field) {
+  return Object.prototype.hasOwnProperty.call(valueTypes, field.type) ? valueTypes[field.type] : unknownValueType;
+}
+
+// returns true if the value of `field` can be null, such as blank dates and numbers or Visual FoxPro nullable fields
+function isNullable(valueType, field, options) {
+  const nullable = typeof valueType.nullable === 'function' ? valueType.nullable(field, options) : valueType.nullable;
+
+  return !!nullable || !!field.isNullable;
+}
+
+// returns the TypeScript type of M- and G-type values: the memo when the memo file is read, otherwise the block
+//  number, which is a number for Visual FoxPro and a 10-character string otherwise
+function memoType(options, header) {
+  return !options.memo && visualFoxProVersions.has(header.version) ? 'number' : 'string';
+}
+
+// returns `name` as a double-quoted SQL identifier
+function quoteIdentifier(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+module.exports = {
+  toJSONSchema,
+  toTypeScript,
+  toSQL
+};
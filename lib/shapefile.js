@@ -0,0 +1,330 @@
+const { Transform } = require('stream');
+const { DbfShapeError } = require('./errors');
+
+// the .shp header is always 100 bytes
+const headerLength = 100;
+
+// each record starts with an 8-byte header of the big-endian record number and content length
+const recordHeaderLength = 8;
+
+// the file code in the first 4 bytes of every .shp file
+const fileCode = 9994;
+
+// shape types keyed by the integer found in the header and each record
+//  X3/X5/X8 are the Z (1X) and M (2X) variants of PolyLine, Polygon, and MultiPoint
+const shapeTypes = new Map([
+  [0, 'Null'],
+  [1, 'Point'],
+  [3, 'PolyLine'],
+  [5, 'Polygon'],
+  [8, 'MultiPoint'],
+  [11, 'PointZ'],
+  [13, 'PolyLineZ'],
+  [15, 'PolygonZ'],
+  [18, 'MultiPointZ'],
+  [21, 'PointM'],
+  [23, 'PolyLineM'],
+  [25, 'PolygonM'],
+  [28, 'MultiPointM']
+]);
+
+// geometry readers keyed by the base shape type (the shape type modulo 10), each returns a GeoJSON geometry,
+//  Z values are the third coordinate and M values are not output since GeoJSON has no place for them
+const geometryReaders = {
+  // X, Y (and Z)
+  1(content, hasZ) {
+    const coordinates = [content.readDoubleLE(4), content.readDoubleLE(12)];
+
+    if (hasZ) {
+      coordinates.push(content.readDoubleLE(20));
+    }
+
+    return { type: 'Point', coordinates: coordinates };
+  },
+  // bounding box, number of parts, number of points, part start indexes, and points
+  3(content, hasZ) {
+    const lines = readParts(content, hasZ);
+
+    if (lines.length === 0) {
+      return null;
+    }
+
+    return lines.length === 1 ?
+      { type: 'LineString', coordinates: lines[0] } :
+      { type: 'MultiLineString', coordinates: lines };
+  },
+  // same layout as PolyLine, the parts are rings
+  5(content, hasZ) {
+    return toPolygonGeometry(readParts(content, hasZ));
+  },
+  // bounding box, number of points, and points
+  8(content, hasZ) {
+    const numberOfPoints = content.readInt32LE(36);
+
+    return { type: 'MultiPoint', coordinates: readCoordinates(content, 40, numberOfPoints, hasZ) };
+  }
+};
+
+// transforms the bytes of a .shp file into GeoJSON features with empty properties, one per record,
+//  emitting a 'header' event with the shape type, file length, and bounding box first
+class YADBFShapefile extends Transform {
+  constructor() {
+    super({ readableObjectMode: true });
+
+    // create an empty buffer to simplify logic later
+    this.unconsumedBytes = Buffer.alloc(0);
+
+    // keep track of the byte offset of the unconsumed bytes for error reporting
+    this.position = 0;
+
+    // keep track of how many records have been read
+    this.recordCount = 0;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.unconsumedBytes = Buffer.concat([this.unconsumedBytes, chunk]);
+
+    try {
+      if (!this.header) {
+        // wait until the entire header has been read
+        if (this.unconsumedBytes.length < headerLength) {
+          return callback();
+        }
+
+        this.header = parseHeader(this.unconsumedBytes);
+        this.emit('header', this.header);
+
+        consumeBytes.bind(this)(headerLength);
+      }
+
+      let record;
+      while ((record = nextRecord(this.unconsumedBytes)) !== undefined) {
+        this.push({
+          type: 'Feature',
+          geometry: parseGeometry(record.content, this.position + recordHeaderLength, this.recordCount),
+          properties: {}
+        });
+
+        this.recordCount += 1;
+
+        consumeBytes.bind(this)(recordHeaderLength + record.content.length);
+      }
+
+    } catch (err) {
+      return callback(err);
+    }
+
+    callback();
+  }
+
+  _flush(callback) {
+    if (!this.header) {
+      return callback(new DbfShapeError(`Unable to parse 100-byte .shp header, found ${this.unconsumedBytes.length} byte(s)`, {
+        code: 'ERR_INSUFFICIENT_HEADER_BYTES',
+        offset: this.unconsumedBytes.length
+      }));
+    }
+
+    if (this.unconsumedBytes.length > 0) {
+      return callback(new DbfShapeError(`Record ${this.recordCount} is truncated`, {
+        code: 'ERR_TRUNCATED_RECORD',
+        offset: this.position,
+        recordIndex: this.recordCount
+      }));
+    }
+
+    callback();
+  }
+}
+
+// removes `length` bytes from the beginning of the unconsumed bytes
+function consumeBytes(length) {
+  this.unconsumedBytes = this.unconsumedBytes.slice(length);
+  this.position += length;
+}
+
+// returns the shape type, file length in bytes, and bounding box from the 100-byte header
+function parseHeader(buffer) {
+  // the file code and file length are big-endian, everything else is little-endian
+  if (buffer.readInt32BE(0) !== fileCode) {
+    throw new DbfShapeError(`Invalid .shp file code: ${buffer.readInt32BE(0)}`, {
+      code: 'ERR_INVALID_FILE_CODE',
+      offset: 0
+    });
+  }
+
+  const shapeType = buffer.readInt32LE(32);
+  if (!shapeTypes.has(shapeType)) {
+    throw new DbfShapeError(`Unsupported shape type: ${shapeType}`, {
+      code: 'ERR_UNSUPPORTED_SHAPE_TYPE',
+      offset: 32
+    });
+  }
+
+  return {
+    shapeType: shapeTypes.get(shapeType),
+    // the file length is stored as a number of 16-bit words
+    fileLength: buffer.readInt32BE(24) * 2,
+    bbox: [buffer.readDoubleLE(36), buffer.readDoubleLE(44), buffer.readDoubleLE(52), buffer.readDoubleLE(60)]
+  };
+}
+
+// returns the content of the record at the beginning of `buffer`, or undefined if it hasn't all been read
+function nextRecord(buffer) {
+  if (buffer.length < recordHeaderLength) {
+    return undefined;
+  }
+
+  // the content length is stored as a number of 16-bit words
+  const contentLength = buffer.readInt32BE(4) * 2;
+
+  if (buffer.length < recordHeaderLength + contentLength) {
+    return undefined;
+  }
+
+  return { content: buffer.slice(recordHeaderLength, recordHeaderLength + contentLength) };
+}
+
+// returns the GeoJSON geometry of the record `content` found at byte `offset`, or null for Null shapes
+function parseGeometry(content, offset, recordIndex) {
+  if (content.length < 4) {
+    throw new DbfShapeError(`Record ${recordIndex} is too short to contain a shape type`, {
+      code: 'ERR_INVALID_RECORD_LENGTH',
+      offset: offset,
+      recordIndex: recordIndex
+    });
+  }
+
+  const shapeType = content.readInt32LE(0);
+
+  if (!shapeTypes.has(shapeType)) {
+    throw new DbfShapeError(`Unsupported shape type in record ${recordIndex}: ${shapeType}`, {
+      code: 'ERR_UNSUPPORTED_SHAPE_TYPE',
+      offset: offset,
+      recordIndex: recordIndex
+    });
+  }
+
+  if (shapeType === 0) {
+    return null;
+  }
+
+  try {
+    // Z variants are 11 through 18
+    return geometryReaders[shapeType % 10](content, Math.floor(shapeType / 10) === 1);
+
+  } catch (err) {
+    // reading beyond the end of the content means it's too short for the counts it declares
+    if (err instanceof RangeError) {
+      throw new DbfShapeError(`Record ${recordIndex} is too short for its ${shapeTypes.get(shapeType)} shape`, {
+        code: 'ERR_INVALID_RECORD_LENGTH',
+        offset: offset,
+        recordIndex: recordIndex
+      });
+    }
+
+    throw err;
+  }
+}
+
+// returns the coordinates of each part of a PolyLine or Polygon
+function readParts(content, hasZ) {
+  const numberOfParts = content.readInt32LE(36);
+  const numberOfPoints = content.readInt32LE(40);
+
+  // the part start indexes are followed by the points
+  const pointsOffset = 44 + numberOfParts * 4;
+  const coordinates = readCoordinates(content, pointsOffset, numberOfPoints, hasZ);
+
+  const parts = [];
+
+  for (let i = 0; i < numberOfParts; i += 1) {
+    const start = content.readInt32LE(44 + i * 4);
+    const end = i + 1 < numberOfParts ? content.readInt32LE(44 + (i + 1) * 4) : numberOfPoints;
+
+    parts.push(coordinates.slice(start, end));
+  }
+
+  return parts.filter(part => part.length > 0);
+}
+
+// returns `numberOfPoints` [X, Y] (or [X, Y, Z]) coordinates starting at `offset`,
+//  Z values follow the points as a Z range and an array of Z values
+function readCoordinates(content, offset, numberOfPoints, hasZ) {
+  const zOffset = offset + numberOfPoints * 16 + 16;
+  const coordinates = [];
+
+  for (let i = 0; i < numberOfPoints; i += 1) {
+    const coordinate = [content.readDoubleLE(offset + i * 16), content.readDoubleLE(offset + i * 16 + 8)];
+
+    if (hasZ) {
+      coordinate.push(content.readDoubleLE(zOffset + i * 8));
+    }
+
+    coordinates.push(coordinate);
+  }
+
+  return coordinates;
+}
+
+// returns a Polygon or MultiPolygon from shapefile rings, where outer rings are clockwise and holes are counterclockwise,
+//  each hole belongs to the outer ring containing it and rings are reversed to follow the GeoJSON right-hand rule
+function toPolygonGeometry(rings) {
+  const polygons = [];
+  const holes = [];
+
+  rings.forEach(ring => {
+    if (signedArea(ring) <= 0) {
+      polygons.push([ring]);
+    } else {
+      holes.push(ring);
+    }
+  });
+
+  holes.forEach(hole => {
+    const polygon = polygons.find(candidate => containsPoint(candidate[0], hole[0]));
+
+    // a hole outside every outer ring is treated as an outer ring
+    if (polygon) {
+      polygon.push(hole);
+    } else {
+      polygons.push([hole]);
+    }
+  });
+
+  if (polygons.length === 0) {
+    return null;
+  }
+
+  const coordinates = polygons.map(polygon => polygon.map(ring => ring.slice().reverse()));
+
+  return coordinates.length === 1 ?
+    { type: 'Polygon', coordinates: coordinates[0] } :
+    { type: 'MultiPolygon', coordinates: coordinates };
+}
+
+// returns twice the signed area of `ring`, which is negative for clockwise rings
+function signedArea(ring) {
+  return ring.reduce((area, [x1, y1], i) => {
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    return area + x1 * y2 - x2 * y1;
+  }, 0);
+}
+
+// returns true if `point` is inside `ring`, using ray casting
+function containsPoint(ring, [x, y]) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+module.exports = YADBFShapefile;
@@ -0,0 +1,150 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const { parseHeader, convertToRecord, hasEnoughBytesForHeader } = require('./parser');
+const {
+  validateOffset,
+  validateSize,
+  validateStrict,
+  validateFields,
+  validateConverters,
+  converterFieldTypes,
+  validateNumeric,
+  validateEncoding,
+  validateCpg,
+  validateRecordCount,
+  validateMemo,
+  closeMemo,
+  resolveHeader
+} = require('./options');
+const { DbfHeaderError, DbfRecordError } = require('./errors');
+
+// random-access reader over a .dbf file on disk, since every record has the same length each record
+//  is read directly from its position in the file without reading the records before it
+class YADBFTable extends EventEmitter {
+  constructor(path, options = {}) {
+    super();
+
+    // records are read by position and deleted records are always returned, readRange takes the place of pagination
+    if (['deleted', 'offset', 'size', 'filter'].some(name => options[name] !== undefined)) {
+      throw new Error('deleted, offset, size, and filter are not supported for random access');
+    }
+
+    this.encoding = validateEncoding(options.encoding);
+    this.strict = validateStrict(options.strict);
+    this.fields = validateFields(options.fields);
+    this.converters = validateConverters(options.converters);
+    this.numeric = validateNumeric(options.numeric);
+    this.recordCountMode = validateRecordCount(options.recordCount);
+    this.cpgEncoding = validateCpg(options.cpg);
+
+    this.fd = fs.openSync(path, 'r');
+
+    try {
+      // opened after the .dbf file so that close() closes both if anything fails
+      this.memoReader = validateMemo(options.memo);
+
+      this.header = readHeader(this.fd, converterFieldTypes(this.converters));
+
+      // the size of the file is always known, so a stale record count can be checked for or corrected
+      this.fileSize = fs.fstatSync(this.fd).size;
+
+      // header warnings are emitted once the caller has had a chance to listen for them
+      resolveHeader(this, warning => process.nextTick(() => this.emit('warning', warning)));
+
+    } catch (err) {
+      this.close();
+      throw err;
+    }
+  }
+
+  // returns the record at 0-based position `recordNumber`, or undefined if it was skipped in lenient mode
+  readRecord(recordNumber) {
+    if (!Number.isInteger(recordNumber) || recordNumber < 0 || recordNumber >= this.header.numberOfRecords) {
+      throw new Error(`recordNumber must be an integer between 0 and ${this.header.numberOfRecords - 1}`);
+    }
+
+    return this.readRange(recordNumber, 1)[0];
+  }
+
+  // returns up to `size` records starting at 0-based position `offset`, reading only the bytes of those records
+  readRange(offset, size) {
+    const start = Math.min(validateOffset(offset), this.header.numberOfRecords);
+    const end = Math.min(start + validateSize(size), this.header.numberOfRecords);
+
+    const bytes = readBytes(this.fd, recordPosition(this.header, start), (end - start) * this.header.numberOfBytesInRecord);
+
+    const records = [];
+
+    for (let recordNumber = start; recordNumber < end; recordNumber += 1) {
+      const chunkStart = (recordNumber - start) * this.header.numberOfBytesInRecord;
+      const chunk = bytes.slice(chunkStart, chunkStart + this.header.numberOfBytesInRecord);
+
+      if (chunk.length < this.header.numberOfBytesInRecord) {
+        throw new DbfRecordError(`Record ${recordNumber} is beyond the end of the file`, {
+          code: 'ERR_RECORD_OUT_OF_RANGE',
+          offset: recordPosition(this.header, recordNumber),
+          recordIndex: recordNumber
+        });
+      }
+
+      const record = convertToRecord(chunk, this.header, {
+        encoding: this.encoding,
+        memo: this.memo,
+        recordNumber: recordNumber,
+        strict: this.strict,
+        fields: this.fields,
+        converters: this.converters,
+        numeric: this.numeric,
+        warn: warning => this.emit('warning', warning)
+      });
+
+      // records that couldn't be converted in lenient mode are skipped
+      if (record) {
+        records.push(record);
+      }
+    }
+
+    return records;
+  }
+
+  // closes the .dbf file and the memo file if it was opened from a path
+  close() {
+    if (this.fd !== undefined) {
+      fs.closeSync(this.fd);
+      delete this.fd;
+    }
+
+    closeMemo(this.memoReader);
+  }
+}
+
+// returns the byte offset of 0-based record `recordNumber`
+function recordPosition(header, recordNumber) {
+  return header.numberOfHeaderBytes + recordNumber * header.numberOfBytesInRecord;
+}
+
+// returns up to `length` bytes starting at `position`, fewer if the file ends first
+function readBytes(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+
+  return buffer.slice(0, bytesRead);
+}
+
+// reads and parses the header, which declares its own length in bytes 8-9, allowing `additionalFieldTypes`
+function readHeader(fd, additionalFieldTypes) {
+  const firstBytes = readBytes(fd, 0, 32);
+
+  const buffer = firstBytes.length < 32 ? firstBytes : readBytes(fd, 0, Math.max(firstBytes.readUInt16LE(8), 32));
+
+  if (!hasEnoughBytesForHeader(buffer)) {
+    throw new DbfHeaderError(`Unable to parse first 32 bytes from header, found ${buffer.length} byte(s)`, {
+      code: 'ERR_INSUFFICIENT_HEADER_BYTES',
+      offset: buffer.length
+    });
+  }
+
+  return parseHeader(buffer, additionalFieldTypes);
+}
+
+module.exports = YADBFTable;
@@ -0,0 +1,233 @@
+const { Writable } = require('stream');
+const { parseHeader, convertToRecord, hasEnoughBytesForHeader } = require('./parser');
+const {
+  validateConverters,
+  converterFieldTypes,
+  validateEncoding,
+  validateCpg,
+  validateMemo,
+  closeMemo,
+  resolveHeader
+} = require('./options');
+const { DbfHeaderError, DbfRecordError } = require('./errors');
+
+// checks the bytes of a .dbf file written to it with the same checks YADBF performs when parsing, but instead of
+//  stopping at the first problem every problem is collected, call `report()` once finished for the problems found
+//  only problems that make the rest of the file unreadable (such as an unsupported version) end the checks early
+class YADBFValidator extends Writable {
+  constructor(options = {}) {
+    super();
+
+    // create an empty buffer to simplify logic later
+    this.unconsumedBytes = Buffer.alloc(0);
+
+    this.encoding = validateEncoding(options.encoding);
+    this.converters = validateConverters(options.converters);
+    this.maxIssues = validateMaxIssues(options.maxIssues);
+    this.cpgEncoding = validateCpg(options.cpg);
+    this.memoReader = validateMemo(options.memo);
+
+    // the number of records in the header is checked against the records actually found as they're read
+    this.recordCountMode = 'header';
+
+    this.issues = [];
+    this.numberOfIssues = 0;
+
+    // keep track of how many bytes have been written and how many records have been checked
+    this.numberOfBytes = 0;
+    this.recordCount = 0;
+  }
+
+  _write(chunk, encoding, callback) {
+    this.numberOfBytes += chunk.length;
+
+    // nothing after a problem that makes the rest of the file unreadable is checked
+    if (this.stopped) {
+      return callback();
+    }
+
+    this.unconsumedBytes = Buffer.concat([this.unconsumedBytes, chunk]);
+
+    if (!this.header) {
+      if (!hasEnoughBytesForHeader(this.unconsumedBytes)) {
+        return callback();
+      }
+
+      try {
+        checkHeader.bind(this)();
+      } catch (err) {
+        addIssue.bind(this)(err);
+        stop.bind(this)();
+        return callback();
+      }
+    }
+
+    checkRecords.bind(this)();
+
+    // only the first byte after the last record (the end-of-file marker) is needed
+    if (this.recordCount === this.header.numberOfRecords && this.unconsumedBytes.length > 0) {
+      this.byteAfterLastRecord = this.unconsumedBytes.readUInt8(0);
+      stop.bind(this)();
+    }
+
+    callback();
+  }
+
+  _final(callback) {
+    if (!this.header && !this.stopped) {
+      addIssue.bind(this)(new DbfHeaderError(`Unable to parse first 32 bytes from header, found ${this.numberOfBytes} byte(s)`, {
+        code: 'ERR_INSUFFICIENT_HEADER_BYTES',
+        offset: this.numberOfBytes
+      }));
+    }
+
+    if (this.header) {
+      checkEndOfFile.bind(this)();
+    }
+
+    closeMemo(this.memoReader);
+
+    callback();
+  }
+
+  _destroy(err, callback) {
+    closeMemo(this.memoReader);
+
+    callback(err);
+  }
+
+  // returns whether the file is valid, the number of records declared in the header and checked, and the problems
+  //  found in the order they were found, each with the error name, code, message, offset, record index, and field
+  report() {
+    return {
+      valid: this.numberOfIssues === 0,
+      numberOfRecords: this.header ? this.header.numberOfRecords : null,
+      recordsChecked: this.recordCount,
+      numberOfIssues: this.numberOfIssues,
+      issues: this.issues
+    };
+  }
+}
+
+// parses the header, collecting every problem that doesn't prevent reading the records, and prepares for the records
+function checkHeader() {
+  const warn = addIssue.bind(this);
+
+  this.header = parseHeader(this.unconsumedBytes, converterFieldTypes(this.converters), err => {
+    warn(err);
+
+    // values of fields with an unsupported type are left as-is so that the other fields can still be checked
+    if (err.code === 'ERR_UNSUPPORTED_FIELD_TYPE') {
+      this.converters = Object.assign({}, this.converters, { [err.field]: (bytes, value) => value });
+    }
+  });
+
+  // memo fields are checked as block numbers if the memo file can't be used
+  resolveHeader(this, warn, warn);
+
+  this.unconsumedBytes = this.unconsumedBytes.slice(this.header.numberOfHeaderBytes);
+}
+
+// checks each record that has been read in full, collecting problems with the deleted flag and field values
+function checkRecords() {
+  while (this.unconsumedBytes.length >= this.header.numberOfBytesInRecord && this.recordCount < this.header.numberOfRecords) {
+    const recordSizedChunk = this.unconsumedBytes.slice(0, this.header.numberOfBytesInRecord);
+
+    try {
+      convertToRecord(recordSizedChunk, this.header, {
+        encoding: this.encoding,
+        memo: this.memo,
+        recordNumber: this.recordCount,
+        strict: false,
+        converters: this.converters,
+        numeric: 'number',
+        warn: addIssue.bind(this)
+      });
+    } catch (err) {
+      addIssue.bind(this)(Object.assign(err, { recordIndex: this.recordCount }));
+    }
+
+    this.recordCount += 1;
+    this.unconsumedBytes = this.unconsumedBytes.slice(recordSizedChunk.length);
+  }
+}
+
+// checks that every record declared in the header was found and that the end-of-file marker follows the last one
+function checkEndOfFile() {
+  const endOfRecords = this.header.numberOfHeaderBytes + this.header.numberOfRecords * this.header.numberOfBytesInRecord;
+
+  if (this.recordCount < this.header.numberOfRecords) {
+    addIssue.bind(this)(new DbfRecordError(
+      `File ends after ${this.recordCount} of the ${this.header.numberOfRecords} record(s) declared in the header`, {
+        code: 'ERR_RECORD_COUNT_MISMATCH',
+        offset: this.numberOfBytes,
+        recordIndex: this.recordCount
+      }));
+
+    return;
+  }
+
+  const numberOfBytesAfterRecords = this.numberOfBytes - endOfRecords;
+
+  if (numberOfBytesAfterRecords === 0) {
+    addIssue.bind(this)(new DbfRecordError('File ends without end-of-file marker', {
+      code: 'ERR_MISSING_EOF_MARKER',
+      offset: endOfRecords
+    }));
+  } else if (numberOfBytesAfterRecords === 1 && this.byteAfterLastRecord !== 0x1A) {
+    addIssue.bind(this)(new DbfRecordError('Last byte of file is not end-of-file marker', {
+      code: 'ERR_MISSING_EOF_MARKER',
+      offset: endOfRecords
+    }));
+  } else if (numberOfBytesAfterRecords > 1) {
+    // more than the end-of-file marker after the last record usually means the header's record count is stale
+    addIssue.bind(this)(new DbfRecordError(
+      `File has ${numberOfBytesAfterRecords} byte(s) after the ${this.header.numberOfRecords} record(s) declared ` +
+      'in the header, expected only the end-of-file marker', {
+        code: 'ERR_RECORD_COUNT_MISMATCH',
+        offset: endOfRecords
+      }));
+  }
+}
+
+// records the problem `err`, listing it unless the maximum number of listed problems has been reached
+function addIssue(err) {
+  this.numberOfIssues += 1;
+
+  if (this.issues.length < this.maxIssues) {
+    this.issues.push(toIssue(err));
+  }
+}
+
+// returns a plain object describing `err` that can be serialized to JSON, properties that don't apply are null
+function toIssue(err) {
+  return {
+    name: err.name,
+    code: err.code === undefined ? null : err.code,
+    message: err.message,
+    offset: err.offset === undefined ? null : err.offset,
+    recordIndex: err.recordIndex === undefined ? null : err.recordIndex,
+    field: err.field === undefined ? null : err.field
+  };
+}
+
+// stops checking, discarding any bytes not yet checked
+function stop() {
+  this.stopped = true;
+  this.unconsumedBytes = Buffer.alloc(0);
+}
+
+// validates that `maxIssues` is a non-negative integer, defaulting to `Infinity` if not supplied
+function validateMaxIssues(maxIssues) {
+  if (maxIssues === undefined) {
+    return Infinity;
+  }
+
+  if (maxIssues < 0 || !Number.isInteger(maxIssues)) {
+    throw new Error('maxIssues must be a non-negative integer');
+  }
+
+  return maxIssues;
+}
+
+module.exports = YADBFValidator;
@@ -0,0 +1,307 @@
+const { Writable } = require('stream');
+const fs = require('fs');
+const Iconv = require('iconv-lite');
+
+const { supportedVersions, visualFoxProVersions, dBase7Versions, supportedFieldTypes, validMTypeValueRegex } = require('./parser');
+const { validateFixedEncoding } = require('./options');
+
+// versions that share the dBASE III header layout (32-byte header and field descriptors) can be written
+const writableVersions = new Set(Array.from(supportedVersions).filter(version =>
+  !visualFoxProVersions.has(version) && !dBase7Versions.has(version)));
+
+// types that have a fixed length
+const fixedFieldLengths = {
+  D: 8, L: 1, M: 10
+};
+
+// value encoders keyed by the single character type designator, each returns a string exactly `field.length` long
+const typeEncoders = {
+  C(value, field) {
+    return String(value);
+  },
+  D(value, field) {
+    if (!(value instanceof Date) || isNaN(value.getTime())) {
+      throw new Error(`Invalid D-type value for field '${field.name}': ${value}`);
+    }
+
+    // dates are read back as UTC midnight
+    return String(value.getUTCFullYear()).padStart(4, '0') +
+      String(value.getUTCMonth() + 1).padStart(2, '0') +
+      String(value.getUTCDate()).padStart(2, '0');
+  },
+  L(value, field) {
+    if (value !== true && value !== false) {
+      throw new Error(`Invalid L-type value for field '${field.name}': ${value}`);
+    }
+
+    return value ? 'T' : 'F';
+  },
+  F(value, field) {
+    return typeEncoders.N(value, field);
+  },
+  N(value, field) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Invalid ${field.type}-type value for field '${field.name}': ${value}`);
+    }
+
+    // numbers are right-aligned
+    return value.toFixed(field.precision).padStart(field.length, ' ');
+  },
+  M(value, field) {
+    if (!validMTypeValueRegex.test(value)) {
+      throw new Error(`Invalid M-type value for field '${field.name}': '${value}'`);
+    }
+
+    return value;
+  }
+};
+
+class YADBFWriter extends Writable {
+  constructor(path, options = {}) {
+    super({ objectMode: true });
+
+    this.version = validateVersion(options.version);
+    this.fields = validateFields(options.fields);
+    this.encoding = validateFixedEncoding(options.encoding);
+    this.date = validateDate(options.date);
+
+    // 1 byte for the deleted flag plus the length of each field
+    this.numberOfBytesInRecord = this.fields.reduce((numberOfBytes, field) => numberOfBytes + field.length, 1);
+
+    // keep track of how many records have been written so the header can be patched at the end
+    this.numberOfRecords = 0;
+
+    // keep track of where the next write goes
+    this.position = 0;
+
+    this.fd = fs.openSync(path, 'w');
+  }
+
+  _write(record, encoding, callback) {
+    let buffer;
+
+    // the record is encoded before the header is consumed so that an invalid record doesn't lose the header
+    try {
+      const recordBytes = encodeRecord(record, this.fields, this.encoding);
+      buffer = Buffer.concat([consumeHeader.bind(this)(), recordBytes]);
+    } catch (err) {
+      return callback(err);
+    }
+
+    this.numberOfRecords += 1;
+
+    writeBytes.bind(this)(buffer, callback);
+  }
+
+  _final(callback) {
+    let buffer;
+
+    try {
+      buffer = Buffer.concat([consumeHeader.bind(this)(), Buffer.from([0x1A])]);
+    } catch (err) {
+      return callback(err);
+    }
+
+    // the file ends with the EOF marker
+    writeBytes.bind(this)(buffer, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      // now that all records are written, patch the number of records in the header
+      const numberOfRecords = Buffer.alloc(4);
+      numberOfRecords.writeUInt32LE(this.numberOfRecords, 0);
+
+      fs.write(this.fd, numberOfRecords, 0, numberOfRecords.length, 4, err => {
+        if (err) {
+          return callback(err);
+        }
+
+        closeFile.bind(this)(callback);
+      });
+    });
+  }
+
+  _destroy(err, callback) {
+    if (this.fd === undefined) {
+      return callback(err);
+    }
+
+    closeFile.bind(this)(() => callback(err));
+  }
+}
+
+// returns the header bytes the first time it's called and an empty buffer afterwards
+function consumeHeader() {
+  if (this.headerWritten) {
+    return Buffer.alloc(0);
+  }
+
+  const header = encodeHeader(this);
+
+  this.headerWritten = true;
+
+  return header;
+}
+
+// writes `buffer` at the current position and advances the position
+function writeBytes(buffer, callback) {
+  fs.write(this.fd, buffer, 0, buffer.length, this.position, err => {
+    this.position += buffer.length;
+    callback(err);
+  });
+}
+
+// closes the underlying file
+function closeFile(callback) {
+  const fd = this.fd;
+  delete this.fd;
+
+  fs.close(fd, callback);
+}
+
+// returns the 32-byte header, field descriptor array, and terminator
+function encodeHeader(writer) {
+  const header = Buffer.alloc(32);
+
+  header.writeUInt8(writer.version, 0);
+  header.writeUInt8(writer.date.getFullYear() - 1900, 1);
+  header.writeUInt8(writer.date.getMonth() + 1, 2);
+  header.writeUInt8(writer.date.getDate(), 3);
+
+  // the number of records is patched once all records are written
+  header.writeUInt32LE(0, 4);
+
+  // 32 bytes for the header, 32 bytes per field, and 1 byte for the terminator
+  header.writeUInt16LE(32 + writer.fields.length * 32 + 1, 8);
+  header.writeUInt16LE(writer.numberOfBytesInRecord, 10);
+
+  return Buffer.concat([
+    header,
+    ...writer.fields.map(encodeField),
+    Buffer.from([0x0D])
+  ]);
+}
+
+// returns the 32-byte field descriptor for `field`
+function encodeField(field) {
+  const buffer = Buffer.alloc(32);
+
+  buffer.write(field.name, 0, 10, 'utf-8');
+  buffer.write(field.type, 11, 1, 'utf-8');
+  buffer.writeUInt8(field.length, 16);
+  buffer.writeUInt8(field.precision, 17);
+  buffer.writeUInt16LE(field.workAreaId || 0, 18);
+  buffer.writeUInt8(field.isIndexedInMDXFile ? 1 : 0, 31);
+
+  return buffer;
+}
+
+// returns the bytes of `record`, starting with the deleted flag
+function encodeRecord(record, fields, encoding) {
+  const isDeleted = record['@meta'] !== undefined && record['@meta'].deleted === true;
+
+  return Buffer.concat([
+    Buffer.from(isDeleted ? '*' : ' '),
+    ...fields.map(field => encodeValue(record[field.name], field, encoding))
+  ]);
+}
+
+// returns exactly `field.length` bytes representing `value`
+function encodeValue(value, field, encoding) {
+  const buffer = Buffer.alloc(field.length, ' ');
+
+  // missing values are left blank
+  if (value === undefined || value === null) {
+    return buffer;
+  }
+
+  const encoded = Iconv.encode(typeEncoders[field.type](value, field), encoding);
+  if (encoded.length > field.length) {
+    throw new Error(`Value for field '${field.name}' does not fit in ${field.length} byte(s): ${value}`);
+  }
+
+  encoded.copy(buffer);
+
+  return buffer;
+}
+
+// validates that `version` is a supported version, defaulting to 0x03 if not supplied
+function validateVersion(version) {
+  if (version === undefined) {
+    return 0x03;
+  }
+
+  if (!writableVersions.has(version)) {
+    throw new Error(`version must be one of: ${Array.from(writableVersions).join(', ')}`);
+  }
+
+  return version;
+}
+
+// validates that `fields` is an array of field definitions in the same shape as the header event
+function validateFields(fields) {
+  if (!Array.isArray(fields)) {
+    throw new Error('fields must be an array');
+  }
+
+  fields.forEach(validateField);
+
+  // if there are any duplicate field names, throw an error
+  fields.reduce((allFieldNames, field) => {
+    if (allFieldNames.has(field.name)) {
+      throw new Error(`Duplicate field name '${field.name}'`);
+    }
+    return allFieldNames.add(field.name);
+  }, new Set());
+
+  // default missing precisions to 0 without modifying the caller's objects
+  return fields.map(field => Object.assign({}, field, { precision: field.precision || 0 }));
+}
+
+// validates a single field definition
+function validateField(field) {
+  if (field === null || typeof field !== 'object') {
+    throw new Error('field must be an object');
+  }
+
+  if (typeof field.name !== 'string' || field.name.length === 0 || Buffer.byteLength(field.name) > 10) {
+    throw new Error(`Field name must be a string of 1 to 10 bytes: '${field.name}'`);
+  }
+
+  if (!supportedFieldTypes.has(field.type)) {
+    throw new Error(`Field type must be one of: ${Array.from(supportedFieldTypes).join(', ')}`);
+  }
+
+  if (!Number.isInteger(field.length) || field.length < 1 || field.length > 254) {
+    throw new Error(`Field length must be an integer between 1 and 254: ${field.length}`);
+  }
+
+  if (fixedFieldLengths[field.type] && field.length !== fixedFieldLengths[field.type]) {
+    throw new Error(`Invalid ${field.type} field length: ${field.length}`);
+  }
+
+  if (field.precision !== undefined && (!Number.isInteger(field.precision) || field.precision < 0 || field.precision > 15)) {
+    throw new Error(`Field precision must be an integer between 0 and 15: ${field.precision}`);
+  }
+}
+
+// validates that `date` is a Date in a year the header can store, defaulting to now if not supplied
+function validateDate(date) {
+  if (date === undefined) {
+    return new Date();
+  }
+
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    throw new Error('date must be a valid Date');
+  }
+
+  // the header stores the year as a single byte counting from 1900
+  if (date.getFullYear() < 1900 || date.getFullYear() > 1900 + 255) {
+    throw new Error(`date must be in a year from 1900 to 2155: ${date.getFullYear()}`);
+  }
+
+  return date;
+}
+
+module.exports = YADBFWriter;
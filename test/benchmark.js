@@ -0,0 +1,70 @@
+const assert = require('assert');
+const YADBF = require('..');
+const Iconv = require('iconv-lite');
+const { tableBuffer } = require('./support/tables');
+
+// number of columns and records in the benchmark table, similar to a wide shapefile attribute table
+const numberOfFields = 80;
+const numberOfRecords = 2000;
+
+// returns the bytes of the benchmark table
+function wideTable() {
+  const fields = Array.from({ length: numberOfFields }, (val, i) => ({
+    name: `FIELD${i}`,
+    type: i % 2 ? 'N' : 'C',
+    length: 10,
+    precision: i % 2 ? 2 : 0
+  }));
+
+  const records = Array.from({ length: numberOfRecords }, (val, i) => fields.reduce((record, field, j) => {
+    record[field.name] = field.type === 'N' ? i + j / 100 : `value ${j}`;
+    return record;
+  }, {}));
+
+  return tableBuffer({ fields: fields, records: records });
+}
+
+// parses `buffer` with `options` and calls back with the number of records and the number of values decoded,
+//  counted by wrapping `Iconv.decode` for the duration of the parse since every value is decoded with it
+function parse(buffer, options, callback) {
+  const decode = Iconv.decode;
+  let numberOfRecordsParsed = 0;
+  let numberOfValuesDecoded = 0;
+
+  Iconv.decode = function() {
+    numberOfValuesDecoded += 1;
+    return decode.apply(this, arguments);
+  };
+
+  const finish = err => {
+    Iconv.decode = decode;
+    callback(err, numberOfRecordsParsed, numberOfValuesDecoded);
+  };
+
+  new YADBF(options)
+    .on('error', finish)
+    .on('data', () => numberOfRecordsParsed += 1)
+    .on('end', () => finish(null))
+    .end(buffer);
+}
+
+describe('benchmark', () => {
+  it('projecting 3 of 80 fields should decode only the 3 fields', done => {
+    const buffer = wideTable();
+
+    parse(buffer, {}, (err, allFieldsCount, allFieldsDecoded) => {
+      assert.ifError(err);
+
+      parse(buffer, { fields: ['FIELD1', 'FIELD2', 'FIELD3'] }, (err, projectedCount, projectedDecoded) => {
+        assert.ifError(err);
+
+        assert.equal(allFieldsCount, numberOfRecords);
+        assert.equal(projectedCount, numberOfRecords);
+
+        assert.equal(allFieldsDecoded, numberOfRecords * numberOfFields);
+        assert.equal(projectedDecoded, numberOfRecords * 3);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,381 @@
+const assert = require('assert');
+const YADBF = require('..');
+const cli = require('../lib/cli');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const tables = require('./support/tables');
+
+// writes a table with 3 records (the second of which is deleted) and returns its path
+function writeTable() {
+  return tables.writeTable({
+    fields: [
+      { name: 'name', type: 'C', length: 10 },
+      { name: 'amount', type: 'N', length: 6, precision: 2 },
+      { name: 'updated', type: 'D', length: 8 }
+    ],
+    records: [
+      { name: 'first', amount: 1.5, updated: new Date('2019-07-17') },
+      { '@meta': { deleted: true }, name: 'second', amount: 2 },
+      { name: 'third', amount: -3.25 }
+    ],
+    version: 0x83,
+    date: new Date(2019, 6, 17)
+  });
+}
+
+// runs the CLI with `args` and `stdin` contents, calling back with the exit code and output
+function run(args, stdin, callback) {
+  const io = { stdin: new PassThrough(), stdout: new PassThrough(), stderr: new PassThrough() };
+  const output = { stdout: '', stderr: '' };
+
+  io.stdout.on('data', data => output.stdout += data);
+  io.stderr.on('data', data => output.stderr += data);
+  io.stdin.end(stdin);
+
+  cli.run(args, io).then(code => callback(code, output.stdout, output.stderr), callback);
+}
+
+describe('cli', () => {
+  describe('info', () => {
+    it('header information should be printed', done => {
+      const file = writeTable();
+
+      run(['info', file], undefined, (code, stdout, stderr) => {
+        assert.equal(code, 0);
+        assert.equal(stderr, '');
+        assert.equal(stdout, [
+          'version: 0x83 (FoxBASE+/dBASE III PLUS, with memo)',
+          'records: 3',
+          'last update: 2019-07-17',
+          'language driver: 0x00 (not set)',
+          'header bytes: 129',
+          'record bytes: 25',
+          'fields: 3',
+          ''
+        ].join('\n'));
+        done();
+      });
+    });
+
+    it('file should be read from stdin when not given', done => {
+      const file = writeTable();
+
+      const buffer = fs.readFileSync(file);
+      buffer.writeUInt8(0x57, 29);
+
+      run(['info', '-'], buffer, (code, stdout, stderr) => {
+        assert.equal(code, 0);
+        assert.ok(stdout.includes('records: 3\n'));
+        assert.ok(stdout.includes('language driver: 0x57 (cp1252)\n'));
+        done();
+      });
+    });
+  });
+
+  describe('schema', () => {
+    it('fields should be printed as aligned columns', done => {
+      const file = writeTable();
+
+      run(['schema', file], undefined, (code, stdout, stderr) => {
+        assert.equal(code, 0);
+        assert.equal(stdout, [
+          'name     type  length  precision',
+          'name     C     10      0',
+          'amount   N     6       2',
+          'updated  D     8       0',
+          ''
+        ].join('\n'));
+        done();
+      });
+    });
+  });
+
+  describe('schema formats', () => {
+    it('format option should print the schema in that format', done => {
+      const file = writeTable();
+
+      const table = YADBF.open(file);
+      table.close();
+
+      run(['schema', '--format', 'typescript', file], undefined, (code, stdout, stderr) => {
+        assert.equal(code, 0);
+        assert.equal(stdout, YADBF.schema.toTypeScript(table.header));
+
+        run(['schema', '--format=json-schema', file], undefined, (code, stdout, stderr) => {
+          assert.equal(code, 0);
+          assert.deepEqual(JSON.parse(stdout), YADBF.schema.toJSONSchema(table.header));
+          done();
+        });
+      });
+    });
+
+    it('SQL tables should be named after the file unless the table option is given', done => {
+      const file = writeTable();
+
+      run(['schema', '--format', 'postgresql', file], undefined, (code, stdout, stderr) => {
+        assert.equal(code, 0);
+        assert.ok(stdout.startsWith('CREATE TABLE "file" (\n  "name" VARCHAR(10),\n'));
+
+        run(['schema', '--format', 'sqlite', '--table', 'parcels'], fs.readFileSync(file), (code, stdout, stderr) => {
+          assert.equal(code, 0);
+          assert.ok(stdout.startsWith('CREATE TABLE "parcels" (\n'));
+          done();
+        });
+      });
+    });
+  });
+
+  describe('dump', () => {
+    it('records should be printed as newline-delimited JSON', done => {
+      const file = writeTable();
+
+      run(['dump', file], undefined, (code, stdout, stderr) => {
+        assert.equal(code, 0);
+        assert.deepEqual(stdout.trim().split('\n').map(line => JSON.parse(line)), [
+          { '@meta': { deleted: false }, name: 'first', amount: 1.5, updated: '2019-07-17T00:00:00.000Z' },
+          { '@meta': { deleted: false }, name: 'third', amount: -3.25, updated: null }
+        ]);
+        done();
+      });
+    });
+
+    it('offset, size, and deleted options should be honored', done => {
+      const file = writeTable();
+
+      run(['dump', '--deleted', '--offset', '1', '--size=1', file], undefined, (code, stdout, stderr) => {
+        assert.equal(code, 0);
+        assert.deepEqual(stdout.trim().split('\n').map(line => JSON.parse(line).name), ['second']);
+        done();
+      });
+    });
+
+    it('encoding option should be honored when reading from stdin', done => {
+      const buffer = tables.tableBuffer({
+        fields: [ { name: 'field', type: 'C', length: 10 } ],
+        records: [ { field: 'текст' } ],
+        encoding: 'cp1251'
+      });
+
+      run(['dump', '--encoding', 'cp1251'], buffer, (code, stdout, stderr) => {
+        assert.equal(code, 0);
+        assert.equal(stdout, '{"@meta":{"deleted":false},"field":"текст"}\n');
+        done();
+      });
+    });
+
+    it('closed output should stop reading without an error', done => {
+      const file = tables.writeTable({
+        fields: [ { name: 'field', type: 'N', length: 5 } ],
+        records: Array.from({ length: 1000 }, (val, i) => ({ field: i }))
+      });
+
+      const io = { stdin: new PassThrough(), stdout: new PassThrough(), stderr: new PassThrough() };
+      let stderr = '';
+      let lines = 0;
+
+      io.stderr.on('data', data => stderr += data);
+
+      // the reader goes away after the first line, like `head -1`
+      io.stdout.on('data', data => {
+        lines += String(data).split('\n').length - 1;
+        io.stdout.destroy(Object.assign(new Error('write EPIPE'), { code: 'EPIPE' }));
+      });
+
+      cli.run(['dump', file], io).then(code => {
+        assert.equal(code, 0);
+        assert.equal(stderr, '');
+        assert.ok(lines < 1000, `${lines} lines were written`);
+        done();
+      }, done);
+    });
+
+    it('output errors other than a closed output should exit with 1', done => {
+      const io = { stdin: new PassThrough(), stdout: new PassThrough(), stderr: new PassThrough() };
+      let stderr = '';
+
+      io.stderr.on('data', data => stderr += data);
+      io.stdout.once('data', () => io.stdout.destroy(Object.assign(new Error('write ENOSPC'), { code: 'ENOSPC' })));
+
+      cli.run(['dump', writeTable()], io).then(code => {
+        assert.equal(code, 1);
+        assert.equal(stderr, 'write ENOSPC\n');
+        done();
+      }, done);
+    });
+  });
+
+  describe('validate', () => {
+    it('valid file should exit with 0', done => {
+      const file = writeTable();
+
+      run(['validate', file], undefined, (code, stdout, stderr) => {
+        assert.equal(code, 0);
+        assert.equal(stdout, 'valid: 3 record(s)\n');
+        done();
+      });
+    });
+
+    it('invalid file should exit with 1 and the error message', done => {
+      const file = writeTable();
+
+      // corrupt the deleted flag of the last record, which isn't output
+      const buffer = fs.readFileSync(file);
+      buffer.write('#', 129 + 2 * 25);
+
+      run(['validate'], buffer, (code, stdout, stderr) => {
+        assert.equal(code, 1);
+        assert.equal(stdout, '');
+        assert.equal(stderr, 'Invalid deleted record value: #\n');
+        done();
+      });
+    });
+
+    it('every problem should be printed', done => {
+      const file = writeTable();
+
+      // corrupt the amount of the first record and the deleted flag of the last
+      const buffer = fs.readFileSync(file);
+      buffer.write('x', 129 + 11);
+      buffer.write('#', 129 + 2 * 25);
+
+      run(['validate', '--all'], buffer, (code, stdout, stderr) => {
+        assert.equal(code, 1);
+        assert.equal(stdout, '');
+        assert.equal(stderr, 'Invalid N-type field value: \'x 1.50\'\nInvalid deleted record value: #\n');
+        done();
+      });
+    });
+
+    it('--all should report problems the parser accepts', done => {
+      const file = writeTable();
+
+      // a stale record count in the header leaves the last record unread
+      const buffer = fs.readFileSync(file);
+      buffer.writeUInt32LE(2, 4);
+
+      run(['validate'], buffer, (code, stdout, stderr) => {
+        assert.equal(code, 0);
+        assert.equal(stdout, 'valid: 2 record(s)\n');
+
+        run(['validate', '--all'], buffer, (code, stdout, stderr) => {
+          assert.equal(code, 1);
+          assert.equal(stdout, '');
+          assert.equal(stderr, 'File has 26 byte(s) after the 2 record(s) declared in the header, expected only the end-of-file marker\n');
+          done();
+        });
+      });
+    });
+
+    it('--json should print the report', done => {
+      const file = writeTable();
+
+      const buffer = fs.readFileSync(file);
+      buffer.write('#', 129 + 2 * 25);
+
+      run(['validate', '--json'], buffer, (code, stdout, stderr) => {
+        assert.equal(code, 1);
+        assert.equal(stderr, '');
+        assert.deepEqual(JSON.parse(stdout), {
+          valid: false,
+          numberOfRecords: 3,
+          recordsChecked: 3,
+          numberOfIssues: 1,
+          issues: [
+            {
+              name: 'DbfRecordError',
+              code: 'ERR_INVALID_DELETED_FLAG',
+              message: 'Invalid deleted record value: #',
+              offset: 179,
+              recordIndex: 2,
+              field: null
+            }
+          ]
+        });
+        done();
+      });
+    });
+
+    it('missing file should exit with 1', done => {
+      run(['validate', path.join(os.tmpdir(), 'yadbf-does-not-exist.dbf')], undefined, (code, stdout, stderr) => {
+        assert.equal(code, 1);
+        assert.ok(stderr.startsWith('ENOENT'));
+        done();
+      });
+    });
+  });
+
+  describe('stats', () => {
+    it('deleted records and field statistics should be printed', done => {
+      const file = writeTable();
+
+      run(['stats', file], undefined, (code, stdout, stderr) => {
+        assert.equal(code, 0);
+        assert.equal(stderr, '');
+        assert.equal(stdout, [
+          'records: 3',
+          'deleted: 1 (33.3%)',
+          'name     type  length  nulls  blanks  distinct  min         max         max length',
+          'name     C     10      0      0       2                                 5',
+          'amount   N     6       0      0       2         -3.25       1.5',
+          'updated  D     8       1      0       1         2019-07-17  2019-07-17',
+          ''
+        ].join('\n'));
+        done();
+      });
+    });
+
+    it('--deleted should include deleted records in the field statistics and read from stdin', done => {
+      const file = writeTable();
+
+      run(['stats', '--deleted'], fs.readFileSync(file), (code, stdout, stderr) => {
+        assert.equal(code, 0);
+        assert.equal(stdout.split('\n')[4], 'amount   N     6       0      0       3         -3.25       2');
+        done();
+      });
+    });
+  });
+
+  describe('usage', () => {
+    it('no arguments should print usage', done => {
+      run([], undefined, (code, stdout, stderr) => {
+        assert.equal(code, 0);
+        assert.ok(stdout.startsWith('Usage: yadbf <command> [options] [file]\n'));
+        done();
+      });
+    });
+
+    it('unknown commands and options should exit with 2 and usage', done => {
+      [
+        [['convert', 'file.dbf'], 'Unknown command: convert'],
+        [['info', '--size', '1', 'file.dbf'], 'Unknown option for info: --size'],
+        [['dump', 'file.dbf', '--offset'], 'Missing value for --offset'],
+        [['dump', 'a.dbf', 'b.dbf'], 'Only one file may be given'],
+        [['dump', '--offset', 'abc', 'file.dbf'], 'Invalid value for --offset: abc'],
+        [['dump', '--size=1.5', 'file.dbf'], 'Invalid value for --size: 1.5'],
+        [['dump', '--size', '-1', 'file.dbf'], 'Invalid value for --size: -1'],
+        [['schema', '--format', 'xml', 'file.dbf'], 'Unknown format: xml']
+      ].reduce((next, [args, message]) => () => {
+        run(args, undefined, (code, stdout, stderr) => {
+          assert.equal(code, 2);
+          assert.ok(stderr.startsWith(`${message}\n\nUsage: yadbf`));
+          next();
+        });
+      }, done)();
+    });
+  });
+
+  describe('bin/yadbf', () => {
+    it('exit code should be set from the command', function(done) {
+      this.timeout(10000);
+
+      childProcess.execFile(path.join(__dirname, '..', 'bin', 'yadbf'), ['validate', tables.temporaryPath()], (err, stdout, stderr) => {
+        assert.equal(err.code, 1);
+        assert.ok(stderr.startsWith('ENOENT'));
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const assert = require('assert');
+const YADBF = require('..');
+const fs = require('fs');
+const tables = require('./support/tables');
+
+// writes `records` to a table with C, N, D, and L fields and returns its path
+function writeTable(records) {
+  return tables.writeTable({
+    fields: [
+      { name: 'name', type: 'C', length: 20 },
+      { name: 'amount', type: 'N', length: 6, precision: 2 },
+      { name: 'updated', type: 'D', length: 8 },
+      { name: 'active', type: 'L', length: 1 }
+    ],
+    records: records
+  });
+}
+
+// pipes `file` through a reader created with `readerOptions` and CSV created with `csvOptions`, calling back with the text
+function toCSV(file, readerOptions, csvOptions, callback) {
+  let text = '';
+
+  fs.createReadStream(file)
+    .pipe(new YADBF(readerOptions))
+    .on('error', callback)
+    .pipe(YADBF.toCSV(csvOptions))
+    .on('error', callback)
+    .on('data', data => text += data)
+    .on('end', () => callback(null, text));
+}
+
+describe('csv', () => {
+  describe('output', () => {
+    it('columns should follow the header fields and values should be quoted per RFC 4180', done => {
+      const records = [
+        { name: 'plain', amount: 1.5, updated: new Date('2019-07-17'), active: true },
+        { name: 'comma, here', amount: -2, active: false },
+        { name: 'say "hi"', amount: 0 },
+        { name: 'two\r\nlines' }
+      ];
+
+      const file = writeTable(records);
+
+      toCSV(file, {}, {}, (err, text) => {
+        assert.ifError(err);
+        assert.equal(text, [
+          'name,amount,updated,active',
+          'plain,1.5,2019-07-17T00:00:00.000Z,true',
+          '"comma, here",-2,,false',
+          '"say ""hi""",0,,',
+          '"two\r\nlines",,,',
+          ''
+        ].join('\r\n'));
+        done();
+      });
+    });
+
+    it('table with no records should output only the header row', done => {
+      const file = writeTable([]);
+
+      toCSV(file, {}, {}, (err, text) => {
+        assert.ifError(err);
+        assert.equal(text, 'name,amount,updated,active\r\n');
+        done();
+      });
+    });
+
+    it('reader fields option should limit the columns', done => {
+      const file = writeTable([ { name: 'value', amount: 1, active: true } ]);
+
+      toCSV(file, { fields: ['active', 'name'] }, {}, (err, text) => {
+        assert.ifError(err);
+        assert.equal(text, 'name,active\r\nvalue,true\r\n');
+        done();
+      });
+    });
+
+    it('header option should allow records not piped from a reader', done => {
+      const file = writeTable([ { name: 'first', amount: 1 }, { name: 'second', amount: 2 } ]);
+
+      const table = YADBF.open(file);
+      const csv = YADBF.toCSV({ header: table.header, fields: ['amount'] });
+      let text = '';
+
+      csv.on('data', data => text += data);
+      csv.on('end', () => {
+        assert.equal(text, 'amount\r\n2\r\n');
+        done();
+      });
+
+      csv.end(table.readRecord(1));
+      table.close();
+    });
+
+    it('records without a known header should emit error', done => {
+      const csv = YADBF.toCSV();
+
+      csv.on('error', err => {
+        assert.equal(err, 'Error: header is not known, pipe from YADBF or supply the header option');
+        done();
+      });
+
+      csv.end({ '@meta': { deleted: false }, field: 'value' });
+    });
+  });
+
+  describe('options', () => {
+    it('formatting options should be honored', done => {
+      const records = [
+        { '@meta': { deleted: true }, name: 'a;b', amount: 1, updated: new Date('2019-07-17') },
+        { name: 'c' }
+      ];
+
+      const file = writeTable(records);
+
+      const options = {
+        delimiter: ';',
+        date: 'date',
+        nullValue: 'NULL',
+        undefinedValue: '?',
+        deletedColumn: 'deleted',
+        headerRow: false
+      };
+
+      toCSV(file, { deleted: true }, options, (err, text) => {
+        assert.ifError(err);
+        assert.equal(text, [
+          '"a;b";1;2019-07-17;?;true',
+          'c;NULL;NULL;?;false',
+          ''
+        ].join('\r\n'));
+        done();
+      });
+    });
+
+    it('date function should format dates and undefined values should default to nullValue', done => {
+      const file = writeTable([ { name: 'a', updated: new Date('2019-07-17') } ]);
+
+      const options = {
+        date: date => date.getUTCFullYear(),
+        nullValue: 'NA'
+      };
+
+      toCSV(file, {}, options, (err, text) => {
+        assert.ifError(err);
+        assert.equal(text, 'name,amount,updated,active\r\na,NA,2019,NA\r\n');
+        done();
+      });
+    });
+
+    it('invalid options should throw error', () => {
+      [
+        [ { header: {} }, /^Error: header must be an object with fields$/ ],
+        [ { fields: 'name' }, /^Error: fields must be an array of field names$/ ],
+        [ { delimiter: '"' }, /^Error: delimiter must be a single character other than a quote or line break$/ ],
+        [ { delimiter: ',,' }, /^Error: delimiter must be a single character other than a quote or line break$/ ],
+        [ { date: 'long' }, /^Error: date must be a function or one of: iso, date$/ ],
+        [ { nullValue: null }, /^Error: nullValue must be a string$/ ],
+        [ { undefinedValue: 0 }, /^Error: undefinedValue must be a string$/ ],
+        [ { deletedColumn: '' }, /^Error: deletedColumn must be a non-empty string$/ ],
+        [ { headerRow: 'yes' }, /^Error: headerRow must be a boolean$/ ]
+      ].forEach(([options, message]) => {
+        assert.throws(() => YADBF.toCSV(options), message);
+      });
+    });
+  });
+});
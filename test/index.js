@@ -2,14 +2,22 @@ const assert = require('assert');
 const YADBF = require('..');
 const { Readable } = require('stream');
 const Iconv = require('iconv-lite');
+const fs = require('fs');
+const codePages = require('../lib/code-pages');
+const { temporaryPath } = require('./support/tables');
 
 class DBF {
   constructor (build) {
     this.build = build;
   }
 
+  // dBASE 7 tables have a longer header and larger field descriptors
+  get isDBase7() {
+    return this.build._version === 0x04 || this.build._version === 0x8C;
+  }
+
   get buffer() {
-    const header = Buffer.alloc(32);
+    const header = Buffer.alloc(this.isDBase7 ? 68 : 32);
     header.writeUInt8(this.build._version, 0);
 
     header.writeUInt8(this.build._date.getYear(), 1);
@@ -25,7 +33,8 @@ class DBF {
     if (this.build._numberOfHeaderBytes) {
       header.writeUInt16LE(this.build._numberOfHeaderBytes, 8);
     } else {
-      header.writeUInt16LE(32 + (this.build._fields.length * 32) + 1, 8);
+      const fieldDescriptorLength = this.isDBase7 ? 48 : 32;
+      header.writeUInt16LE(header.length + (this.build._fields.length * fieldDescriptorLength) + 1 + this.build._backlink.length, 8);
     }
 
     if (this.build._numberOfBytesPerRecord) {
@@ -43,10 +52,15 @@ class DBF {
     header.writeUInt8(this.build._hasProductionMDXFile, 28);
     header.writeUInt8(this.build._languageDriverId, 29);
 
+    if (this.isDBase7) {
+      header.write(this.build._languageDriverName, 32);
+    }
+
     return Buffer.concat([
       header,
-      ...this.build._fields.map(field => field.buffer),
+      ...this.build._fields.map(field => this.isDBase7 ? field.dBase7Buffer : field.buffer),
       Buffer.from([this.build._fieldDescriptorArrayTerminator]),
+      this.build._backlink,
       ...this.build._records.map(record => record.buffer),
       Buffer.from([this.build._endOfFile])
     ]);
@@ -61,6 +75,8 @@ class DBF {
         this._records = [];
         this._encrypted = false;
         this._fieldDescriptorArrayTerminator = 0x0D;
+        this._backlink = Buffer.alloc(0);
+        this._languageDriverName = '';
         this._endOfFile = 0x1A;
       }
 
@@ -114,11 +130,21 @@ class DBF {
         return this;
       }
 
+      languageDriverName(_languageDriverName) {
+        this._languageDriverName = _languageDriverName;
+        return this;
+      }
+
       fieldDescriptorArrayTerminator(_fieldDescriptorArrayTerminator) {
         this._fieldDescriptorArrayTerminator = _fieldDescriptorArrayTerminator;
         return this;
       }
 
+      backlink(_backlink = Buffer.alloc(263)) {
+        this._backlink = _backlink;
+        return this;
+      }
+
       endOfFile(_endOfFile) {
         this._endOfFile = _endOfFile;
         return this;
@@ -151,10 +177,25 @@ class Field {
       buffer.writeUInt8(this.build._precision, 17);
     }
     buffer.writeUInt16LE(this.build._workAreaId, 18);
+    if (this.build._flags) {
+      buffer.writeUInt8(this.build._flags, 18);
+    }
     buffer.writeUInt8(this.build._prodMDXFieldFlag, 31);
     return buffer;
   }
 
+  get dBase7Buffer() {
+    const buffer = Buffer.alloc(48);
+    buffer.write(this.build._name, 0, this.build._name.length);
+    buffer.write(this.build._type, 32);
+    buffer.writeUInt8(this.build._size, 33);
+    if (this.build._precision) {
+      buffer.writeUInt8(this.build._precision, 34);
+    }
+    buffer.writeUInt8(this.build._prodMDXFieldFlag, 37);
+    return buffer;
+  }
+
   static get Builder() {
     class Builder {
       constructor(_name, _type) {
@@ -192,6 +233,11 @@ class Field {
         return this;
       }
 
+      flags(_flags) {
+        this._flags = _flags;
+        return this;
+      }
+
       prodMDXFieldFlag(_prodMDXFieldFlag = true) {
         this._prodMDXFieldFlag = _prodMDXFieldFlag;
         return this;
@@ -218,7 +264,7 @@ class Record {
     buffer.write(this.build._deleted, 0, 1);
 
     this.build._values.reduce((offset, value, idx) => {
-      const buf = Iconv.encode(value, this.build._encoding);
+      const buf = Buffer.isBuffer(value) ? value : Iconv.encode(value, this.build._encoding);
       buf.copy(buffer, offset);
       return offset + this.build._sizes[idx];
     }, 1);
@@ -259,6 +305,179 @@ class Record {
   }
 }
 
+class DBaseIIIMemo {
+  constructor(build) {
+    this.build = build;
+  }
+
+  get buffer() {
+    // the first block is the header, which holds the next available block number
+    const header = Buffer.alloc(512);
+
+    const blocks = this.build._memos.map(memo => {
+      // each memo is terminated by 2 0x1A bytes and padded out to a whole number of blocks
+      const value = Buffer.concat([Iconv.encode(memo, this.build._encoding), Buffer.from([0x1A, 0x1A])]);
+      const buffer = Buffer.alloc(Math.ceil(value.length / 512) * 512);
+      value.copy(buffer);
+      return buffer;
+    });
+
+    header.writeUInt32LE(blocks.reduce((count, block) => count + block.length / 512, 1), 0);
+
+    return Buffer.concat([header, ...blocks]);
+  }
+
+  static get Builder() {
+    class Builder {
+      constructor() {
+        this._memos = [];
+        this._encoding = 'utf-8';
+      }
+
+      memo(_memo) {
+        this._memos.push(_memo);
+        return this;
+      }
+
+      encoding(_encoding) {
+        this._encoding = _encoding;
+        return this;
+      }
+
+      build() {
+        return new DBaseIIIMemo(this);
+      }
+    }
+
+    return Builder;
+  }
+}
+
+class DBaseIVMemo {
+  constructor(build) {
+    this.build = build;
+  }
+
+  // returns the block number the `i`th memo starts at
+  blockNumber(i) {
+    return this.blocks.slice(0, i).reduce((count, block) => count + block.length / this.blockSize, 1);
+  }
+
+  // a block size of 0 in the header means 512
+  get blockSize() {
+    return this.build._blockSize || 512;
+  }
+
+  get blocks() {
+    return this.build._memos.map(memo => {
+      // each memo is prefixed with a signature and length and padded out to a whole number of blocks
+      const value = Iconv.encode(memo, 'utf-8');
+      const buffer = Buffer.alloc(Math.ceil((value.length + 8) / this.blockSize) * this.blockSize);
+      buffer.writeUInt32LE(this.build._signature, 0);
+      buffer.writeUInt32LE(value.length + 8, 4);
+      value.copy(buffer, 8);
+      return buffer;
+    });
+  }
+
+  get buffer() {
+    // the header occupies the first block
+    const header = Buffer.alloc(this.blockSize);
+    header.writeUInt32LE(this.blockNumber(this.build._memos.length), 0);
+    header.writeUInt16LE(this.build._blockSize, 20);
+
+    return Buffer.concat([header, ...this.blocks]);
+  }
+
+  static get Builder() {
+    class Builder {
+      constructor() {
+        this._memos = [];
+        this._blockSize = 512;
+        this._signature = 0x0008FFFF;
+      }
+
+      blockSize(_blockSize) {
+        this._blockSize = _blockSize;
+        return this;
+      }
+
+      signature(_signature) {
+        this._signature = _signature;
+        return this;
+      }
+
+      memo(_memo) {
+        this._memos.push(_memo);
+        return this;
+      }
+
+      build() {
+        return new DBaseIVMemo(this);
+      }
+    }
+
+    return Builder;
+  }
+}
+
+class FoxProMemo {
+  constructor(build) {
+    this.build = build;
+  }
+
+  // returns the block number the `i`th memo starts at
+  blockNumber(i) {
+    return this.blocks.slice(0, i).reduce((count, block) => count + block.length / this.build._blockSize, 512 / this.build._blockSize);
+  }
+
+  get blocks() {
+    return this.build._memos.map(memo => {
+      // each memo is prefixed with its type and length and padded out to a whole number of blocks
+      const value = Buffer.isBuffer(memo.value) ? memo.value : Iconv.encode(memo.value, 'utf-8');
+      const buffer = Buffer.alloc(Math.ceil((value.length + 8) / this.build._blockSize) * this.build._blockSize);
+      buffer.writeUInt32BE(memo.type, 0);
+      buffer.writeUInt32BE(value.length, 4);
+      value.copy(buffer, 8);
+      return buffer;
+    });
+  }
+
+  get buffer() {
+    // the header occupies the first 512 bytes regardless of block size
+    const header = Buffer.alloc(512);
+    header.writeUInt32BE(this.blockNumber(this.build._memos.length), 0);
+    header.writeUInt16BE(this.build._blockSize, 6);
+
+    return Buffer.concat([header, ...this.blocks]);
+  }
+
+  static get Builder() {
+    class Builder {
+      constructor() {
+        this._memos = [];
+        this._blockSize = 64;
+      }
+
+      blockSize(_blockSize) {
+        this._blockSize = _blockSize;
+        return this;
+      }
+
+      memo(value, type = 1) {
+        this._memos.push({ value, type });
+        return this;
+      }
+
+      build() {
+        return new FoxProMemo(this);
+      }
+    }
+
+    return Builder;
+  }
+}
+
 describe('header parsing', () => {
   describe('insufficient header bytes', () => {
     it('no header should emit error', done => {
@@ -268,7 +487,7 @@ describe('header parsing', () => {
       readableStream
         .pipe(new YADBF())
         .on('error', err => {
-          assert.equal(err, 'Unable to parse first 32 bytes from header, found 0 byte(s)');
+          assert.equal(err, 'DbfHeaderError: Unable to parse first 32 bytes from header, found 0 byte(s)');
           done();
         })
         .on('header', assert.fail.bind(null, 'no header event should have been emitted'))
@@ -286,7 +505,7 @@ describe('header parsing', () => {
       readableStream
         .pipe(new YADBF())
         .on('error', err => {
-          assert.equal(err, 'Unable to parse first 32 bytes from header, found 31 byte(s)');
+          assert.equal(err, 'DbfHeaderError: Unable to parse first 32 bytes from header, found 31 byte(s)');
           done();
         })
         .on('header', assert.fail.bind(null, 'no header event should have been emitted'))
@@ -323,7 +542,7 @@ describe('header parsing', () => {
       readableStream
         .pipe(new YADBF())
         .on('error', err => {
-          assert.equal(err, 'Error: Unsupported version: 2');
+          assert.equal(err, 'DbfHeaderError: Unsupported version: 2');
           done();
         })
         .on('header', assert.fail.bind(null, 'no header event should have been emitted'))
@@ -342,7 +561,7 @@ describe('header parsing', () => {
       readableStream
         .pipe(new YADBF())
         .on('error', err => {
-          assert.equal(err, 'Error: Encryption flag is set, cannot process');
+          assert.equal(err, 'DbfHeaderError: Encryption flag is set, cannot process');
           done();
         })
         .on('header', assert.fail.bind(null, 'no header event should have been emitted'))
@@ -376,7 +595,7 @@ describe('header parsing', () => {
       readableStream
         .pipe(new YADBF())
         .on('error', err => {
-          assert.equal(err, 'Error: Invalid encryption flag value: 2');
+          assert.equal(err, 'DbfHeaderError: Invalid encryption flag value: 2');
           done();
         })
         .on('header', assert.fail.bind(null, 'no header event should have been emitted'))
@@ -412,7 +631,31 @@ describe('header parsing', () => {
       readableStream
         .pipe(new YADBF())
         .on('error', err => {
-          assert.equal(err, 'Error: Invalid number of header bytes: 34');
+          assert.equal(err, 'DbfHeaderError: Invalid number of header bytes: 34');
+          done();
+        })
+        .on('header', assert.fail.bind(null, 'no header event should have been emitted'))
+        .on('data', assert.fail.bind(null, 'no record events should have been emitted'));
+    });
+  });
+
+  describe('values for number of bytes in record', () => {
+    it('value not equal to the deleted flag plus the field lengths should emit error', done => {
+      const field1 = new Field.Builder('field1', 'C').size(10).build();
+      const field2 = new Field.Builder('field2', 'N').size(5).build();
+
+      const dbf = new DBF.Builder().field(field1).field(field2).numberOfBytesPerRecord(17).build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF())
+        .on('error', err => {
+          assert.equal(err, 'DbfHeaderError: Invalid number of bytes in record: 17, the deleted flag and fields total 16');
+          assert.equal(err.code, 'ERR_INVALID_RECORD_LENGTH');
+          assert.equal(err.offset, 10);
           done();
         })
         .on('header', assert.fail.bind(null, 'no header event should have been emitted'))
@@ -430,7 +673,7 @@ describe('header parsing', () => {
     readableStream
       .pipe(new YADBF())
       .on('error', err => {
-        assert.equal(err, 'Error: Invalid field descriptor array terminator at byte 33');
+        assert.equal(err, 'DbfHeaderError: Invalid field descriptor array terminator at byte 33');
         done();
       })
       .on('header', assert.fail.bind(null, 'no header event should have been emitted'))
@@ -465,7 +708,7 @@ describe('header parsing', () => {
       readableStream
         .pipe(new YADBF())
         .on('error', err => {
-          assert.equal(err, 'Error: Invalid production MDX file existence value: 2');
+          assert.equal(err, 'DbfHeaderError: Invalid production MDX file existence value: 2');
           done();
         })
         .on('header', assert.fail.bind(null, 'no header event should have been emitted'))
@@ -486,7 +729,7 @@ describe('header parsing', () => {
       readableStream
         .pipe(new YADBF())
         .on('error', err => {
-          assert.equal(err, 'Error: Field length must be less than 255');
+          assert.equal(err, 'DbfFieldDescriptorError: Field length must be less than 255');
           done();
         })
         .on('header', assert.fail.bind(null, 'no header events should have been emitted'))
@@ -505,7 +748,7 @@ describe('header parsing', () => {
       readableStream
         .pipe(new YADBF())
         .on('error', err => {
-          assert.equal(err, 'Error: Field type must be one of: C, D, F, L, M, N');
+          assert.equal(err, 'DbfFieldDescriptorError: Field type must be one of: C, D, F, L, M, N');
           done();
         })
         .on('header', assert.fail.bind(null, 'no header events should have been emitted'))
@@ -524,7 +767,7 @@ describe('header parsing', () => {
       readableStream
         .pipe(new YADBF())
         .on('error', err => {
-          assert.equal(err, 'Error: Invalid indexed in production MDX file value: 2');
+          assert.equal(err, 'DbfFieldDescriptorError: Invalid indexed in production MDX file value: 2');
           done();
         })
         .on('header', assert.fail.bind(null, 'no header events should have been emitted'))
@@ -543,7 +786,7 @@ describe('header parsing', () => {
       readableStream
         .pipe(new YADBF())
         .on('error', err => {
-          assert.equal(err, 'Error: Invalid D (date) field length: 9');
+          assert.equal(err, 'DbfFieldDescriptorError: Invalid D (date) field length: 9');
           done();
         })
         .on('header', assert.fail.bind(null, 'no header events should have been emitted'))
@@ -562,7 +805,7 @@ describe('header parsing', () => {
       readableStream
         .pipe(new YADBF())
         .on('error', err => {
-          assert.equal(err, 'Error: Invalid L (logical) field length: 2');
+          assert.equal(err, 'DbfFieldDescriptorError: Invalid L (logical) field length: 2');
           done();
         })
         .on('header', assert.fail.bind(null, 'no header events should have been emitted'))
@@ -581,7 +824,7 @@ describe('header parsing', () => {
       readableStream
         .pipe(new YADBF())
         .on('error', err => {
-          assert.equal(err, 'Error: Invalid M (memo) field length: 11');
+          assert.equal(err, 'DbfFieldDescriptorError: Invalid M (memo) field length: 11');
           done();
         })
         .on('header', assert.fail.bind(null, 'no header events should have been emitted'))
@@ -602,7 +845,7 @@ describe('header parsing', () => {
       readableStream
         .pipe(new YADBF())
         .on('error', err => {
-          assert.equal(err, 'Error: Duplicate field name \'field1\'');
+          assert.equal(err, 'DbfFieldDescriptorError: Duplicate field name \'field1\'');
           done();
         })
         .on('header', assert.fail.bind(null, 'no header events should have been emitted'))
@@ -641,6 +884,7 @@ describe('header parsing', () => {
             numberOfBytesInRecord: 171,
             hasProductionMDXFile: 0x01,
             langaugeDriverId: 17,
+            encoding: 'utf-8',
             fields: [
               {
                 name: 'field1',
@@ -698,6 +942,7 @@ describe('header parsing', () => {
             numberOfBytesInRecord: 2,
             hasProductionMDXFile: 0x01,
             langaugeDriverId: 17,
+            encoding: 'utf-8',
             fields: [
               {
                 name: 'field',
@@ -866,7 +1111,7 @@ describe('record parsing', () => {
         .pipe(new YADBF())
         .on('header', header => assert.ok('header should have been emitted'))
         .on('error', err => {
-          assert.equal(err, 'Error: Invalid deleted record value: #');
+          assert.equal(err, 'DbfRecordError: Invalid deleted record value: #');
           done();
         })
         .on('data', assert.fail.bind(null, 'no record events should have been emitted'));
@@ -894,7 +1139,7 @@ describe('record parsing', () => {
         .on('header', header => assert.ok('header was emitted'))
         .on('data', record => assert.ok('record was emitted'))
         .on('error', err => {
-          assert.equal(err, 'Last byte of file is not end-of-file marker');
+          assert.equal(err, 'DbfRecordError: Last byte of file is not end-of-file marker');
           done();
         });
     });
@@ -921,7 +1166,7 @@ describe('record parsing', () => {
         .on('header', header => assert.ok('header was emitted'))
         .on('data', record => assert.ok('record was emitted'))
         .on('error', err => {
-          assert.equal(err, 'Last byte of file is not end-of-file marker');
+          assert.equal(err, 'DbfRecordError: Last byte of file is not end-of-file marker');
           done();
         });
     });
@@ -981,6 +1226,88 @@ describe('record parsing', () => {
         }))
         .on('end', done);
     });
+
+    it('blank D-type fields should be parsed as null', done => {
+      const field = new Field.Builder('field', 'D').build();
+
+      const record1 = new Record.Builder().field('        ', field).build();
+      const record2 = new Record.Builder().field('', field).build();
+
+      const dbf = new DBF.Builder()
+        .field(field)
+        .record(record1)
+        .record(record2)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const records = [];
+
+      readableStream
+        .pipe(new YADBF())
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('data', record => records.push(record))
+        .on('end', () => {
+          assert.deepEqual(records.map(record => record.field), [null, null]);
+          done();
+        });
+    });
+
+    it('malformed D-type fields should emit error', done => {
+      const field = new Field.Builder('field', 'D').build();
+
+      const record = new Record.Builder().field('2019AB01', field).build();
+
+      const dbf = new DBF.Builder()
+        .field(field)
+        .record(record)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF())
+        .on('data', assert.fail.bind(null, 'no record events should have been emitted'))
+        .on('error', err => {
+          assert.equal(err, 'DbfRecordError: Invalid D-type field value: \'2019AB01\'');
+          assert.equal(err.code, 'ERR_INVALID_FIELD_VALUE');
+          assert.equal(err.field, 'field');
+          done();
+        });
+    });
+
+    it('malformed and nonexistent D-type dates should emit warnings in lenient mode', done => {
+      const field = new Field.Builder('field', 'D').build();
+
+      const dbf = ['20190230', '2019071 ', '20190717'].reduce((builder, value) => {
+        return builder.record(new Record.Builder().field(value, field).build());
+      }, new DBF.Builder().field(field)).build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const warnings = [];
+      const records = [];
+
+      readableStream
+        .pipe(new YADBF({ strict: false }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('warning', warning => warnings.push(warning))
+        .on('data', record => records.push(record))
+        .on('end', () => {
+          assert.deepEqual(warnings.map(w => [String(w), w.recordIndex]), [
+            ['DbfRecordError: Invalid D-type field value: \'20190230\'', 0],
+            ['DbfRecordError: Invalid D-type field value: \'2019071 \'', 1]
+          ]);
+          assert.deepEqual(records.map(record => record.field), [null, null, new Date('2019-07-17')]);
+          done();
+        });
+    });
   });
 
   describe('L-type field parsing', () => {
@@ -1097,7 +1424,7 @@ describe('record parsing', () => {
       readableStream
         .pipe(new YADBF())
         .on('error', err => {
-          assert.equal(err, 'Error: Invalid L-type field value: R');
+          assert.equal(err, 'DbfRecordError: Invalid L-type field value: R');
           done();
         })
         .on('data', assert.fail.bind(null, 'no record events should have been emitted'));
@@ -1154,18 +1481,19 @@ describe('record parsing', () => {
         })
         .on('end', done);
     });
-  });
 
-  describe('M-type field parsing', () => {
-    it('field values consisting of all numbers should be accepted', done => {
-      const field = new Field.Builder('field', 'M').build();
+    it('blank F/N-type fields should be parsed as null', done => {
+      const field1 = new Field.Builder('field1', 'F').size(10).build();
+      const field2 = new Field.Builder('field2', 'N').size(10).build();
 
       const record = new Record.Builder()
-        .field('1357924680', field)
+        .field('          ', field1)
+        .field('', field2)
         .build();
 
       const dbf = new DBF.Builder()
-        .field(field)
+        .field(field1)
+        .field(field2)
         .record(record)
         .build();
 
@@ -1176,57 +1504,51 @@ describe('record parsing', () => {
       readableStream
         .pipe(new YADBF())
         .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
-        .on('data', record => {
-          assert.deepEqual(record, {
-            '@meta': {
-              deleted: false
-            },
-            field: '1357924680'
-          });
-        })
+        .on('data', record => assert.deepEqual(record, {
+          '@meta': {
+            deleted: false
+          },
+          field1: null,
+          field2: null
+        }))
         .on('end', done);
     });
 
-    it('field values consisting of all spaces should be accepted', done => {
-      const field = new Field.Builder('field', 'M').build();
-
-      const record = new Record.Builder()
-        .field('          ', field)
-        .build();
+    it('right-aligned, signed, and exponent F/N-type values should be parsed', done => {
+      const field = new Field.Builder('field', 'N').size(10).build();
 
-      const dbf = new DBF.Builder()
-        .field(field)
-        .record(record)
-        .build();
+      const dbf = ['    -17.25', '+3', '.5', '1.5e3', '0'].reduce((builder, value) => {
+        return builder.record(new Record.Builder().field(value, field).build());
+      }, new DBF.Builder().field(field)).build();
 
       const readableStream = new Readable();
       readableStream.push(dbf.buffer);
       readableStream.push(null);
 
+      const records = [];
+
       readableStream
         .pipe(new YADBF())
         .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
-        .on('data', record => {
-          assert.deepEqual(record, {
-            '@meta': {
-              deleted: false
-            },
-            field: '          '
-          });
-        })
-        .on('end', done);
-
+        .on('data', record => records.push(record))
+        .on('end', () => {
+          assert.deepEqual(records.map(record => record.field), [-17.25, 3, 0.5, 1500, 0]);
+          done();
+        });
     });
 
-    it('field values not entirely number or spaces should emit error', done => {
-      const field = new Field.Builder('field', 'M').build();
+    it('malformed F/N-type fields should emit warnings in lenient mode', done => {
+      const field1 = new Field.Builder('field1', 'N').size(6).build();
+      const field2 = new Field.Builder('field2', 'F').size(6).build();
 
       const record = new Record.Builder()
-        .field('     4    ', field)
+        .field('12.3.4', field1)
+        .field('*****', field2)
         .build();
 
       const dbf = new DBF.Builder()
-        .field(field)
+        .field(field1)
+        .field(field2)
         .record(record)
         .build();
 
@@ -1234,93 +1556,2275 @@ describe('record parsing', () => {
       readableStream.push(dbf.buffer);
       readableStream.push(null);
 
+      const warnings = [];
+      const records = [];
+
       readableStream
-        .pipe(new YADBF())
-        .on('error', err => {
-          assert.equal(err, 'Error: Invalid M-type field value: \'     4    \'');
-          done();
+        .pipe(new YADBF({ strict: false }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('warning', warning => warnings.push(warning))
+        .on('data', record => records.push(record))
+        .on('end', () => {
+          assert.deepEqual(warnings.map(w => [w.message.replace(/\u0000/g, ''), w.code, w.field]), [
+            ['Invalid N-type field value: \'12.3.4\'', 'ERR_INVALID_FIELD_VALUE', 'field1'],
+            ['Invalid F-type field value: \'*****\'', 'ERR_INVALID_FIELD_VALUE', 'field2']
+          ]);
+          assert.deepEqual(records, [ { '@meta': { deleted: false }, field1: null, field2: null } ]);
+          done();
+        });
+    });
+  });
+
+  describe('M-type field parsing', () => {
+    it('field values consisting of all numbers should be accepted', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const record = new Record.Builder()
+        .field('1357924680', field)
+        .build();
+
+      const dbf = new DBF.Builder()
+        .field(field)
+        .record(record)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF())
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('data', record => {
+          assert.deepEqual(record, {
+            '@meta': {
+              deleted: false
+            },
+            field: '1357924680'
+          });
+        })
+        .on('end', done);
+    });
+
+    it('field values consisting of all spaces should be accepted', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const record = new Record.Builder()
+        .field('          ', field)
+        .build();
+
+      const dbf = new DBF.Builder()
+        .field(field)
+        .record(record)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF())
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('data', record => {
+          assert.deepEqual(record, {
+            '@meta': {
+              deleted: false
+            },
+            field: '          '
+          });
+        })
+        .on('end', done);
+
+    });
+
+    it('field values not entirely number or spaces should emit error', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const record = new Record.Builder()
+        .field('     4    ', field)
+        .build();
+
+      const dbf = new DBF.Builder()
+        .field(field)
+        .record(record)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF())
+        .on('error', err => {
+          assert.equal(err, 'DbfRecordError: Invalid M-type field value: \'     4    \'');
+          done();
+        })
+        .on('data', assert.fail.bind(null, 'no record events should have been emitted'));
+    });
+  });
+
+  describe('dBASE III memo files', () => {
+    it('block numbers should be replaced by memo text when a memo Buffer is supplied', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const record1 = new Record.Builder().field('0000000001', field).build();
+      const record2 = new Record.Builder().field('0000000002', field).build();
+
+      const dbf = new DBF.Builder()
+        .version(0x83)
+        .field(field)
+        .record(record1)
+        .record(record2)
+        .build();
+
+      const dbt = new DBaseIIIMemo.Builder()
+        .memo('memo 1 value')
+        .memo('memo 2 value')
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const records = [];
+
+      readableStream
+        .pipe(new YADBF({ memo: dbt.buffer }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('data', record => records.push(record))
+        .on('end', () => {
+          assert.deepEqual(records.map(r => r.field), [ 'memo 1 value', 'memo 2 value' ]);
+          done();
+        });
+    });
+
+    it('block numbers right-justified with spaces should be replaced by memo text', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const record1 = new Record.Builder().field('         1', field).build();
+      const record2 = new Record.Builder().field('         2', field).build();
+
+      const dbf = new DBF.Builder()
+        .version(0x83)
+        .field(field)
+        .record(record1)
+        .record(record2)
+        .build();
+
+      const dbt = new DBaseIIIMemo.Builder()
+        .memo('memo 1 value')
+        .memo('memo 2 value')
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const records = [];
+
+      readableStream
+        .pipe(new YADBF({ memo: dbt.buffer }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('data', record => records.push(record))
+        .on('end', () => {
+          assert.deepEqual(records.map(r => r.field), [ 'memo 1 value', 'memo 2 value' ]);
+          done();
+        });
+    });
+
+    it('memos spanning multiple blocks should be read up to the terminator', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const record1 = new Record.Builder().field('0000000001', field).build();
+      const record2 = new Record.Builder().field('0000000004', field).build();
+
+      const dbf = new DBF.Builder()
+        .version(0x83)
+        .field(field)
+        .record(record1)
+        .record(record2)
+        .build();
+
+      // 1,200 bytes plus the terminator occupies blocks 1 through 3
+      const dbt = new DBaseIIIMemo.Builder()
+        .memo('a'.repeat(1200))
+        .memo('short memo')
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const records = [];
+
+      readableStream
+        .pipe(new YADBF({ memo: dbt.buffer }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('data', record => records.push(record))
+        .on('end', () => {
+          assert.deepEqual(records.map(r => r.field), [ 'a'.repeat(1200), 'short memo' ]);
+          done();
+        });
+    });
+
+    it('blank block numbers should be returned as null', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const record = new Record.Builder().field('          ', field).build();
+
+      const dbf = new DBF.Builder()
+        .version(0x83)
+        .field(field)
+        .record(record)
+        .build();
+
+      const dbt = new DBaseIIIMemo.Builder().memo('memo value').build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF({ memo: dbt.buffer }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('data', record => {
+          assert.deepEqual(record, {
+            '@meta': {
+              deleted: false
+            },
+            field: null
+          });
+        })
+        .on('end', done);
+    });
+
+    it('memo text should be decoded using the encoding option', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const record = new Record.Builder().field('0000000001', field).build();
+
+      const dbf = new DBF.Builder()
+        .version(0x83)
+        .field(field)
+        .record(record)
+        .build();
+
+      const dbt = new DBaseIIIMemo.Builder().memo('текст').encoding('cp1251').build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF({ memo: dbt.buffer, encoding: 'cp1251' }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('data', record => assert.equal(record.field, 'текст'))
+        .on('end', done);
+    });
+
+    it('block number beyond the end of the memo file should emit error', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const record1 = new Record.Builder().field('0000000001', field).build();
+      const record2 = new Record.Builder().field('0000000002', field).build();
+
+      const dbf = new DBF.Builder()
+        .version(0x83)
+        .field(field)
+        .record(record1)
+        .record(record2)
+        .build();
+
+      const dbt = new DBaseIIIMemo.Builder().memo('memo value').build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF({ memo: dbt.buffer }))
+        .on('error', err => {
+          assert.equal(err, 'DbfMemoError: Memo block 2 for field \'field\' in record 1 is beyond the end of the memo file');
+          done();
+        });
+    });
+
+    it('memo file path should be read from disk', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const record = new Record.Builder().field('0000000001', field).build();
+
+      const dbf = new DBF.Builder()
+        .version(0x83)
+        .field(field)
+        .record(record)
+        .build();
+
+      const dbt = new DBaseIIIMemo.Builder().memo('memo value').build();
+
+      const dbtPath = temporaryPath('file.dbt');
+      fs.writeFileSync(dbtPath, dbt.buffer);
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF({ memo: dbtPath }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('data', record => assert.equal(record.field, 'memo value'))
+        .on('end', done);
+    });
+
+    it('random-access reader should only be asked for the bytes needed', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const record = new Record.Builder().field('0000000002', field).build();
+
+      const dbf = new DBF.Builder()
+        .version(0x83)
+        .field(field)
+        .record(record)
+        .build();
+
+      const dbt = new DBaseIIIMemo.Builder().memo('memo 1 value').memo('memo 2 value').build();
+
+      const reads = [];
+
+      const reader = {
+        size: dbt.buffer.length,
+        read(position, length) {
+          reads.push(position);
+          return dbt.buffer.slice(position, position + length);
+        }
+      };
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF({ memo: reader }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('data', record => assert.equal(record.field, 'memo 2 value'))
+        .on('end', () => {
+          assert.deepEqual(reads, [ 1024 ]);
+          done();
+        });
+    });
+  });
+
+  describe('dBASE IV memo files', () => {
+    it('memos should be read using the block size and length from the memo file', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      // the second memo is long enough to span several 64-byte blocks
+      const dbt = new DBaseIVMemo.Builder()
+        .blockSize(64)
+        .memo('memo 1 value')
+        .memo('b'.repeat(300))
+        .memo('memo 3 value')
+        .build();
+
+      const record1 = new Record.Builder().field(String(dbt.blockNumber(0)).padStart(10, '0'), field).build();
+      const record2 = new Record.Builder().field(String(dbt.blockNumber(1)).padStart(10, '0'), field).build();
+      const record3 = new Record.Builder().field(String(dbt.blockNumber(2)).padStart(10, '0'), field).build();
+
+      const dbf = new DBF.Builder()
+        .version(0x8B)
+        .field(field)
+        .record(record1)
+        .record(record2)
+        .record(record3)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const records = [];
+
+      readableStream
+        .pipe(new YADBF({ memo: dbt.buffer }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('header', header => assert.equal(header.memoBlockSize, 64))
+        .on('data', record => records.push(record))
+        .on('end', () => {
+          assert.deepEqual(records.map(r => r.field), [ 'memo 1 value', 'b'.repeat(300), 'memo 3 value' ]);
+          done();
+        });
+    });
+
+    it('block size of 0 in the memo file header should default to 512', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const dbt = new DBaseIVMemo.Builder().blockSize(0).memo('memo value').build();
+
+      const record = new Record.Builder().field('0000000001', field).build();
+
+      const dbf = new DBF.Builder()
+        .version(0x8B)
+        .field(field)
+        .record(record)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF({ memo: dbt.buffer }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('header', header => assert.equal(header.memoBlockSize, 512))
+        .on('data', record => assert.equal(record.field, 'memo value'))
+        .on('end', done);
+    });
+
+    it('invalid block signature should emit error', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const dbt = new DBaseIVMemo.Builder().signature(0x12345678).memo('memo value').build();
+
+      const record = new Record.Builder().field('0000000001', field).build();
+
+      const dbf = new DBF.Builder()
+        .version(0x8B)
+        .field(field)
+        .record(record)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF({ memo: dbt.buffer }))
+        .on('error', err => {
+          assert.equal(err, 'DbfMemoError: Invalid dBASE IV memo block signature at block 1 for field \'field\' in record 0');
+          done();
+        })
+        .on('data', assert.fail.bind(null, 'no record events should have been emitted'));
+    });
+
+    it('memo file too short for its header should emit error', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const dbf = new DBF.Builder()
+        .version(0x8B)
+        .field(field)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF({ memo: Buffer.alloc(21) }))
+        .on('error', err => {
+          assert.equal(err, 'DbfMemoError: Unable to parse first 22 bytes from dBASE IV memo header, found 21 byte(s)');
+          assert.equal(err.code, 'ERR_INSUFFICIENT_MEMO_HEADER_BYTES');
+          assert.equal(err.offset, 21);
+          done();
+        })
+        .on('header', assert.fail.bind(null, 'no header event should have been emitted'));
+    });
+
+    it('block header cut off by the end of the memo file should emit error', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const dbt = new DBaseIVMemo.Builder().memo('memo value').build();
+
+      const record = new Record.Builder().field('0000000001', field).build();
+
+      const dbf = new DBF.Builder()
+        .version(0x8B)
+        .field(field)
+        .record(record)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      // only the first 4 bytes of the 8-byte block header remain
+      readableStream
+        .pipe(new YADBF({ memo: dbt.buffer.slice(0, 512 + 4) }))
+        .on('error', err => {
+          assert.equal(err,
+            'DbfMemoError: Memo block header at block 1 is cut off by the end of the memo file for field \'field\' in record 0');
+          assert.equal(err.code, 'ERR_INVALID_MEMO_BLOCK_HEADER');
+          assert.equal(err.offset, 512);
+          done();
+        })
+        .on('data', assert.fail.bind(null, 'no record events should have been emitted'));
+    });
+  });
+
+  describe('FoxPro memo files', () => {
+    it('text blocks should be returned as strings and block size reported on header', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const fpt = new FoxProMemo.Builder()
+        .blockSize(64)
+        .memo('memo 1 value')
+        .memo('a'.repeat(100))
+        .build();
+
+      const record1 = new Record.Builder().field(String(fpt.blockNumber(0)).padStart(10, '0'), field).build();
+      const record2 = new Record.Builder().field(String(fpt.blockNumber(1)).padStart(10, '0'), field).build();
+
+      const dbf = new DBF.Builder()
+        .version(0xF5)
+        .field(field)
+        .record(record1)
+        .record(record2)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const records = [];
+
+      readableStream
+        .pipe(new YADBF({ memo: fpt.buffer }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('header', header => assert.equal(header.memoBlockSize, 64))
+        .on('data', record => records.push(record))
+        .on('end', () => {
+          assert.deepEqual(records.map(r => r.field), [ 'memo 1 value', 'a'.repeat(100) ]);
+          done();
+        });
+    });
+
+    it('block numbers right-justified with spaces should be replaced by memos', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const fpt = new FoxProMemo.Builder()
+        .blockSize(64)
+        .memo('memo 1 value')
+        .memo('memo 2 value')
+        .build();
+
+      const record1 = new Record.Builder().field(String(fpt.blockNumber(0)).padStart(10, ' '), field).build();
+      const record2 = new Record.Builder().field(String(fpt.blockNumber(1)).padStart(10, ' '), field).build();
+
+      const dbf = new DBF.Builder()
+        .version(0xF5)
+        .field(field)
+        .record(record1)
+        .record(record2)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const records = [];
+
+      readableStream
+        .pipe(new YADBF({ memo: fpt.buffer }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('data', record => records.push(record))
+        .on('end', () => {
+          assert.deepEqual(records.map(r => r.field), [ 'memo 1 value', 'memo 2 value' ]);
+          done();
+        });
+    });
+
+    it('picture and object blocks should be returned as Buffers', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const fpt = new FoxProMemo.Builder()
+        .blockSize(32)
+        .memo(Buffer.from([0x89, 0x50, 0x4E, 0x47]), 0)
+        .memo(Buffer.from([0xD0, 0xCF, 0x11, 0xE0]), 2)
+        .build();
+
+      const record1 = new Record.Builder().field(String(fpt.blockNumber(0)).padStart(10, '0'), field).build();
+      const record2 = new Record.Builder().field(String(fpt.blockNumber(1)).padStart(10, '0'), field).build();
+
+      const dbf = new DBF.Builder()
+        .version(0xF5)
+        .field(field)
+        .record(record1)
+        .record(record2)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const records = [];
+
+      readableStream
+        .pipe(new YADBF({ memo: fpt.buffer }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('data', record => records.push(record))
+        .on('end', () => {
+          assert.deepEqual(records.map(r => r.field), [
+            Buffer.from([0x89, 0x50, 0x4E, 0x47]),
+            Buffer.from([0xD0, 0xCF, 0x11, 0xE0])
+          ]);
+          done();
+        });
+    });
+
+    it('blank block numbers should be returned as null', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const fpt = new FoxProMemo.Builder().memo('memo value').build();
+
+      const record = new Record.Builder().field('          ', field).build();
+
+      const dbf = new DBF.Builder()
+        .version(0xF5)
+        .field(field)
+        .record(record)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF({ memo: fpt.buffer }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('data', record => assert.strictEqual(record.field, null))
+        .on('end', done);
+    });
+
+    it('block size of 0 should emit error', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const fpt = new FoxProMemo.Builder().memo('memo value').build().buffer;
+      fpt.writeUInt16BE(0, 6);
+
+      const dbf = new DBF.Builder()
+        .version(0xF5)
+        .field(field)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF({ memo: fpt }))
+        .on('error', err => {
+          assert.equal(err, 'DbfMemoError: Invalid FoxPro memo block size: 0');
+          done();
+        })
+        .on('header', assert.fail.bind(null, 'no header event should have been emitted'));
+    });
+
+    it('memo file too short for its header should emit error', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const dbf = new DBF.Builder()
+        .version(0xF5)
+        .field(field)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF({ memo: Buffer.alloc(5) }))
+        .on('error', err => {
+          assert.equal(err, 'DbfMemoError: Unable to parse first 8 bytes from FoxPro memo header, found 5 byte(s)');
+          assert.equal(err.code, 'ERR_INSUFFICIENT_MEMO_HEADER_BYTES');
+          assert.equal(err.offset, 5);
+          done();
+        })
+        .on('header', assert.fail.bind(null, 'no header event should have been emitted'));
+    });
+
+    it('block header cut off by the end of the memo file should emit error', done => {
+      const field = new Field.Builder('field', 'M').build();
+
+      const fpt = new FoxProMemo.Builder().memo('memo value').build();
+
+      const record = new Record.Builder().field(String(fpt.blockNumber(0)).padStart(10, '0'), field).build();
+
+      const dbf = new DBF.Builder()
+        .version(0xF5)
+        .field(field)
+        .record(record)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      // only the first 4 bytes of the 8-byte block header remain
+      readableStream
+        .pipe(new YADBF({ memo: fpt.buffer.slice(0, 512 + 4) }))
+        .on('error', err => {
+          assert.equal(err,
+            'DbfMemoError: Memo block header at block 8 is cut off by the end of the memo file for field \'field\' in record 0');
+          assert.equal(err.code, 'ERR_INVALID_MEMO_BLOCK_HEADER');
+          assert.equal(err.offset, 512);
+          done();
+        })
+        .on('data', assert.fail.bind(null, 'no record events should have been emitted'));
+    });
+  });
+});
+
+describe('Visual FoxPro tables', () => {
+  // little-endian helpers for building binary field values
+  function int32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeInt32LE(value, 0);
+    return buffer;
+  }
+
+  function double(value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeDoubleLE(value, 0);
+    return buffer;
+  }
+
+  // Julian day number followed by milliseconds since midnight
+  function datetime(date) {
+    return Buffer.concat([
+      int32(Math.floor(date.getTime() / 86400000) + 2440588),
+      int32(date.getTime() % 86400000)
+    ]);
+  }
+
+  it('header with backlink and field flags should be parsed', done => {
+    const field1 = new Field.Builder('field1', 'I').size(4).build();
+    const field2 = new Field.Builder('field2', 'C').size(10).flags(0x06).build();
+    const nullFlags = new Field.Builder('_NullFlags', '0').size(1).flags(0x05).build();
+
+    const dbf = new DBF.Builder()
+      .version(0x30)
+      .date(new Date(2019, 7, 17))
+      .field(field1)
+      .field(field2)
+      .field(nullFlags)
+      .backlink()
+      .build();
+
+    const readableStream = new Readable();
+    readableStream.push(dbf.buffer);
+    readableStream.push(null);
+
+    readableStream
+      .pipe(new YADBF())
+      .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+      .on('header', actualHeader => {
+        assert.equal(actualHeader.version, 0x30);
+        assert.equal(actualHeader.numberOfHeaderBytes, 32 + 3*32 + 1 + 263);
+        assert.deepEqual(actualHeader.fields.map(f => [f.name, f.type, f.isSystem, f.isNullable, f.isBinary]), [
+          ['field1', 'I', false, false, false],
+          ['field2', 'C', false, true, true],
+          ['_NullFlags', '0', true, false, true]
+        ]);
+      })
+      .on('data', assert.fail.bind(null, 'no record events should have been emitted'))
+      .on('end', done);
+  });
+
+  it('Visual FoxPro field types should be rejected in non-Visual FoxPro tables', done => {
+    const field = new Field.Builder('field', 'I').size(4).build();
+
+    const dbf = new DBF.Builder().version(0x03).field(field).build();
+
+    const readableStream = new Readable();
+    readableStream.push(dbf.buffer);
+    readableStream.push(null);
+
+    readableStream
+      .pipe(new YADBF())
+      .on('error', err => {
+        assert.equal(err, 'DbfFieldDescriptorError: Field type must be one of: C, D, F, L, M, N');
+        done();
+      })
+      .on('header', assert.fail.bind(null, 'no header event should have been emitted'));
+  });
+
+  it('fixed-length Visual FoxPro field with wrong length should emit error', done => {
+    const field = new Field.Builder('field', 'T').size(4).build();
+
+    const dbf = new DBF.Builder().version(0x30).field(field).backlink().build();
+
+    const readableStream = new Readable();
+    readableStream.push(dbf.buffer);
+    readableStream.push(null);
+
+    readableStream
+      .pipe(new YADBF())
+      .on('error', err => {
+        assert.equal(err, 'DbfFieldDescriptorError: Invalid T field length: 4');
+        done();
+      })
+      .on('header', assert.fail.bind(null, 'no header event should have been emitted'));
+  });
+
+  it('I, B, Y, and T fields should be decoded from their binary representations', done => {
+    const field1 = new Field.Builder('field1', 'I').size(4).build();
+    const field2 = new Field.Builder('field2', 'B').size(8).build();
+    const field3 = new Field.Builder('field3', 'Y').size(8).build();
+    const field4 = new Field.Builder('field4', 'T').size(8).build();
+    const field5 = new Field.Builder('field5', 'T').size(8).build();
+
+    // currency is stored as a 64-bit integer scaled by 10,000
+    const currency = Buffer.alloc(8);
+    currency.writeInt32LE(-12345678, 0);
+    currency.writeInt32LE(-1, 4);
+
+    const record = new Record.Builder()
+      .field(int32(-42), field1)
+      .field(double(3.14159), field2)
+      .field(currency, field3)
+      .field(datetime(new Date('2019-07-17T12:34:56.789Z')), field4)
+      .field(Buffer.alloc(8), field5)
+      .build();
+
+    const dbf = new DBF.Builder()
+      .version(0x30)
+      .field(field1)
+      .field(field2)
+      .field(field3)
+      .field(field4)
+      .field(field5)
+      .backlink()
+      .record(record)
+      .build();
+
+    const readableStream = new Readable();
+    readableStream.push(dbf.buffer);
+    readableStream.push(null);
+
+    readableStream
+      .pipe(new YADBF())
+      .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+      .on('data', record => {
+        assert.deepEqual(record, {
+          '@meta': {
+            deleted: false
+          },
+          field1: -42,
+          field2: 3.14159,
+          field3: -1234.5678,
+          field4: new Date('2019-07-17T12:34:56.789Z'),
+          field5: null
+        });
+      })
+      .on('end', done);
+  });
+
+  it('_NullFlags should control null and variable-length values and not be output', done => {
+    const field1 = new Field.Builder('field1', 'V').size(10).build();
+    const field2 = new Field.Builder('field2', 'Q').size(4).flags(0x02).build();
+    const field3 = new Field.Builder('field3', 'N').size(5).flags(0x02).build();
+    const nullFlags = new Field.Builder('_NullFlags', '0').size(1).flags(0x05).build();
+
+    // bits: 0 = field1 var length, 1 = field2 var length, 2 = field2 null, 3 = field3 null
+    const record1 = new Record.Builder()
+      .field(Buffer.from('abc\0\0\0\0\0\0\x03'), field1)
+      .field(Buffer.from([0x01, 0x02, 0x00, 0x02]), field2)
+      .field('   17', field3)
+      .field(Buffer.from([0x03]), nullFlags)
+      .build();
+
+    const record2 = new Record.Builder()
+      .field('abcdefghij', field1)
+      .field(Buffer.alloc(4), field2)
+      .field('     ', field3)
+      .field(Buffer.from([0x0C]), nullFlags)
+      .build();
+
+    const dbf = new DBF.Builder()
+      .version(0x32)
+      .field(field1)
+      .field(field2)
+      .field(field3)
+      .field(nullFlags)
+      .backlink()
+      .record(record1)
+      .record(record2)
+      .build();
+
+    const readableStream = new Readable();
+    readableStream.push(dbf.buffer);
+    readableStream.push(null);
+
+    const records = [];
+
+    readableStream
+      .pipe(new YADBF())
+      .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+      .on('data', record => records.push(record))
+      .on('end', () => {
+        assert.deepEqual(records, [
+          {
+            '@meta': {
+              deleted: false
+            },
+            field1: 'abc',
+            field2: Buffer.from([0x01, 0x02]),
+            field3: 17
+          },
+          {
+            '@meta': {
+              deleted: false
+            },
+            field1: 'abcdefghij',
+            field2: null,
+            field3: null
+          }
+        ]);
+        done();
+      });
+  });
+
+  it('M and G fields should be resolved from the .fpt memo file', done => {
+    const field1 = new Field.Builder('field1', 'M').size(4).build();
+    const field2 = new Field.Builder('field2', 'G').size(4).build();
+
+    const fpt = new FoxProMemo.Builder()
+      .memo('memo value')
+      .memo(Buffer.from([0xD0, 0xCF, 0x11, 0xE0]), 2)
+      .build();
+
+    const record1 = new Record.Builder()
+      .field(int32(fpt.blockNumber(0)), field1)
+      .field(int32(fpt.blockNumber(1)), field2)
+      .build();
+
+    const record2 = new Record.Builder()
+      .field(int32(0), field1)
+      .field(int32(0), field2)
+      .build();
+
+    const dbf = new DBF.Builder()
+      .version(0x30)
+      .field(field1)
+      .field(field2)
+      .backlink()
+      .record(record1)
+      .record(record2)
+      .build();
+
+    const readableStream = new Readable();
+    readableStream.push(dbf.buffer);
+    readableStream.push(null);
+
+    const records = [];
+
+    readableStream
+      .pipe(new YADBF({ memo: fpt.buffer }))
+      .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+      .on('data', record => records.push(record))
+      .on('end', () => {
+        assert.deepEqual(records.map(r => [r.field1, r.field2]), [
+          ['memo value', Buffer.from([0xD0, 0xCF, 0x11, 0xE0])],
+          [null, null]
+        ]);
+        done();
+      });
+  });
+});
+
+describe('dBASE 7 tables', () => {
+  it('header with 48-byte field descriptors and language driver name should be parsed', done => {
+    const field1 = new Field.Builder('a_field_name_longer_than_10', 'C').size(20).build();
+    const field2 = new Field.Builder('field2', 'N').size(10).precision(2).prodMDXFieldFlag(true).build();
+
+    const dbf = new DBF.Builder()
+      .version(0x04)
+      .date(new Date(2019, 7, 17))
+      .languageDriverId(0x57)
+      .languageDriverName('DBWINUS0')
+      .field(field1)
+      .field(field2)
+      .build();
+
+    const readableStream = new Readable();
+    readableStream.push(dbf.buffer);
+    readableStream.push(null);
+
+    readableStream
+      .pipe(new YADBF())
+      .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+      .on('header', actualHeader => {
+        assert.deepEqual(actualHeader, {
+          version: 0x04,
+          dateOfLastUpdate: new Date(2019, 6, 17),
+          numberOfRecords: 0,
+          numberOfHeaderBytes: 68 + 2*48 + 1,
+          numberOfBytesInRecord: 31,
+          hasProductionMDXFile: 0,
+          langaugeDriverId: 0x57,
+          languageDriverName: 'DBWINUS0',
+          encoding: 'utf-8',
+          fields: [
+            {
+              name: 'a_field_name_longer_than_10',
+              type: 'C',
+              length: 20,
+              precision: 0,
+              isIndexedInMDXFile: false
+            },
+            {
+              name: 'field2',
+              type: 'N',
+              length: 10,
+              precision: 2,
+              isIndexedInMDXFile: true
+            }
+          ]
+        });
+      })
+      .on('data', assert.fail.bind(null, 'no record events should have been emitted'))
+      .on('end', done);
+  });
+
+  it('missing field descriptor array terminator should emit error', done => {
+    const field = new Field.Builder('field', 'C').size(20).build();
+
+    const dbf = new DBF.Builder()
+      .version(0x8C)
+      .field(field)
+      .fieldDescriptorArrayTerminator(0x0C)
+      .build();
+
+    const readableStream = new Readable();
+    readableStream.push(dbf.buffer);
+    readableStream.push(null);
+
+    readableStream
+      .pipe(new YADBF())
+      .on('error', err => {
+        assert.equal(err, 'DbfHeaderError: Invalid field descriptor array terminator at byte 117');
+        done();
+      })
+      .on('header', assert.fail.bind(null, 'no header event should have been emitted'));
+  });
+
+  it('field type not supported by dBASE 7 should emit error', done => {
+    const field = new Field.Builder('field', 'T').size(8).build();
+
+    const dbf = new DBF.Builder().version(0x04).field(field).build();
+
+    const readableStream = new Readable();
+    readableStream.push(dbf.buffer);
+    readableStream.push(null);
+
+    readableStream
+      .pipe(new YADBF())
+      .on('error', err => {
+        assert.equal(err, 'DbfFieldDescriptorError: Field type must be one of: C, D, F, L, M, N, @, +, O, I');
+        done();
+      })
+      .on('header', assert.fail.bind(null, 'no header event should have been emitted'));
+  });
+
+  it('field length equal to 255 should emit error', done => {
+    const field = new Field.Builder('field', 'C').size(255).build();
+
+    const dbf = new DBF.Builder().version(0x04).field(field).build();
+
+    const readableStream = new Readable();
+    readableStream.push(dbf.buffer);
+    readableStream.push(null);
+
+    readableStream
+      .pipe(new YADBF())
+      .on('error', err => {
+        assert.equal(err, 'DbfFieldDescriptorError: Field length must be less than 255');
+        done();
+      })
+      .on('header', assert.fail.bind(null, 'no header event should have been emitted'));
+  });
+
+  it('non-0x00/0x01 value for production MDX file index tag should emit error', done => {
+    const field = new Field.Builder('field', 'C').size(10).prodMDXFieldFlag(2).build();
+
+    const dbf = new DBF.Builder().version(0x04).field(field).build();
+
+    const readableStream = new Readable();
+    readableStream.push(dbf.buffer);
+    readableStream.push(null);
+
+    readableStream
+      .pipe(new YADBF())
+      .on('error', err => {
+        assert.equal(err, 'DbfFieldDescriptorError: Invalid indexed in production MDX file value: 2');
+        done();
+      })
+      .on('header', assert.fail.bind(null, 'no header event should have been emitted'));
+  });
+
+  it('fixed-length dBASE 7 field with wrong length should emit error', done => {
+    const field = new Field.Builder('field', '@').size(4).build();
+
+    const dbf = new DBF.Builder().version(0x04).field(field).build();
+
+    const readableStream = new Readable();
+    readableStream.push(dbf.buffer);
+    readableStream.push(null);
+
+    readableStream
+      .pipe(new YADBF())
+      .on('error', err => {
+        assert.equal(err, 'DbfFieldDescriptorError: Invalid @ field length: 4');
+        done();
+      })
+      .on('header', assert.fail.bind(null, 'no header event should have been emitted'));
+  });
+
+  it('@, +, O, and I fields should be decoded from their binary representations', done => {
+    const field1 = new Field.Builder('field1', '@').size(8).build();
+    const field2 = new Field.Builder('field2', '+').size(4).build();
+    const field3 = new Field.Builder('field3', 'I').size(4).build();
+    const field4 = new Field.Builder('field4', 'O').size(8).build();
+    const field5 = new Field.Builder('field5', 'O').size(8).build();
+    const field6 = new Field.Builder('field6', 'C').size(5).build();
+
+    // timestamps are a big-endian Julian day number and milliseconds since midnight
+    const date = new Date('2019-07-17T12:34:56.000Z');
+    const timestamp = Buffer.alloc(8);
+    timestamp.writeInt32BE(Math.floor(date.getTime() / 86400000) + 2440588, 0);
+    timestamp.writeInt32BE(date.getTime() % 86400000, 4);
+
+    // longs are big-endian with the sign bit flipped
+    const autoincrement = Buffer.from([0x80, 0x00, 0x00, 0x11]);
+    const long = Buffer.from([0x7F, 0xFF, 0xFF, 0xFE]);
+
+    // positive doubles have the sign bit flipped, negative doubles have every bit flipped
+    const positiveDouble = Buffer.alloc(8);
+    positiveDouble.writeDoubleBE(12.5, 0);
+    positiveDouble.writeUInt8(positiveDouble.readUInt8(0) | 0x80, 0);
+
+    const negativeDouble = Buffer.alloc(8);
+    negativeDouble.writeDoubleBE(-0.25, 0);
+    negativeDouble.forEach((byte, i) => negativeDouble.writeUInt8(~byte & 0xFF, i));
+
+    const record = new Record.Builder()
+      .field(timestamp, field1)
+      .field(autoincrement, field2)
+      .field(long, field3)
+      .field(positiveDouble, field4)
+      .field(negativeDouble, field5)
+      .field('value', field6)
+      .build();
+
+    const dbf = new DBF.Builder()
+      .version(0x04)
+      .field(field1)
+      .field(field2)
+      .field(field3)
+      .field(field4)
+      .field(field5)
+      .field(field6)
+      .record(record)
+      .build();
+
+    const readableStream = new Readable();
+    readableStream.push(dbf.buffer);
+    readableStream.push(null);
+
+    readableStream
+      .pipe(new YADBF())
+      .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+      .on('data', record => {
+        assert.deepEqual(record, {
+          '@meta': {
+            deleted: false
+          },
+          field1: date,
+          field2: 17,
+          field3: -2,
+          field4: 12.5,
+          field5: -0.25,
+          field6: 'value'
+        });
+      })
+      .on('end', done);
+  });
+
+  it('blank timestamps should be output as null', done => {
+    const field = new Field.Builder('field', '@').size(8).build();
+
+    const record = new Record.Builder().field(Buffer.alloc(8), field).build();
+
+    const dbf = new DBF.Builder()
+      .version(0x04)
+      .field(field)
+      .record(record)
+      .build();
+
+    const readableStream = new Readable();
+    readableStream.push(dbf.buffer);
+    readableStream.push(null);
+
+    readableStream
+      .pipe(new YADBF())
+      .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+      .on('data', record => assert.strictEqual(record.field, null))
+      .on('end', done);
+  });
+});
+
+describe('errors', () => {
+  it('header errors should be DbfHeaderErrors with a code and offset', done => {
+    const dbf = new DBF.Builder().version(2).build();
+
+    const readableStream = new Readable();
+    readableStream.push(dbf.buffer);
+    readableStream.push(null);
+
+    readableStream
+      .pipe(new YADBF())
+      .on('error', err => {
+        assert.ok(err instanceof YADBF.DbfHeaderError);
+        assert.ok(err instanceof YADBF.DbfError);
+        assert.ok(err instanceof Error);
+        assert.equal(err.name, 'DbfHeaderError');
+        assert.equal(err.code, 'ERR_UNSUPPORTED_VERSION');
+        assert.equal(err.offset, 0);
+        assert.equal(err.recordIndex, undefined);
+        assert.equal(err.field, undefined);
+        done();
+      });
+  });
+
+  it('field descriptor errors should be DbfFieldDescriptorErrors with the field name and offset of the bad byte', done => {
+    const field1 = new Field.Builder('field1', 'C').size(3).build();
+    const field2 = new Field.Builder('field2', 'X').size(2).build();
+
+    const dbf = new DBF.Builder().field(field1).field(field2).build();
+
+    const readableStream = new Readable();
+    readableStream.push(dbf.buffer);
+    readableStream.push(null);
+
+    readableStream
+      .pipe(new YADBF())
+      .on('error', err => {
+        assert.ok(err instanceof YADBF.DbfFieldDescriptorError);
+        assert.equal(err.code, 'ERR_UNSUPPORTED_FIELD_TYPE');
+        // 32-byte header, 32-byte first descriptor, then the type at byte 11 of the second
+        assert.equal(err.offset, 32 + 32 + 11);
+        assert.equal(err.field, 'field2');
+        done();
+      });
+  });
+
+  it('record errors should be DbfRecordErrors with the record index, field name, and offset of the value', done => {
+    const field1 = new Field.Builder('field1', 'C').size(3).build();
+    const field2 = new Field.Builder('field2', 'L').size(1).build();
+
+    const record1 = new Record.Builder().field('abc', field1).field('T', field2).build();
+    const record2 = new Record.Builder().field('def', field1).field('R', field2).build();
+
+    const dbf = new DBF.Builder()
+      .field(field1)
+      .field(field2)
+      .record(record1)
+      .record(record2)
+      .build();
+
+    const readableStream = new Readable();
+    readableStream.push(dbf.buffer);
+    readableStream.push(null);
+
+    readableStream
+      .pipe(new YADBF())
+      .on('error', err => {
+        assert.ok(err instanceof YADBF.DbfRecordError);
+        assert.equal(err.code, 'ERR_INVALID_FIELD_VALUE');
+        assert.equal(err.recordIndex, 1);
+        assert.equal(err.field, 'field2');
+        // 97 header bytes, 5 bytes for the first record, then the deleted flag and field1 of the second
+        assert.equal(err.offset, 97 + 5 + 1 + 3);
+        done();
+      });
+  });
+
+  it('memo errors should be DbfMemoErrors with the record index, field name, and offset in the memo file', done => {
+    const field = new Field.Builder('field', 'M').build();
+
+    const record = new Record.Builder().field('0000000002', field).build();
+
+    const dbf = new DBF.Builder()
+      .version(0x83)
+      .field(field)
+      .record(record)
+      .build();
+
+    const dbt = new DBaseIIIMemo.Builder().memo('memo value').build();
+
+    const readableStream = new Readable();
+    readableStream.push(dbf.buffer);
+    readableStream.push(null);
+
+    readableStream
+      .pipe(new YADBF({ memo: dbt.buffer }))
+      .on('error', err => {
+        assert.ok(err instanceof YADBF.DbfMemoError);
+        assert.equal(err.code, 'ERR_MEMO_BLOCK_OUT_OF_RANGE');
+        assert.equal(err.recordIndex, 0);
+        assert.equal(err.field, 'field');
+        assert.equal(err.offset, 2 * 512);
+        done();
+      });
+  });
+
+  it('warnings in lenient mode should carry the same codes and positions', done => {
+    const field = new Field.Builder('field', 'C').size(3).build();
+
+    const record = new Record.Builder().deleted('#').field('abc', field).build();
+
+    const dbf = new DBF.Builder().field(field).record(record).build();
+
+    const readableStream = new Readable();
+    readableStream.push(dbf.buffer);
+    readableStream.push(null);
+
+    const warnings = [];
+
+    readableStream
+      .pipe(new YADBF({ strict: false }))
+      .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+      .on('warning', warning => warnings.push(warning))
+      .on('data', assert.fail.bind(null, 'no record events should have been emitted'))
+      .on('end', () => {
+        assert.deepEqual(warnings.map(w => [w.constructor, w.code, w.offset, w.recordIndex]), [
+          [YADBF.DbfRecordError, 'ERR_INVALID_DELETED_FLAG', 65, 0]
+        ]);
+        done();
+      });
+  });
+});
+
+describe('options', () => {
+  describe('deleted flag', () => {
+    it('non-boolean deleted should emit error', done => {
+      [null, {}, [], 'this is not a boolean', 17, 17.3, NaN, Infinity].forEach(deleted => {
+        assert.throws(() => {
+          const yadbf = new YADBF({ deleted: deleted });
+        }, /^Error: deleted must be a boolean$/);
+      });
+      done();
+    });
+
+    it('deleted=true should include deleted records', done => {
+      const field1 = new Field.Builder('field1', 'C').size(25).build();
+      const field2 = new Field.Builder('field2', 'C').size(30).build();
+
+      const record1 = new Record.Builder()
+        .field('record 1 field 1 value', field1)
+        .field('record 1 field 2 value', field2)
+        .build();
+
+      const record2 = new Record.Builder()
+        .deleted()
+        .field('record 2 field 1 value', field1)
+        .field('record 2 field 2 value', field2)
+        .build();
+
+      const record3 = new Record.Builder()
+        .field('record 3 field 1 value', field1)
+        .field('record 3 field 2 value', field2)
+        .build();
+
+      const dbf = new DBF.Builder()
+        .field(field1)
+        .field(field2)
+        .record(record1)
+        .record(record2)
+        .record(record3)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const records = [
+        {
+          '@meta': {
+            deleted: false
+          },
+          field1: 'record 1 field 1 value',
+          field2: 'record 1 field 2 value'
+        },
+        {
+          '@meta': {
+            deleted: true
+          },
+          field1: 'record 2 field 1 value',
+          field2: 'record 2 field 2 value'
+        },
+        {
+          '@meta': {
+            deleted: false
+          },
+          field1: 'record 3 field 1 value',
+          field2: 'record 3 field 2 value'
+        }
+      ];
+
+      readableStream
+        .pipe(new YADBF({ deleted: true }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('data', record => assert.deepEqual(record, records.shift()))
+        .on('end', () => {
+          assert.equal(records.length, 0);
+          done();
+        });
+    });
+  });
+
+  describe('strict', () => {
+    it('non-boolean strict should emit error', done => {
+      [null, {}, [], 'this is not a boolean', 17, NaN].forEach(strict => {
+        assert.throws(() => {
+          const yadbf = new YADBF({ strict: strict });
+        }, /^Error: strict must be a boolean$/);
+      });
+      done();
+    });
+
+    it('strict=false should output invalid field values as null and emit warnings', done => {
+      const field1 = new Field.Builder('field1', 'L').build();
+      const field2 = new Field.Builder('field2', 'M').build();
+      const field3 = new Field.Builder('field3', 'C').size(5).build();
+
+      const record1 = new Record.Builder()
+        .field('R', field1)
+        .field('     4    ', field2)
+        .field('abc', field3)
+        .build();
+
+      const record2 = new Record.Builder()
+        .field('T', field1)
+        .field('0000000001', field2)
+        .field('def', field3)
+        .build();
+
+      const dbf = new DBF.Builder()
+        .field(field1)
+        .field(field2)
+        .field(field3)
+        .record(record1)
+        .record(record2)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const records = [];
+      const warnings = [];
+
+      readableStream
+        .pipe(new YADBF({ strict: false }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('warning', warning => warnings.push(warning))
+        .on('data', record => records.push(record))
+        .on('end', () => {
+          assert.deepEqual(records, [
+            { '@meta': { deleted: false }, field1: null, field2: null, field3: 'abc' },
+            { '@meta': { deleted: false }, field1: true, field2: '0000000001', field3: 'def' }
+          ]);
+          assert.deepEqual(warnings.map(w => [String(w), w.recordIndex, w.field]), [
+            ['DbfRecordError: Invalid L-type field value: R', 0, 'field1'],
+            ['DbfRecordError: Invalid M-type field value: \'     4    \'', 0, 'field2']
+          ]);
+          done();
+        });
+    });
+
+    it('strict=false should skip records with an invalid deleted flag and emit warnings', done => {
+      const field = new Field.Builder('field', 'C').size(1).build();
+
+      const record1 = new Record.Builder().field('a', field).build();
+      const record2 = new Record.Builder().field('b', field).deleted('#').build();
+      const record3 = new Record.Builder().field('c', field).build();
+
+      const dbf = new DBF.Builder()
+        .field(field)
+        .record(record1)
+        .record(record2)
+        .record(record3)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const records = [];
+      const warnings = [];
+
+      readableStream
+        .pipe(new YADBF({ strict: false }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('warning', warning => warnings.push(warning))
+        .on('data', record => records.push(record))
+        .on('end', () => {
+          assert.deepEqual(records.map(r => r.field), [ 'a', 'c' ]);
+          assert.deepEqual(warnings.map(w => [String(w), w.recordIndex]), [
+            ['DbfRecordError: Invalid deleted record value: #', 1]
+          ]);
+          done();
+        });
+    });
+
+    it('strict=false should emit warning when last byte is not the end-of-file marker', done => {
+      const field = new Field.Builder('field', 'C').size(1).build();
+
+      const record = new Record.Builder().field('a', field).build();
+
+      const dbf = new DBF.Builder()
+        .field(field)
+        .record(record)
+        .endOfFile(0x1b)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const records = [];
+      const warnings = [];
+
+      readableStream
+        .pipe(new YADBF({ strict: false }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('warning', warning => warnings.push(warning))
+        .on('data', record => records.push(record))
+        .on('end', () => {
+          assert.deepEqual(records.map(r => r.field), [ 'a' ]);
+          assert.deepEqual(warnings.map(String), [ 'DbfRecordError: Last byte of file is not end-of-file marker' ]);
+          done();
+        });
+    });
+  });
+
+  describe('cpg', () => {
+    it('.cpg contents should choose the encoding', done => {
+      const field = new Field.Builder('field', 'C').size(10).build();
+
+      const record = new Record.Builder().field('текст 1', field).encoding('cp1251').build();
+
+      const dbf = new DBF.Builder()
+        .field(field)
+        .record(record)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF({ cpg: Buffer.from('ANSI 1251\r\n') }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('warning', assert.fail.bind(null, 'no warning events should have been emitted'))
+        .on('header', header => assert.equal(header.encoding, 'cp1251'))
+        .on('data', record => assert.equal(record.field, 'текст 1'))
+        .on('end', done);
+    });
+
+    it('.cpg path should be read from disk', done => {
+      const field = new Field.Builder('field', 'C').size(10).build();
+
+      const record = new Record.Builder().field('текст 1', field).encoding('cp866').build();
+
+      const dbf = new DBF.Builder()
+        .field(field)
+        .record(record)
+        .build();
+
+      const cpgPath = temporaryPath('file.cpg');
+      fs.writeFileSync(cpgPath, '866');
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF({ cpg: cpgPath }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('data', record => assert.equal(record.field, 'текст 1'))
+        .on('end', done);
+    });
+
+    it('common Esri code page names should be normalized', done => {
+      assert.equal(codePages.fromCpg('UTF-8'), 'utf-8');
+      assert.equal(codePages.fromCpg('\uFEFFutf8\n'), 'utf-8');
+      assert.equal(codePages.fromCpg('1252'), 'cp1252');
+      assert.equal(codePages.fromCpg('ANSI 1251'), 'cp1251');
+      assert.equal(codePages.fromCpg('OEM 866'), 'cp866');
+      assert.equal(codePages.fromCpg('88591'), 'iso-8859-1');
+      assert.equal(codePages.fromCpg('ISO 8859-5'), 'iso-8859-5');
+      assert.equal(codePages.fromCpg('Big5'), 'big5');
+      assert.equal(codePages.fromCpg('not a code page'), undefined);
+      done();
+    });
+
+    it('.cpg code page that disagrees with the language driver ID should emit warning and use the .cpg', done => {
+      const field = new Field.Builder('field', 'C').size(10).build();
+
+      const record = new Record.Builder().field('текст 1', field).encoding('cp1251').build();
+
+      const dbf = new DBF.Builder()
+        .languageDriverId(0x65)
+        .field(field)
+        .record(record)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const warnings = [];
+
+      readableStream
+        .pipe(new YADBF({ cpg: Buffer.from('1251'), encoding: 'auto' }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('warning', warning => warnings.push(warning))
+        .on('data', record => assert.equal(record.field, 'текст 1'))
+        .on('end', () => {
+          assert.deepEqual(warnings.map(String), [
+            'DbfHeaderError: Language driver ID 101 (cp866) does not match .cpg code page (cp1251)'
+          ]);
+          done();
+        });
+    });
+
+    it('encoding option should take precedence over .cpg', done => {
+      const field = new Field.Builder('field', 'C').size(10).build();
+
+      const record = new Record.Builder().field('текст 1', field).encoding('cp866').build();
+
+      const dbf = new DBF.Builder()
+        .field(field)
+        .record(record)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF({ cpg: Buffer.from('1251'), encoding: 'cp866' }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('header', header => assert.equal(header.encoding, 'cp866'))
+        .on('data', record => assert.equal(record.field, 'текст 1'))
+        .on('end', done);
+    });
+
+    it('cpg that is not a path or Buffer should emit error', done => {
+      [null, {}, [], 1252, true].forEach(cpg => {
+        assert.throws(() => {
+          const yadbf = new YADBF({ cpg: cpg });
+        }, /^Error: cpg must be a path or Buffer$/);
+      });
+      done();
+    });
+
+    it('unrecognized .cpg code page should emit error', done => {
+      assert.throws(() => {
+        const yadbf = new YADBF({ cpg: Buffer.from('qwer\n') });
+      }, /^Error: cpg code page not recognized: 'qwer'$/);
+      done();
+    });
+  });
+
+  describe('memo', () => {
+    it('memo that is not a path, Buffer, or random-access reader should emit error', done => {
+      [null, {}, [], 17, true, { read: () => {} }].forEach(memo => {
+        assert.throws(() => {
+          const yadbf = new YADBF({ memo: memo });
+        }, /^Error: memo must be a path, Buffer, or random-access reader$/);
+      });
+      done();
+    });
+
+    it('memo file should not be opened until every other option is valid', () => {
+      // the memo file doesn't exist, so opening it first would throw ENOENT instead
+      assert.throws(() => {
+        const yadbf = new YADBF({ memo: temporaryPath('file.dbt'), strict: 'no' });
+      }, /^Error: strict must be a boolean$/);
+    });
+  });
+
+  describe('fields', () => {
+    it('non-array fields should throw error', done => {
+      [null, {}, 'field', 17, [17], ['field', null]].forEach(fields => {
+        assert.throws(() => {
+          const yadbf = new YADBF({ fields: fields });
+        }, /^Error: fields must be an array of field names$/);
+      });
+      done();
+    });
+
+    it('only requested fields should be output', done => {
+      const field1 = new Field.Builder('field1', 'C').size(3).build();
+      const field2 = new Field.Builder('field2', 'N').size(3).build();
+      const field3 = new Field.Builder('field3', 'L').size(1).build();
+
+      const record1 = new Record.Builder()
+        .field('abc', field1)
+        .field('123', field2)
+        .field('T', field3)
+        .build();
+
+      const record2 = new Record.Builder()
+        .field('def', field1)
+        .field('456', field2)
+        .field('F', field3)
+        .build();
+
+      const dbf = new DBF.Builder()
+        .field(field1)
+        .field(field2)
+        .field(field3)
+        .record(record1)
+        .record(record2)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const records = [];
+
+      readableStream
+        .pipe(new YADBF({ fields: ['field3', 'field1'] }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('header', header => assert.deepEqual(header.fields.map(field => field.name), ['field1', 'field2', 'field3']))
+        .on('data', record => records.push(record))
+        .on('end', () => {
+          assert.deepEqual(records, [
+            { '@meta': { deleted: false }, field1: 'abc', field3: true },
+            { '@meta': { deleted: false }, field1: 'def', field3: false }
+          ]);
+          done();
+        });
+    });
+
+    it('fields not requested should not be decoded', done => {
+      const field1 = new Field.Builder('field1', 'C').size(3).build();
+      const field2 = new Field.Builder('field2', 'L').size(1).build();
+
+      const record = new Record.Builder()
+        .field('abc', field1)
+        .field('R', field2)
+        .build();
+
+      const dbf = new DBF.Builder()
+        .field(field1)
+        .field(field2)
+        .record(record)
+        .build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const records = [];
+
+      readableStream
+        .pipe(new YADBF({ fields: ['field1'] }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('data', record => records.push(record))
+        .on('end', () => {
+          assert.deepEqual(records, [ { '@meta': { deleted: false }, field1: 'abc' } ]);
+          done();
+        });
+    });
+
+    it('requested fields not in the header should emit error', done => {
+      const field = new Field.Builder('field', 'C').size(3).build();
+
+      const dbf = new DBF.Builder().field(field).build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF({ fields: ['field', 'STREET', 'CITY'] }))
+        .on('error', err => {
+          assert.equal(err, 'Error: fields not found in header: \'STREET\', \'CITY\'');
+          done();
         })
+        .on('header', assert.fail.bind(null, 'no header events should have been emitted'))
         .on('data', assert.fail.bind(null, 'no record events should have been emitted'));
     });
   });
-});
 
-describe('options', () => {
-  describe('deleted flag', () => {
-    it('non-boolean deleted should emit error', done => {
-      [null, {}, [], 'this is not a boolean', 17, 17.3, NaN, Infinity].forEach(deleted => {
+  describe('filter', () => {
+    it('non-function filter should throw error', done => {
+      [null, {}, [], 'STATE', 17, true].forEach(filter => {
+        assert.throws(() => {
+          const yadbf = new YADBF({ filter: filter });
+        }, /^Error: filter must be a function$/);
+      });
+      done();
+    });
+
+    it('only records passing the filter should be output and pagination should apply to them', done => {
+      const field1 = new Field.Builder('id', 'C').size(1).build();
+      const field2 = new Field.Builder('state', 'C').size(2).build();
+
+      const dbf = ['TX', 'CA', 'TX', 'TX', 'NY', 'TX', 'TX'].reduce((builder, state, i) => {
+        return builder.record(new Record.Builder().field(String(i + 1), field1).field(state, field2).build());
+      }, new DBF.Builder().field(field1).field(field2)).build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const records = [];
+
+      readableStream
+        .pipe(new YADBF({ filter: record => record.state === 'TX', offset: 2, size: 2 }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('data', record => records.push(record))
+        .on('end', () => {
+          // the 3rd and 4th TX records are the 4th and 6th records in the file
+          assert.deepEqual(records, [
+            { '@meta': { deleted: false }, id: '4', state: 'TX' },
+            { '@meta': { deleted: false }, id: '6', state: 'TX' }
+          ]);
+          done();
+        });
+    });
+
+    it('filter should be passed @meta and only see records that are eligible for output', done => {
+      const field = new Field.Builder('field', 'C').size(1).build();
+
+      const record1 = new Record.Builder().field('a', field).build();
+      const record2 = new Record.Builder().deleted().field('b', field).build();
+      const record3 = new Record.Builder().deleted().field('c', field).build();
+
+      const dbf = new DBF.Builder().field(field).record(record1).record(record2).record(record3).build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const filtered = [];
+      const records = [];
+
+      readableStream
+        .pipe(new YADBF({
+          deleted: true,
+          filter: record => {
+            filtered.push(record.field);
+            return record['@meta'].deleted;
+          }
+        }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('data', record => records.push(record))
+        .on('end', () => {
+          assert.deepEqual(filtered, ['a', 'b', 'c']);
+          assert.deepEqual(records, [
+            { '@meta': { deleted: true }, field: 'b' },
+            { '@meta': { deleted: true }, field: 'c' }
+          ]);
+          done();
+        });
+    });
+
+    it('error thrown by filter should emit error with the record index', done => {
+      const field = new Field.Builder('field', 'C').size(1).build();
+
+      const dbf = ['a', 'b', 'c'].reduce((builder, value) => {
+        return builder.record(new Record.Builder().field(value, field).build());
+      }, new DBF.Builder().field(field)).build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF({
+          filter: record => {
+            if (record.field === 'b') {
+              throw new TypeError('filter failed');
+            }
+            return true;
+          }
+        }))
+        .on('error', err => {
+          assert.ok(err instanceof TypeError);
+          assert.equal(err, 'TypeError: filter failed');
+          assert.equal(err.recordIndex, 1);
+          done();
+        });
+    });
+
+    it('non-Error thrown by filter should emit error with the record index', done => {
+      const field = new Field.Builder('field', 'C').size(1).build();
+
+      const dbf = new DBF.Builder().field(field).record(new Record.Builder().field('a', field).build()).build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF({
+          filter: record => {
+            throw 'filter failed';
+          }
+        }))
+        .on('error', err => {
+          assert.equal(err, 'Error: filter failed');
+          assert.equal(err.recordIndex, 0);
+          done();
+        });
+    });
+  });
+
+  describe('converters', () => {
+    it('non-object converters or non-function converter should throw error', done => {
+      [null, [], 'D', 17, () => {}, { D: 'iso' }, { ZIP: null }].forEach(converters => {
         assert.throws(() => {
-          const yadbf = new YADBF({ deleted: deleted });
-        }, /^Error: deleted must be a boolean$/);
+          const yadbf = new YADBF({ converters: converters });
+        }, /^Error: converters must be an object of functions$/);
       });
       done();
     });
 
-    it('deleted=true should include deleted records', done => {
-      const field1 = new Field.Builder('field1', 'C').size(25).build();
-      const field2 = new Field.Builder('field2', 'C').size(30).build();
-
-      const record1 = new Record.Builder()
-        .field('record 1 field 1 value', field1)
-        .field('record 1 field 2 value', field2)
-        .build();
-
-      const record2 = new Record.Builder()
-        .deleted()
-        .field('record 2 field 1 value', field1)
-        .field('record 2 field 2 value', field2)
-        .build();
+    it('converters should override handlers by type and by field name, in preference to type', done => {
+      const field1 = new Field.Builder('date', 'D').size(8).build();
+      const field2 = new Field.Builder('zip', 'N').size(5).build();
+      const field3 = new Field.Builder('amount', 'N').size(6).precision(2).build();
 
-      const record3 = new Record.Builder()
-        .field('record 3 field 1 value', field1)
-        .field('record 3 field 2 value', field2)
+      const record = new Record.Builder()
+        .field('20190717', field1)
+        .field('01234', field2)
+        .field('123.45', field3)
         .build();
 
       const dbf = new DBF.Builder()
         .field(field1)
         .field(field2)
-        .record(record1)
-        .record(record2)
-        .record(record3)
+        .field(field3)
+        .record(record)
         .build();
 
       const readableStream = new Readable();
       readableStream.push(dbf.buffer);
       readableStream.push(null);
 
-      const records = [
-        {
-          '@meta': {
-            deleted: false
-          },
-          field1: 'record 1 field 1 value',
-          field2: 'record 1 field 2 value'
-        },
-        {
-          '@meta': {
-            deleted: true
-          },
-          field1: 'record 2 field 1 value',
-          field2: 'record 2 field 2 value'
-        },
-        {
-          '@meta': {
-            deleted: false
-          },
-          field1: 'record 3 field 1 value',
-          field2: 'record 3 field 2 value'
-        }
-      ];
+      const calls = [];
+      const records = [];
 
       readableStream
-        .pipe(new YADBF({ deleted: true }))
+        .pipe(new YADBF({
+          converters: {
+            D: (buffer, decoded, field) => `${decoded.substr(0, 4)}-${decoded.substr(4, 2)}-${decoded.substr(6, 2)}`,
+            N: (buffer, decoded, field) => decoded.trim(),
+            zip: (buffer, decoded, field) => {
+              calls.push([Buffer.isBuffer(buffer), buffer.toString(), decoded, field.name, field.type, field.length]);
+              return decoded;
+            }
+          }
+        }))
         .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
-        .on('data', record => assert.deepEqual(record, records.shift()))
+        .on('data', record => records.push(record))
         .on('end', () => {
-          assert.equal(records.length, 0);
+          assert.deepEqual(calls, [ [true, '01234', '01234', 'zip', 'N', 5] ]);
+          assert.deepEqual(records, [
+            { '@meta': { deleted: false }, date: '2019-07-17', zip: '01234', amount: '123.45' }
+          ]);
+          done();
+        });
+    });
+
+    it('converter for an unsupported type should allow that type', done => {
+      const field = new Field.Builder('field', 'X').size(4).build();
+
+      const record = new Record.Builder().field(Buffer.from([0x01, 0x02, 0x03, 0x04]), field).build();
+
+      const dbf = new DBF.Builder().field(field).record(record).build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const records = [];
+
+      readableStream
+        .pipe(new YADBF({ converters: { X: buffer => buffer.readUInt32BE(0) } }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('header', header => assert.equal(header.fields[0].type, 'X'))
+        .on('data', record => records.push(record))
+        .on('end', () => {
+          assert.deepEqual(records, [ { '@meta': { deleted: false }, field: 0x01020304 } ]);
+          done();
+        });
+    });
+
+    it('error thrown by converter should be a field-level error', done => {
+      const field = new Field.Builder('field', 'C').size(3).build();
+
+      const record = new Record.Builder().field('abc', field).build();
+
+      const dbf = new DBF.Builder().field(field).record(record).build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      readableStream
+        .pipe(new YADBF({
+          converters: {
+            C: () => {
+              throw 'converter failed';
+            }
+          }
+        }))
+        .on('error', err => {
+          assert.equal(err, 'Error: converter failed');
+          assert.equal(err.recordIndex, 0);
+          assert.equal(err.field, 'field');
+          assert.equal(err.offset, 65 + 1);
+          done();
+        })
+        .on('data', assert.fail.bind(null, 'no record events should have been emitted'));
+    });
+
+    it('error thrown by converter in lenient mode should emit warning and output null', done => {
+      const field = new Field.Builder('field', 'C').size(3).build();
+
+      const record = new Record.Builder().field('abc', field).build();
+
+      const dbf = new DBF.Builder().field(field).record(record).build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const warnings = [];
+      const records = [];
+
+      readableStream
+        .pipe(new YADBF({
+          strict: false,
+          converters: {
+            field: () => {
+              throw new RangeError('converter failed');
+            }
+          }
+        }))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('warning', warning => warnings.push(warning))
+        .on('data', record => records.push(record))
+        .on('end', () => {
+          assert.deepEqual(warnings.map(String), [ 'RangeError: converter failed' ]);
+          assert.deepEqual(records, [ { '@meta': { deleted: false }, field: null } ]);
+          done();
+        });
+    });
+  });
+
+  describe('numeric', () => {
+    it('unsupported numeric mode should throw error', done => {
+      [null, {}, 'bigint', 17, true].forEach(numeric => {
+        assert.throws(() => {
+          const yadbf = new YADBF({ numeric: numeric });
+        }, /^Error: numeric must be one of: number, exact, string$/);
+      });
+      done();
+    });
+
+    // parses records of integer, decimal, and float field `values` using `numeric` and calls back with the output values
+    function parseNumbers(numeric, values, callback) {
+      const field1 = new Field.Builder('integer', 'N').size(20).precision(0).build();
+      const field2 = new Field.Builder('decimal', 'N').size(10).precision(2).build();
+      const field3 = new Field.Builder('float', 'F').size(10).precision(3).build();
+
+      const dbf = values.reduce((builder, [integer, decimal, float]) => {
+        return builder.record(new Record.Builder().field(integer, field1).field(decimal, field2).field(float, field3).build());
+      }, new DBF.Builder().field(field1).field(field2).field(field3)).build();
+
+      const readableStream = new Readable();
+      readableStream.push(dbf.buffer);
+      readableStream.push(null);
+
+      const records = [];
+
+      readableStream
+        .pipe(new YADBF({ numeric: numeric }))
+        .on('error', callback)
+        .on('data', record => records.push([record.integer, record.decimal, record.float]))
+        .on('end', () => callback(null, records));
+    }
+
+    const values = [
+      ['12345678901234567890', '    123.45', '     1.5e3'],
+      ['                  42', '      12.5', '    -0.000'],
+      ['   -9007199254740993', '    -00.00', '      +007'],
+      ['                    ', '          ', '          ']
+    ];
+
+    it('numeric=number should output numbers', done => {
+      parseNumbers('number', values, (err, records) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(records, [
+          [12345678901234567000, 123.45, 1500],
+          [42, 12.5, -0],
+          [-9007199254740992, -0, 7],
+          [null, null, null]
+        ]);
+        done();
+      });
+    });
+
+    it('numeric=exact should output integers too large to be numbers as BigInts', done => {
+      parseNumbers('exact', values, (err, records) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(records, [
+          [BigInt('12345678901234567890'), 123.45, 1500],
+          [42, 12.5, -0],
+          [BigInt('-9007199254740993'), -0, 7],
+          [null, null, null]
+        ]);
+        done();
+      });
+    });
+
+    it('numeric=string should output canonical decimal strings with the field precision', done => {
+      parseNumbers('string', values, (err, records) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(records, [
+          ['12345678901234567890', '123.45', '1.5e3'],
+          ['42', '12.50', '0.000'],
+          ['-9007199254740993', '0.00', '7.000'],
+          [null, null, null]
+        ]);
+        done();
+      });
+    });
+  });
+
+  describe('recordCount', () => {
+    // returns a table of 3 records with a single 5-byte field whose header declares `numberOfRecords` records
+    function tableWithRecordCount(numberOfRecords) {
+      const field = new Field.Builder('field', 'C').size(5).build();
+
+      const buffer = ['a', 'b', 'c'].reduce((builder, value) => {
+        return builder.record(new Record.Builder().field(value, field).build());
+      }, new DBF.Builder().field(field)).build().buffer;
+
+      buffer.writeUInt32LE(numberOfRecords, 4);
+
+      return buffer;
+    }
+
+    // pipes `buffer` through a new YADBF created with `options`
+    function parseBuffer(buffer, options) {
+      const readableStream = new Readable();
+      readableStream.push(buffer);
+      readableStream.push(null);
+
+      return readableStream.pipe(new YADBF(options));
+    }
+
+    // the 3 records of `tableWithRecordCount` follow the 65 header bytes, then the end-of-file marker
+    const fileSize = 65 + 3 * 6 + 1;
+
+    it('unsupported recordCount mode should throw error', () => {
+      ['HEADER', 'guess', 17, null].forEach(recordCount => {
+        assert.throws(() => {
+          const yadbf = new YADBF({ recordCount: recordCount, fileSize: 0 });
+        }, /^Error: recordCount must be one of: header, check, infer$/);
+      });
+    });
+
+    it('missing or invalid fileSize should throw error when the record count is checked or inferred', () => {
+      assert.throws(() => new YADBF({ recordCount: 'check' }), /^Error: fileSize is required when recordCount is 'check'$/);
+      assert.throws(() => new YADBF({ recordCount: 'infer' }), /^Error: fileSize is required when recordCount is 'infer'$/);
+
+      [-1, 1.5, '84'].forEach(fileSize => {
+        assert.throws(() => new YADBF({ recordCount: 'check', fileSize: fileSize }), /^Error: fileSize must be a non-negative integer$/);
+      });
+
+      assert.throws(() => new YADBF({ recordCount: 'header', fileSize: 84 }),
+        /^Error: fileSize has no effect when recordCount is 'header'$/);
+    });
+
+    it('fileSize without recordCount should check the number of records in the header', done => {
+      parseBuffer(tableWithRecordCount(0), { fileSize: fileSize })
+        .on('error', err => {
+          assert.equal(err, 'DbfHeaderError: Number of records in header (0) does not match the 3 record(s) in the 84-byte file');
+          done();
+        })
+        .on('header', assert.fail.bind(null, 'no header event should have been emitted'))
+        .on('data', assert.fail.bind(null, 'no record events should have been emitted'));
+    });
+
+    it('recordCount=header should trust the number of records in the header', done => {
+      const records = [];
+
+      parseBuffer(tableWithRecordCount(2))
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('data', record => records.push(record.field))
+        .on('end', () => {
+          assert.deepEqual(records, ['a', 'b']);
           done();
         });
     });
+
+    it('recordCount=check should emit error when the header disagrees with the file size', done => {
+      parseBuffer(tableWithRecordCount(2), { recordCount: 'check', fileSize: fileSize })
+        .on('error', err => {
+          assert.equal(err, 'DbfHeaderError: Number of records in header (2) does not match the 3 record(s) in the 84-byte file');
+          assert.equal(err.code, 'ERR_RECORD_COUNT_MISMATCH');
+          assert.equal(err.offset, 4);
+          done();
+        })
+        .on('header', assert.fail.bind(null, 'no header event should have been emitted'))
+        .on('data', assert.fail.bind(null, 'no record events should have been emitted'));
+    });
+
+    it('recordCount=check should not emit error when the header agrees with the file size', done => {
+      const records = [];
+
+      // the end-of-file marker is optional
+      parseBuffer(tableWithRecordCount(3), { recordCount: 'check', fileSize: fileSize - 1 })
+        .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+        .on('data', record => records.push(record.field))
+        .on('end', () => {
+          assert.deepEqual(records, ['a', 'b', 'c']);
+          done();
+        });
+    });
+
+    it('recordCount=infer should emit warning and read every record when the header count is stale or zero', done => {
+      Promise.all([2, 0].map(numberOfRecords => new Promise((resolve, reject) => {
+        const warnings = [];
+        const records = [];
+
+        parseBuffer(tableWithRecordCount(numberOfRecords), { recordCount: 'infer', fileSize: fileSize })
+          .on('error', reject)
+          .on('warning', warning => warnings.push(String(warning)))
+          .on('header', header => assert.equal(header.numberOfRecords, 3))
+          .on('data', record => records.push(record.field))
+          .on('end', () => resolve({ warnings, records }));
+      }))).then(results => {
+        assert.deepEqual(results, [2, 0].map(numberOfRecords => ({
+          warnings: [
+            `DbfHeaderError: Number of records in header (${numberOfRecords}) does not match the 3 record(s) in the 84-byte file`
+          ],
+          records: ['a', 'b', 'c']
+        })));
+        done();
+      }).catch(done);
+    });
   });
 
   describe('pagination', () => {
@@ -1627,6 +4131,70 @@ describe('options', () => {
           });
       });
 
+      it('auto should decode using the code page of the language driver ID', done => {
+        const field = new Field.Builder('field', 'C').size(10).build();
+
+        const record1 = new Record.Builder().field('текст 1', field).encoding('cp866').build();
+        const record2 = new Record.Builder().field('текст 2', field).encoding('cp866').build();
+
+        const dbf = new DBF.Builder()
+          .languageDriverId(0x65)
+          .field(field)
+          .record(record1)
+          .record(record2)
+          .build();
+
+        const readableStream = new Readable();
+        readableStream.push(dbf.buffer);
+        readableStream.push(null);
+
+        const records = [];
+
+        readableStream
+          .pipe(new YADBF({ encoding: 'auto' }))
+          .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+          .on('header', header => assert.equal(header.encoding, 'cp866'))
+          .on('data', record => records.push(record) )
+          .on('end', () => {
+            assert.deepEqual(records.map(r => r.field), [ 'текст 1', 'текст 2' ]);
+            done();
+          });
+      });
+
+      it('auto should fall back to utf-8 when the language driver ID is not set or unknown', done => {
+        const field = new Field.Builder('field', 'C').size(10).build();
+
+        const record = new Record.Builder().field('record 1', field).build();
+
+        const dbf = new DBF.Builder()
+          .languageDriverId(0x00)
+          .field(field)
+          .record(record)
+          .build();
+
+        const readableStream = new Readable();
+        readableStream.push(dbf.buffer);
+        readableStream.push(null);
+
+        readableStream
+          .pipe(new YADBF({ encoding: 'auto' }))
+          .on('error', assert.fail.bind(null, 'no error events should have been emitted'))
+          .on('header', header => assert.equal(header.encoding, 'utf-8'))
+          .on('data', record => assert.equal(record.field, 'record 1'))
+          .on('end', done);
+      });
+
+      it('every language driver code page should be supported by iconv-lite', done => {
+        const { languageDriverCodePages } = codePages;
+
+        languageDriverCodePages.forEach(codePage => assert.ok(Iconv.encodingExists(codePage), codePage));
+        assert.equal(languageDriverCodePages.get(0x01), 'cp437');
+        assert.equal(languageDriverCodePages.get(0x02), 'cp850');
+        assert.equal(languageDriverCodePages.get(0x03), 'cp1252');
+        assert.equal(languageDriverCodePages.get(0xC9), 'cp1251');
+        done();
+      });
+
       it('unrecognized encoding should emit error', done => {
         assert.throws(() => {
           const yadbf = new YADBF({ encoding: 'qwer' });
@@ -0,0 +1,548 @@
+const assert = require('assert');
+const YADBF = require('..');
+const fs = require('fs');
+const { temporaryPath, tableBuffer } = require('./support/tables');
+
+// the records of the table the indexes are built for, in record order
+const records = [
+  { name: 'pear', amount: 12.5, updated: new Date('2019-07-17') },
+  { name: 'apple', amount: -3, updated: new Date('2018-01-01') },
+  { name: 'fig', amount: 0, updated: new Date('2019-07-17') },
+  { name: 'banana', amount: 1000, updated: new Date('2020-02-29') },
+  { name: 'apple', amount: 0.05, updated: new Date('1999-12-31') },
+  { name: 'cherry', amount: -250.75, updated: new Date('2019-07-18') },
+  { name: 'kiwi', amount: 7, updated: new Date('2001-09-09') }
+];
+
+// returns the Julian day number of a date
+function julianDay(date) {
+  return date.getTime() / 86400000 + 2440588;
+}
+
+// returns the [value, 1-based record number] pairs of `field` in index order, ties broken by record number
+function sortedKeys(field, descending) {
+  const sign = descending ? -1 : 1;
+
+  return records
+    .map((record, i) => [record[field], i + 1])
+    .sort(([a, i], [b, j]) => {
+      const comparison = a instanceof Date ? a - b : a < b ? -1 : a > b ? 1 : 0;
+      return comparison * sign || i - j;
+    });
+}
+
+// returns `entries` split into leaves of at most 3 so that every index has interior nodes
+function leavesOf(entries) {
+  const leaves = [];
+
+  for (let i = 0; i < entries.length; i += 3) {
+    leaves.push(entries.slice(i, i + 3));
+  }
+
+  return leaves;
+}
+
+// returns `value` as a space-padded character key
+function characterKey(value, keyLength) {
+  return Buffer.from(value.padEnd(keyLength, ' '));
+}
+
+// returns `value` as a little-endian double key
+function doubleKey(value) {
+  const key = Buffer.alloc(8);
+  key.writeDoubleLE(value, 0);
+  return key;
+}
+
+// returns `value` as a 12-byte dBASE IV BCD key: the exponent offset by 0x34, the digit count and sign,
+//  and the significant digits that follow the decimal point
+function bcdKey(value) {
+  const [integerPart, fractionalPart = ''] = Math.abs(value).toString().split('.');
+  const digits = integerPart.replace(/^0+/, '') + fractionalPart;
+  const significantDigits = digits.replace(/^0+/, '');
+
+  // leading zeros after the decimal point lower the exponent, zero itself has an exponent of 0
+  const exponent = significantDigits ? digits.length - fractionalPart.length - (digits.length - significantDigits.length) : 0;
+
+  const key = Buffer.alloc(12);
+  key.writeUInt8(0x34 + exponent, 0);
+  key.writeUInt8((significantDigits.length << 2) | 0x01 | (value < 0 ? 0x80 : 0), 1);
+  Buffer.from(significantDigits.padEnd(20, '0'), 'hex').copy(key, 2);
+
+  return key;
+}
+
+// returns `value` (a string, number, or Date) as a FoxPro key that sorts bytewise
+function cdxKey(value, keyLength) {
+  if (typeof value === 'string') {
+    return characterKey(value, keyLength);
+  }
+
+  const key = Buffer.alloc(8);
+  key.writeDoubleBE(value instanceof Date ? julianDay(value) : value || 0, 0);
+
+  if (key.readUInt8(0) & 0x80) {
+    key.forEach((byte, i) => key.writeUInt8(~byte & 0xFF, i));
+  } else {
+    key.writeUInt8(key.readUInt8(0) | 0x80, 0);
+  }
+
+  return key;
+}
+
+// returns a dBASE III .ndx file of the `field` keys (type 0 for character keys, 1 for numeric)
+function ndxFile(field, type, keyLength) {
+  const entryLength = Math.ceil((keyLength + 8) / 4) * 4;
+  const leaves = leavesOf(sortedKeys(field));
+
+  // page 0 is the header, then the leaves, then the root
+  const pages = leaves.map(leaf => {
+    const page = Buffer.alloc(512);
+    page.writeUInt32LE(leaf.length, 0);
+
+    leaf.forEach(([value, recordNumber], i) => {
+      page.writeUInt32LE(recordNumber, 4 + i * entryLength + 4);
+      (type === 0 ? characterKey(value, keyLength) : doubleKey(value instanceof Date ? julianDay(value) : value))
+        .copy(page, 4 + i * entryLength + 8);
+    });
+
+    return page;
+  });
+
+  // the root points to each leaf, keyed by the last key of all but the last leaf
+  const root = Buffer.alloc(512);
+  root.writeUInt32LE(leaves.length - 1, 0);
+  leaves.forEach((leaf, i) => {
+    root.writeUInt32LE(i + 1, 4 + i * entryLength);
+    if (i < leaves.length - 1) {
+      const lastKeyOffset = 4 + (leaf.length - 1) * entryLength + 8;
+      pages[i].copy(root, 4 + i * entryLength + 8, lastKeyOffset, lastKeyOffset + keyLength);
+    }
+  });
+
+  const header = Buffer.alloc(512);
+  header.writeUInt32LE(leaves.length + 1, 0);
+  header.writeUInt32LE(leaves.length + 2, 4);
+  header.writeUInt16LE(keyLength, 12);
+  header.writeUInt16LE(Math.floor(504 / entryLength), 14);
+  header.writeUInt16LE(type, 16);
+  header.writeUInt16LE(entryLength, 18);
+  header.write(field.toUpperCase(), 24);
+
+  return Buffer.concat([header, ...pages, root]);
+}
+
+// returns a dBASE IV .mdx file with a tag for each of `tags` ({ name, field, type, keyLength, descending })
+//  using 1024-byte blocks
+function mdxFile(tags) {
+  const blockSize = 1024;
+
+  // the file header and a tag table of 48 32-byte entries take pages 0 through 4
+  const header = Buffer.alloc(5 * 512);
+  header.writeUInt8(2, 0);
+  header.writeUInt16LE(blockSize / 512, 20);
+  header.writeUInt16LE(blockSize, 22);
+  header.writeUInt8(32, 26);
+  header.writeUInt16LE(tags.length, 28);
+
+  const chunks = [header];
+  let page = 5;
+
+  // appends `block` and returns the page it starts at
+  const appendBlock = block => {
+    chunks.push(block);
+    page += block.length / 512;
+    return page - block.length / 512;
+  };
+
+  tags.forEach((tag, t) => {
+    const entryLength = Math.ceil((tag.keyLength + 4) / 4) * 4;
+    const encode = value => tag.type === 'C' ? characterKey(value, tag.keyLength) :
+      tag.type === 'D' ? doubleKey(julianDay(value)) : bcdKey(value);
+
+    const tagHeader = Buffer.alloc(512);
+    const tagHeaderPage = appendBlock(tagHeader);
+
+    const leaves = leavesOf(sortedKeys(tag.field, tag.descending)).map(leaf => {
+      const block = Buffer.alloc(blockSize);
+      block.writeUInt32LE(leaf.length, 0);
+
+      leaf.forEach(([value, recordNumber], i) => {
+        block.writeUInt32LE(recordNumber, 8 + i * entryLength);
+        encode(value).copy(block, 8 + i * entryLength + 4);
+      });
+
+      return { page: appendBlock(block), lastKey: encode(leaf[leaf.length - 1][0]) };
+    });
+
+    // the root points to each leaf, keyed by the last key of all but the last leaf
+    const root = Buffer.alloc(blockSize);
+    root.writeUInt32LE(leaves.length - 1, 0);
+    leaves.forEach((leaf, i) => {
+      root.writeUInt32LE(leaf.page, 8 + i * entryLength);
+      if (i < leaves.length - 1) {
+        leaf.lastKey.copy(root, 8 + i * entryLength + 4);
+      }
+    });
+
+    tagHeader.writeUInt32LE(appendBlock(root), 0);
+    tagHeader.writeUInt8(tag.descending ? 0x08 : 0, 8);
+    tagHeader.write(tag.type, 9);
+    tagHeader.writeUInt16LE(tag.keyLength, 12);
+    tagHeader.writeUInt16LE(entryLength, 18);
+    tagHeader.write(tag.field.toUpperCase(), 24);
+
+    header.writeUInt32LE(tagHeaderPage, 544 + t * 32);
+    header.write(tag.name, 544 + t * 32 + 4);
+  });
+
+  return Buffer.concat(chunks);
+}
+
+// returns a FoxPro leaf node of `entries` ([key, record number] pairs) with trailing `trailByte`s compressed
+function cdxLeaf(entries, keyLength, trailByte) {
+  const node = Buffer.alloc(512);
+  node.writeUInt16LE(2, 0);
+  node.writeUInt16LE(entries.length, 2);
+  node.writeInt32LE(-1, 4);
+  node.writeInt32LE(-1, 8);
+
+  // 16 bits for the record number and 4 bits each for the duplicate and trail counts
+  node.writeUInt8(16, 20);
+  node.writeUInt8(4, 21);
+  node.writeUInt8(4, 22);
+  node.writeUInt8(3, 23);
+
+  let keyOffset = 512;
+  let previousKey = Buffer.alloc(0);
+
+  entries.forEach(([key, recordNumber], i) => {
+    let duplicateCount = 0;
+    while (duplicateCount < previousKey.length && key[duplicateCount] === previousKey[duplicateCount]) {
+      duplicateCount += 1;
+    }
+
+    let trailCount = 0;
+    while (trailCount < keyLength - duplicateCount && key[keyLength - 1 - trailCount] === trailByte) {
+      trailCount += 1;
+    }
+
+    const stored = key.slice(duplicateCount, keyLength - trailCount);
+    keyOffset -= stored.length;
+    stored.copy(node, keyOffset);
+
+    node.writeUIntLE(recordNumber + duplicateCount * 2 ** 16 + trailCount * 2 ** 20, 24 + i * 3, 3);
+
+    previousKey = key;
+  });
+
+  return node;
+}
+
+// returns a FoxPro interior node pointing to `children` ({ offset, lastKey, lastRecordNumber })
+function cdxInterior(children, keyLength) {
+  const node = Buffer.alloc(512);
+  node.writeUInt16LE(1, 0);
+  node.writeUInt16LE(children.length, 2);
+  node.writeInt32LE(-1, 4);
+  node.writeInt32LE(-1, 8);
+
+  children.forEach((child, i) => {
+    child.lastKey.copy(node, 12 + i * (keyLength + 8));
+    node.writeUInt32BE(child.lastRecordNumber, 12 + i * (keyLength + 8) + keyLength);
+    node.writeUInt32BE(child.offset, 12 + i * (keyLength + 8) + keyLength + 4);
+  });
+
+  return node;
+}
+
+// returns a 1024-byte FoxPro tag header of a tag ({ keyLength, options, descending, expression }) rooted at `root`
+function cdxTagHeader(root, tag) {
+  const header = Buffer.alloc(1024);
+  header.writeUInt32LE(root, 0);
+  header.writeInt32LE(-1, 4);
+  header.writeUInt16LE(tag.keyLength, 12);
+  header.writeUInt8(tag.options, 14);
+  header.writeUInt16LE(tag.descending ? 1 : 0, 502);
+  header.write(tag.expression, 512);
+  return header;
+}
+
+// returns a compound FoxPro .cdx file with a tag for each of `tags` ({ name, field, keyLength, descending })
+function cdxFile(tags) {
+  // the tag index header and its single leaf come first
+  const chunks = [null, null];
+  let offset = 1024 + 512;
+
+  const tagOffsets = tags.map(tag => {
+    const keys = sortedKeys(tag.field, tag.descending).map(([value, recordNumber]) => [cdxKey(value, tag.keyLength), recordNumber]);
+    const trailByte = typeof records[0][tag.field] === 'string' ? 0x20 : 0x00;
+
+    // the tag header is filled in once the offset of the root is known
+    const headerOffset = offset;
+    const headerIndex = chunks.length;
+    chunks.push(null);
+    offset += 1024;
+
+    const children = leavesOf(keys).map(leaf => {
+      chunks.push(cdxLeaf(leaf, tag.keyLength, trailByte));
+      offset += 512;
+      return { offset: offset - 512, lastKey: leaf[leaf.length - 1][0], lastRecordNumber: leaf[leaf.length - 1][1] };
+    });
+
+    chunks.push(cdxInterior(children, tag.keyLength));
+    offset += 512;
+
+    chunks[headerIndex] = cdxTagHeader(offset - 512, {
+      keyLength: tag.keyLength, options: 0x20, descending: tag.descending, expression: tag.field.toUpperCase()
+    });
+
+    return [characterKey(tag.name, 10), headerOffset];
+  });
+
+  // the tag index is sorted by tag name
+  tagOffsets.sort(([a], [b]) => Buffer.compare(a, b));
+
+  chunks[0] = cdxTagHeader(1024, { keyLength: 10, options: 0x20 | 0x40, expression: '' });
+  chunks[1] = cdxLeaf(tagOffsets, 10, 0x20);
+  chunks[1].writeUInt16LE(3, 0);
+
+  return Buffer.concat(chunks);
+}
+
+describe('indexes', () => {
+  describe('ndx', () => {
+    it('tag should be named after the file and describe the key', () => {
+      const file = temporaryPath('parcels.ndx');
+      fs.writeFileSync(file, ndxFile('name', 0, 10));
+
+      const index = YADBF.openIndex(file);
+
+      assert.deepEqual(index.tags, [
+        { name: 'parcels', expression: 'NAME', type: 'C', keyLength: 10, unique: false, descending: false }
+      ]);
+
+      index.close();
+    });
+
+    it('character keys should resolve to record positions', () => {
+      const index = YADBF.openIndex(ndxFile('name', 0, 10), { format: 'ndx' });
+
+      assert.deepEqual(index.find('NDX', 'apple'), [1, 4]);
+      assert.deepEqual(index.find('ndx', 'kiwi'), [6]);
+      assert.deepEqual(index.find('NDX', 'grape'), []);
+      assert.deepEqual(index.findRange('NDX', 'b', 'fig'), [3, 5, 2]);
+      assert.deepEqual(index.findRange('NDX', 'kiwi'), [6, 0]);
+      assert.deepEqual(index.findRange('NDX', undefined, 'b'), [1, 4]);
+      assert.deepEqual(index.findRange('NDX'), [1, 4, 3, 5, 2, 6, 0]);
+    });
+
+    it('numeric keys should resolve numbers and dates to record positions', () => {
+      const amounts = YADBF.openIndex(ndxFile('amount', 1, 8), { format: 'ndx' });
+
+      assert.equal(amounts.tags[0].type, 'N');
+      assert.deepEqual(amounts.find('NDX', 0), [2]);
+      assert.deepEqual(amounts.findRange('NDX', -10, 10), [1, 2, 4, 6]);
+
+      const dates = YADBF.openIndex(ndxFile('updated', 1, 8), { format: 'ndx' });
+
+      assert.deepEqual(dates.find('NDX', new Date('2019-07-17')), [0, 2]);
+      assert.deepEqual(dates.findRange('NDX', new Date('2019-01-01'), new Date('2019-12-31')), [0, 2, 5]);
+    });
+  });
+
+  describe('mdx', () => {
+    const tags = [
+      { name: 'NAME', field: 'name', type: 'C', keyLength: 10 },
+      { name: 'AMOUNT', field: 'amount', type: 'N', keyLength: 12 },
+      { name: 'UPDATED', field: 'updated', type: 'D', keyLength: 8 },
+      { name: 'NAME_DESC', field: 'name', type: 'C', keyLength: 10, descending: true }
+    ];
+
+    it('tags should be listed', () => {
+      const file = temporaryPath('parcels.mdx');
+      fs.writeFileSync(file, mdxFile(tags));
+
+      const index = YADBF.openIndex(file);
+
+      assert.deepEqual(index.tags, [
+        { name: 'NAME', expression: 'NAME', type: 'C', keyLength: 10, unique: false, descending: false },
+        { name: 'AMOUNT', expression: 'AMOUNT', type: 'N', keyLength: 12, unique: false, descending: false },
+        { name: 'UPDATED', expression: 'UPDATED', type: 'D', keyLength: 8, unique: false, descending: false },
+        { name: 'NAME_DESC', expression: 'NAME', type: 'C', keyLength: 10, unique: false, descending: true }
+      ]);
+
+      index.close();
+    });
+
+    it('keys of each type should resolve to record positions', () => {
+      const index = YADBF.openIndex(mdxFile(tags), { format: 'mdx' });
+
+      assert.deepEqual(index.find('NAME', 'apple'), [1, 4]);
+      assert.deepEqual(index.findRange('name', 'b', 'fig'), [3, 5, 2]);
+
+      // numeric keys are BCD
+      assert.deepEqual(index.find('AMOUNT', 0.05), [4]);
+      assert.deepEqual(index.find('AMOUNT', -250.75), [5]);
+      assert.deepEqual(index.findRange('AMOUNT', 0, 100), [2, 4, 6, 0]);
+      assert.deepEqual(index.findRange('AMOUNT', undefined, -1), [5, 1]);
+
+      assert.deepEqual(index.find('UPDATED', new Date('2019-07-17')), [0, 2]);
+      assert.deepEqual(index.findRange('UPDATED', new Date('2019-07-18')), [5, 3]);
+    });
+
+    it('descending tags should return records in index order', () => {
+      const index = YADBF.openIndex(mdxFile(tags), { format: 'mdx' });
+
+      assert.deepEqual(index.findRange('NAME_DESC', 'b', 'fig'), [2, 5, 3]);
+      assert.deepEqual(index.findRange('NAME_DESC', 'kiwi'), [0, 6]);
+    });
+  });
+
+  describe('cdx', () => {
+    const tags = [
+      { name: 'NAME', field: 'name', keyLength: 10 },
+      { name: 'AMOUNT', field: 'amount', keyLength: 8 },
+      { name: 'UPDATED', field: 'updated', keyLength: 8 },
+      { name: 'AMOUNTDESC', field: 'amount', keyLength: 8, descending: true }
+    ];
+
+    it('tags should be listed from the tag index', () => {
+      const index = YADBF.openIndex(cdxFile(tags), { format: 'cdx' });
+
+      assert.deepEqual(index.tags, [
+        { name: 'AMOUNT', expression: 'AMOUNT', type: undefined, keyLength: 8, unique: false, descending: false },
+        { name: 'AMOUNTDESC', expression: 'AMOUNT', type: undefined, keyLength: 8, unique: false, descending: true },
+        { name: 'NAME', expression: 'NAME', type: undefined, keyLength: 10, unique: false, descending: false },
+        { name: 'UPDATED', expression: 'UPDATED', type: undefined, keyLength: 8, unique: false, descending: false }
+      ]);
+    });
+
+    it('compressed keys of each type should resolve to record positions', () => {
+      const index = YADBF.openIndex(cdxFile(tags), { format: 'cdx' });
+
+      assert.deepEqual(index.find('NAME', 'apple'), [1, 4]);
+      assert.deepEqual(index.findRange('NAME', 'b', 'fig'), [3, 5, 2]);
+
+      assert.deepEqual(index.find('AMOUNT', 0), [2]);
+      assert.deepEqual(index.find('AMOUNT', 1000), [3]);
+      assert.deepEqual(index.findRange('AMOUNT', -300, 0), [5, 1, 2]);
+
+      assert.deepEqual(index.find('UPDATED', new Date('2019-07-17')), [0, 2]);
+
+      assert.deepEqual(index.findRange('AMOUNTDESC', 0, 100), [0, 6, 4, 2]);
+    });
+
+    it('records should be read from a table at the resolved positions', () => {
+      const file = temporaryPath('parcels.dbf');
+
+      fs.writeFileSync(file, tableBuffer({
+        fields: [
+          { name: 'name', type: 'C', length: 10 },
+          { name: 'amount', type: 'N', length: 8, precision: 2 },
+          { name: 'updated', type: 'D', length: 8 }
+        ],
+        records: records
+      }));
+
+      const table = YADBF.open(file);
+      const index = YADBF.openIndex(cdxFile(tags), { format: 'cdx' });
+
+      assert.deepEqual(index.find('NAME', 'apple').map(position => table.readRecord(position).amount), [-3, 0.05]);
+
+      table.close();
+    });
+  });
+
+  describe('errors', () => {
+    it('invalid options should throw error', () => {
+      [
+        [ () => YADBF.openIndex(Buffer.alloc(0)), /^Error: format must be one of: ndx, mdx, cdx$/ ],
+        [ () => YADBF.openIndex('file.idx'), /^Error: format must be one of: ndx, mdx, cdx$/ ],
+        [ () => YADBF.openIndex(17, { format: 'ndx' }), /^Error: index must be a path, Buffer, or random-access reader$/ ],
+        [ () => YADBF.openIndex(Buffer.alloc(0), { format: 'ndx', encoding: 'qwer' }), /^Error: encoding not recognized: 'qwer'$/ ],
+        [
+          () => YADBF.openIndex(Buffer.alloc(0), { format: 'ndx', encoding: 'auto' }),
+          /^Error: encoding 'auto' is only supported for reading records$/
+        ]
+      ].forEach(([fn, message]) => {
+        assert.throws(fn, message);
+      });
+    });
+
+    it('unknown tags and values of the wrong type should throw error', () => {
+      const index = YADBF.openIndex(ndxFile('name', 0, 10), { format: 'ndx' });
+
+      assert.throws(() => index.find('NAME', 'apple'), /^Error: tag not found: 'NAME', must be one of: NDX$/);
+      assert.throws(() => index.find('NDX', 17), /^Error: value must be a string for character keys: 17$/);
+
+      const amounts = YADBF.openIndex(ndxFile('amount', 1, 8), { format: 'ndx' });
+
+      assert.throws(() => amounts.find('NDX', '17'), /^Error: value must be a number or Date for numeric and date keys: 17$/);
+    });
+
+    it('truncated index should throw DbfIndexError', () => {
+      assert.throws(() => YADBF.openIndex(Buffer.alloc(100), { format: 'ndx' }), err => {
+        assert.ok(err instanceof YADBF.DbfIndexError);
+        assert.equal(err, 'DbfIndexError: Unable to read 512 byte(s) at offset 0, found 100 byte(s)');
+        assert.equal(err.code, 'ERR_INDEX_OUT_OF_RANGE');
+        return true;
+      });
+
+      const index = YADBF.openIndex(ndxFile('name', 0, 10).slice(0, 1024), { format: 'ndx' });
+
+      assert.throws(() => index.find('NDX', 'apple'), /^DbfIndexError: Unable to read 512 byte\(s\) at offset 2048, found 0 byte\(s\)$/);
+    });
+
+    it('nodes declaring more keys than fit should throw DbfIndexError', () => {
+      const buffer = ndxFile('name', 0, 10);
+      buffer.writeUInt32LE(100, 512);
+
+      const index = YADBF.openIndex(buffer, { format: 'ndx' });
+
+      assert.throws(() => index.findRange('NDX'), err => {
+        assert.equal(err, 'DbfIndexError: Index node at offset 512 declares more keys than fit in 512 bytes');
+        assert.equal(err.code, 'ERR_INVALID_INDEX_NODE');
+        assert.equal(err.offset, 512);
+        return true;
+      });
+    });
+
+    it('entries too short for their key should throw DbfIndexError', () => {
+      [0, 10].forEach(entryLength => {
+        const buffer = ndxFile('name', 0, 10);
+        buffer.writeUInt16LE(entryLength, 18);
+
+        assert.throws(() => YADBF.openIndex(buffer, { format: 'ndx' }), err => {
+          assert.equal(err, `DbfIndexError: Index tag 'NDX' entry length ${entryLength} is too short for 10-byte keys`);
+          assert.equal(err.code, 'ERR_INVALID_INDEX_ENTRY_LENGTH');
+          assert.equal(err.offset, 18);
+          return true;
+        });
+      });
+
+      // the first tag header is on page 5
+      const buffer = mdxFile([ { name: 'NAME', field: 'name', type: 'C', keyLength: 10 } ]);
+      buffer.writeUInt16LE(0, 5 * 512 + 18);
+
+      assert.throws(() => YADBF.openIndex(buffer, { format: 'mdx' }), err => {
+        assert.equal(err, 'DbfIndexError: Index tag \'NAME\' entry length 0 is too short for 10-byte keys');
+        assert.equal(err.code, 'ERR_INVALID_INDEX_ENTRY_LENGTH');
+        assert.equal(err.offset, 5 * 512 + 18);
+        return true;
+      });
+    });
+
+    it('looping index should throw DbfIndexError', () => {
+      const buffer = ndxFile('name', 0, 10);
+
+      // point the root at itself
+      const rootPage = buffer.readUInt32LE(0);
+      buffer.writeUInt32LE(rootPage, rootPage * 512 + 4);
+
+      const index = YADBF.openIndex(buffer, { format: 'ndx' });
+
+      assert.throws(() => index.findRange('NDX'), /^DbfIndexError: Index tag 'NDX' is more than 64 levels deep$/);
+    });
+  });
+});
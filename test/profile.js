@@ -0,0 +1,113 @@
+const assert = require('assert');
+const YADBF = require('..');
+const fs = require('fs');
+const tables = require('./support/tables');
+
+// writes `records` to a table with `fields` and returns its path
+function writeTable(records, fields) {
+  return tables.writeTable({ fields: fields, records: records });
+}
+
+// C, N, D, and L fields
+const fields = [
+  { name: 'name', type: 'C', length: 20 },
+  { name: 'amount', type: 'N', length: 8, precision: 2 },
+  { name: 'updated', type: 'D', length: 8 },
+  { name: 'active', type: 'L', length: 1 }
+];
+
+// records with a null, blank, and repeated value in each field, the third of which is deleted
+const records = [
+  { name: 'first', amount: 12.5, updated: new Date('2019-07-17'), active: true },
+  { name: '   ', amount: -3, updated: new Date('2001-09-09'), active: false },
+  { '@meta': { deleted: true }, name: 'the deleted record', amount: 99999, updated: new Date('1970-01-01') },
+  { name: 'first', updated: new Date('2019-07-17'), active: true },
+  { amount: 0.25 }
+];
+
+describe('profile', () => {
+  it('each field should be profiled and deleted records counted but not profiled', async () => {
+    const report = await YADBF.profile(writeTable(records, fields));
+
+    // blank and missing names are both read as empty strings
+    assert.deepEqual(report, {
+      numberOfRecords: 5,
+      deletedRecords: 1,
+      deletedShare: 0.2,
+      fields: {
+        name: {
+          type: 'C', length: 20, count: 4, nulls: 0, blanks: 2, distinct: 2, distinctIsEstimate: false,
+          min: null, max: null, maxLength: 5
+        },
+        amount: {
+          type: 'N', length: 8, count: 4, nulls: 1, blanks: 0, distinct: 3, distinctIsEstimate: false,
+          min: -3, max: 12.5, maxLength: null
+        },
+        updated: {
+          type: 'D', length: 8, count: 4, nulls: 1, blanks: 0, distinct: 2, distinctIsEstimate: false,
+          min: new Date('2001-09-09'), max: new Date('2019-07-17'), maxLength: null
+        },
+        active: {
+          type: 'L', length: 1, count: 4, nulls: 1, blanks: 0, distinct: 2, distinctIsEstimate: false,
+          min: null, max: null, maxLength: null
+        }
+      }
+    });
+  });
+
+  it('deleted option should include deleted records in the field statistics', async () => {
+    const file = writeTable(records, fields);
+
+    const report = await YADBF.profile(fs.createReadStream(file), { deleted: true, fields: ['name', 'amount'] });
+
+    assert.equal(report.deletedRecords, 1);
+    assert.deepEqual(Object.keys(report.fields), ['name', 'amount']);
+    assert.equal(report.fields.name.count, 5);
+    assert.equal(report.fields.name.maxLength, 18);
+    assert.equal(report.fields.amount.max, 99999);
+  });
+
+  it('distinct values past the distinct limit should be estimated', async () => {
+    const ids = Array.from({ length: 20000 }, (value, i) => ({ id: i, code: String(i % 5) }));
+
+    const file = writeTable(ids, [
+      { name: 'id', type: 'N', length: 6, precision: 0 },
+      { name: 'code', type: 'C', length: 1 }
+    ]);
+
+    const report = await YADBF.profile(file, { distinctLimit: 100 });
+
+    assert.equal(report.fields.code.distinct, 5);
+    assert.equal(report.fields.code.distinctIsEstimate, false);
+
+    // the estimate is typically within 1%
+    assert.equal(report.fields.id.distinctIsEstimate, true);
+    assert.ok(Math.abs(report.fields.id.distinct - 20000) < 20000 * 0.03, `estimate was ${report.fields.id.distinct}`);
+    assert.equal(report.fields.id.min, 0);
+    assert.equal(report.fields.id.max, 19999);
+  });
+
+  it('empty file should report no records', async () => {
+    const report = await YADBF.profile(writeTable([], fields));
+
+    assert.equal(report.numberOfRecords, 0);
+    assert.equal(report.deletedShare, 0);
+    assert.equal(report.fields.amount.distinct, 0);
+    assert.equal(report.fields.amount.min, null);
+  });
+
+  it('invalid options should reject', () => {
+    return Promise.all([
+      [ { offset: 1 }, /^Error: offset, size, and filter are not supported for profile$/ ],
+      [ { filter: () => true }, /^Error: offset, size, and filter are not supported for profile$/ ],
+      [ { distinctLimit: -1 }, /^Error: distinctLimit must be a non-negative integer$/ ],
+      [ { distinctLimit: 1.5 }, /^Error: distinctLimit must be a non-negative integer$/ ],
+      [ { deleted: 'yes' }, /^Error: deleted must be a boolean$/ ]
+    ].map(([options, message]) => assert.rejects(YADBF.profile(Buffer.alloc(0), options), message)));
+  });
+
+  it('parse errors should reject', () => {
+    return assert.rejects(YADBF.profile(Buffer.alloc(10)),
+      /^DbfHeaderError: Unable to parse first 32 bytes from header, found 10 byte\(s\)$/);
+  });
+});
@@ -0,0 +1,145 @@
+const assert = require('assert');
+const YADBF = require('..');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const tables = require('./support/tables');
+
+// writes a table of `numberOfRecords` records (record 1 is deleted) and returns its path
+function writeTable(numberOfRecords) {
+  return tables.writeTable({
+    fields: [ { name: 'field', type: 'C', length: 10 } ],
+    records: Array.from({ length: numberOfRecords }, (val, i) => expectedRecord(i))
+  });
+}
+
+// returns the record written by `writeTable` at position `i`
+function expectedRecord(i) {
+  return { '@meta': { deleted: i === 1 }, field: `value ${i}` };
+}
+
+// returns a promise that resolves to the error `promise` rejects with
+function rejectionOf(promise) {
+  return promise.then(() => assert.fail('promise should have been rejected'), err => err);
+}
+
+describe('read', () => {
+  it('path should resolve to the header and records', async () => {
+    const file = writeTable(3);
+
+    const result = await YADBF.read(file);
+
+    assert.equal(result.header.numberOfRecords, 3);
+    assert.deepEqual(result.header.fields.map(field => field.name), [ 'field' ]);
+    assert.deepEqual(result.records, [0, 2].map(expectedRecord));
+  });
+
+  it('Buffer and readable stream sources should be read', async () => {
+    const buffer = fs.readFileSync(writeTable(3));
+
+    const stream = new PassThrough();
+    stream.end(buffer);
+
+    assert.deepEqual((await YADBF.read(buffer)).records, [0, 2].map(expectedRecord));
+    assert.deepEqual((await YADBF.read(stream)).records, [0, 2].map(expectedRecord));
+  });
+
+  it('options should be passed to the parser', async () => {
+    const file = writeTable(5);
+
+    const result = await YADBF.read(file, { deleted: true, offset: 1, size: 2 });
+
+    assert.deepEqual(result.records, [1, 2].map(expectedRecord));
+  });
+
+  it('size of a path source should be used to check or infer the number of records', async () => {
+    const file = writeTable(3);
+
+    // a header left with the count from before the last record was written
+    const buffer = fs.readFileSync(file);
+    buffer.writeUInt32LE(2, 4);
+    fs.writeFileSync(file, buffer);
+
+    assert.equal(
+      await rejectionOf(YADBF.read(file, { recordCount: 'check' })),
+      'DbfHeaderError: Number of records in header (2) does not match the 3 record(s) in the 99-byte file');
+
+    const result = await YADBF.read(file, { recordCount: 'infer' });
+
+    assert.equal(result.header.numberOfRecords, 3);
+    assert.deepEqual(result.records, [0, 2].map(expectedRecord));
+  });
+
+  it('parsing errors should reject', async () => {
+    const err = await rejectionOf(YADBF.read(Buffer.alloc(31)));
+
+    assert.ok(err instanceof YADBF.DbfHeaderError);
+    assert.equal(err, 'DbfHeaderError: Unable to parse first 32 bytes from header, found 31 byte(s)');
+  });
+
+  it('missing file should reject', async () => {
+    const err = await rejectionOf(YADBF.read(path.join(os.tmpdir(), 'yadbf-does-not-exist.dbf')));
+
+    assert.equal(err.code, 'ENOENT');
+  });
+
+  it('invalid options and sources should reject', async () => {
+    const file = writeTable(1);
+
+    assert.equal(await rejectionOf(YADBF.read(file, { size: -1 })), 'Error: size must be a non-negative integer');
+    assert.equal(await rejectionOf(YADBF.read(17)), 'Error: source must be a path, Buffer, or readable stream');
+  });
+});
+
+describe('records', () => {
+  it('records should be yielded in order', async () => {
+    const file = writeTable(4);
+
+    const records = [];
+    for await (const record of YADBF.records(file)) {
+      records.push(record);
+    }
+
+    assert.deepEqual(records, [0, 2, 3].map(expectedRecord));
+  });
+
+  it('options should be passed to the parser', async () => {
+    const buffer = fs.readFileSync(writeTable(4));
+
+    const records = [];
+    for await (const record of YADBF.records(buffer, { deleted: true, size: 2 })) {
+      records.push(record);
+    }
+
+    assert.deepEqual(records, [0, 1].map(expectedRecord));
+  });
+
+  it('breaking out of the loop should stop reading', async () => {
+    const file = writeTable(100);
+
+    const records = [];
+    for await (const record of YADBF.records(file)) {
+      records.push(record);
+      break;
+    }
+
+    assert.deepEqual(records, [expectedRecord(0)]);
+  });
+
+  it('parsing errors should reject', async () => {
+    const buffer = fs.readFileSync(writeTable(2));
+
+    // corrupt the deleted flag of the second record
+    buffer.write('#', buffer.readUInt16LE(8) + 11);
+
+    const err = await rejectionOf((async () => {
+      for await (const record of YADBF.records(buffer)) {
+        assert.deepEqual(record, expectedRecord(0));
+      }
+    })());
+
+    assert.equal(err, 'DbfRecordError: Invalid deleted record value: #');
+    assert.equal(err.recordIndex, 1);
+  });
+});
@@ -0,0 +1,200 @@
+const assert = require('assert');
+const YADBF = require('..');
+
+// returns a field descriptor as found in the header event
+function field(name, type, length, properties) {
+  return Object.assign({ name: name, type: type, length: length, precision: 0 }, properties);
+}
+
+// a dBASE III header with one field of each supported type
+const header = {
+  version: 0x83,
+  fields: [
+    field('name', 'C', 10),
+    field('amount', 'N', 6, { precision: 2 }),
+    field('ratio', 'F', 10, { precision: 4 }),
+    field('updated', 'D', 8),
+    field('active', 'L', 1),
+    field('notes', 'M', 10)
+  ]
+};
+
+// a Visual FoxPro header with binary, nullable, and system fields
+const visualFoxProHeader = {
+  version: 0x30,
+  fields: [
+    field('count', 'I', 4),
+    field('measure', 'B', 8),
+    field('price', 'Y', 8),
+    field('stamp', 'T', 8),
+    field('label', 'V', 20, { isNullable: true }),
+    field('blob', 'Q', 16),
+    field('notes', 'M', 4),
+    field('picture', 'G', 4),
+    field('_NullFlags', '0', 1, { isSystem: true })
+  ]
+};
+
+describe('schema', () => {
+  describe('toJSONSchema', () => {
+    it('records should be described as serialized by JSON.stringify', () => {
+      assert.deepEqual(YADBF.schema.toJSONSchema(header), {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        title: 'DbfRecord',
+        type: 'object',
+        properties: {
+          '@meta': {
+            type: 'object',
+            properties: { deleted: { type: 'boolean' } },
+            required: ['deleted'],
+            additionalProperties: false
+          },
+          name: { type: 'string', maxLength: 10 },
+          amount: { type: ['number', 'null'] },
+          ratio: { type: ['number', 'null'] },
+          updated: { type: ['string', 'null'], format: 'date-time' },
+          active: { type: 'boolean' },
+          notes: { type: 'string' }
+        },
+        required: ['@meta', 'name', 'amount', 'ratio', 'updated', 'notes'],
+        additionalProperties: false
+      });
+    });
+
+    it('numeric and memo options should change the value types', () => {
+      const schema = YADBF.schema.toJSONSchema(header, { numeric: 'string', memo: true, name: 'Parcel' });
+
+      assert.equal(schema.title, 'Parcel');
+      assert.deepEqual(schema.properties.amount, { type: ['string', 'null'] });
+      assert.deepEqual(schema.properties.notes, { type: ['string', 'null'] });
+    });
+
+    it('Visual FoxPro fields should be described and system fields left out', () => {
+      const schema = YADBF.schema.toJSONSchema(visualFoxProHeader);
+
+      assert.deepEqual(schema.properties, Object.assign({ '@meta': schema.properties['@meta'] }, {
+        count: { type: 'integer' },
+        measure: { type: 'number' },
+        price: { type: 'number' },
+        stamp: { type: ['string', 'null'], format: 'date-time' },
+        label: { type: ['string', 'null'], maxLength: 20 },
+        blob: { type: 'object' },
+        notes: { type: 'integer' },
+        picture: { type: 'integer' }
+      }));
+    });
+
+    it('fields of types with a custom converter should allow any value', () => {
+      const schema = YADBF.schema.toJSONSchema({ version: 0x03, fields: [ field('custom', 'X', 4) ] });
+
+      assert.deepEqual(schema.properties.custom, {});
+    });
+  });
+
+  describe('toTypeScript', () => {
+    it('records should be described as an interface', () => {
+      assert.equal(YADBF.schema.toTypeScript(header), [
+        'export interface DbfRecord {',
+        '  \'@meta\': { deleted: boolean };',
+        '  name: string;',
+        '  amount: number | null;',
+        '  ratio: number | null;',
+        '  updated: Date | null;',
+        '  active?: boolean;',
+        '  notes: string;',
+        '}',
+        ''
+      ].join('\n'));
+    });
+
+    it('options and field names that aren\'t identifiers should be honored', () => {
+      const fields = [
+        field('1st name', 'C', 10),
+        field('amount', 'N', 20),
+        field('stamp', '@', 8),
+        field('id', '+', 4),
+        field('custom', 'X', 4)
+      ];
+
+      assert.equal(YADBF.schema.toTypeScript({ version: 0x04, fields: fields }, { numeric: 'exact', name: 'Parcel' }), [
+        'export interface Parcel {',
+        '  \'@meta\': { deleted: boolean };',
+        '  \'1st name\': string;',
+        '  amount: number | bigint | null;',
+        '  stamp: Date | null;',
+        '  id: number;',
+        '  custom: unknown;',
+        '}',
+        ''
+      ].join('\n'));
+    });
+
+    it('Visual FoxPro fields should be described', () => {
+      assert.equal(YADBF.schema.toTypeScript(visualFoxProHeader, { memo: true }), [
+        'export interface DbfRecord {',
+        '  \'@meta\': { deleted: boolean };',
+        '  count: number;',
+        '  measure: number;',
+        '  price: number;',
+        '  stamp: Date | null;',
+        '  label: string | null;',
+        '  blob: Buffer;',
+        '  notes: string | null;',
+        '  picture: string | null;',
+        '}',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('toSQL', () => {
+    it('PostgreSQL should be the default dialect', () => {
+      assert.equal(YADBF.schema.toSQL(header), [
+        'CREATE TABLE "records" (',
+        '  "name" VARCHAR(10),',
+        '  "amount" NUMERIC(6, 2),',
+        '  "ratio" NUMERIC(10, 4),',
+        '  "updated" DATE,',
+        '  "active" BOOLEAN,',
+        '  "notes" TEXT',
+        ');',
+        ''
+      ].join('\n'));
+    });
+
+    it('dialect and table options should be honored', () => {
+      assert.equal(YADBF.schema.toSQL(visualFoxProHeader, { dialect: 'sqlite', table: 'say "hi"' }), [
+        'CREATE TABLE "say ""hi""" (',
+        '  "count" INTEGER,',
+        '  "measure" REAL,',
+        '  "price" NUMERIC(19, 4),',
+        '  "stamp" TIMESTAMP,',
+        '  "label" VARCHAR(20),',
+        '  "blob" BLOB,',
+        '  "notes" TEXT,',
+        '  "picture" TEXT',
+        ');',
+        ''
+      ].join('\n'));
+
+      assert.ok(YADBF.schema.toSQL(visualFoxProHeader, { dialect: 'postgresql' }).includes('"measure" DOUBLE PRECISION,\n'));
+      assert.ok(YADBF.schema.toSQL(visualFoxProHeader, { dialect: 'postgresql' }).includes('"blob" BYTEA,\n'));
+    });
+  });
+
+  describe('options', () => {
+    it('invalid header or options should throw error', () => {
+      [
+        [ () => YADBF.schema.toJSONSchema(), /^Error: header must be an object with fields$/ ],
+        [ () => YADBF.schema.toTypeScript({}), /^Error: header must be an object with fields$/ ],
+        [ () => YADBF.schema.toJSONSchema(header, { numeric: 'bigint' }), /^Error: numeric must be one of: number, exact, string$/ ],
+        [ () => YADBF.schema.toJSONSchema(header, { memo: 'yes' }), /^Error: memo must be a boolean$/ ],
+        [ () => YADBF.schema.toTypeScript(header, { name: 'a name' }), /^Error: name must be a valid TypeScript identifier$/ ],
+        [ () => YADBF.schema.toSQL(header, { table: '' }), /^Error: table must be a non-empty string$/ ],
+        [ () => YADBF.schema.toSQL(header, { dialect: 'mysql' }), /^Error: dialect must be one of: postgresql, sqlite$/ ]
+      ].forEach(([fn, message]) => {
+        assert.throws(fn, message);
+      });
+    });
+  });
+});
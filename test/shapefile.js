@@ -0,0 +1,348 @@
+const assert = require('assert');
+const YADBF = require('..');
+const fs = require('fs');
+const tables = require('./support/tables');
+
+// returns a buffer of little-endian doubles
+function doubles(values) {
+  const buffer = Buffer.alloc(values.length * 8);
+  values.forEach((value, i) => buffer.writeDoubleLE(value, i * 8));
+  return buffer;
+}
+
+// returns a buffer of little-endian 32-bit integers
+function integers(values) {
+  const buffer = Buffer.alloc(values.length * 4);
+  values.forEach((value, i) => buffer.writeInt32LE(value, i * 4));
+  return buffer;
+}
+
+// returns the bytes of a .shp file of `shapeType` containing records with `contents`
+function shpFile(shapeType, contents) {
+  const header = Buffer.alloc(100);
+  header.writeInt32BE(9994, 0);
+  header.writeInt32LE(1000, 28);
+  header.writeInt32LE(shapeType, 32);
+  doubles([-1, -2, 3, 4]).copy(header, 36);
+
+  const records = contents.map((content, i) => {
+    const recordHeader = Buffer.alloc(8);
+    recordHeader.writeInt32BE(i + 1, 0);
+    recordHeader.writeInt32BE(content.length / 2, 4);
+    return Buffer.concat([recordHeader, content]);
+  });
+
+  const file = Buffer.concat([header, ...records]);
+  file.writeInt32BE(file.length / 2, 24);
+
+  return file;
+}
+
+// returns the content of a Point, PointZ, or PointM record
+function pointContent(shapeType, coordinates) {
+  return Buffer.concat([integers([shapeType]), doubles(coordinates)]);
+}
+
+// returns the content of a MultiPoint, PolyLine, or Polygon record (and their Z and M variants) with `parts`
+//  of [X, Y, Z, M] points, Z and M values are included as the shape type calls for
+function multiPointContent(shapeType, parts) {
+  const points = [].concat(...parts);
+  const hasZ = Math.floor(shapeType / 10) === 1;
+  const hasM = hasZ || Math.floor(shapeType / 10) === 2;
+
+  const partIndexes = parts.reduce((indexes, part, i) => indexes.concat(i === 0 ? 0 : indexes[i - 1] + parts[i - 1].length), []);
+
+  return Buffer.concat([
+    integers([shapeType]),
+    doubles([0, 0, 0, 0]),
+    shapeType % 10 === 8 ? integers([points.length]) : integers([parts.length, points.length, ...partIndexes]),
+    doubles([].concat(...points.map(point => point.slice(0, 2)))),
+    hasZ ? doubles([0, 0, ...points.map(point => point[2])]) : Buffer.alloc(0),
+    hasM ? doubles([0, 0, ...points.map(point => point[3])]) : Buffer.alloc(0)
+  ]);
+}
+
+// parses `buffer` as a .shp file, calling back with the header and features
+function parseShapefile(buffer, callback) {
+  const result = { features: [] };
+  const parser = new YADBF.Shapefile();
+
+  parser
+    .on('error', callback)
+    .on('header', header => result.header = header)
+    .on('data', feature => result.features.push(feature))
+    .on('end', () => callback(null, result));
+
+  parser.end(buffer);
+}
+
+// writes a .dbf file with a record per name (the second record deleted) and returns its path
+function writeTable(names) {
+  return tables.writeTable({
+    fields: [ { name: 'name', type: 'C', length: 10 } ],
+    records: names.map((name, i) => ({ '@meta': { deleted: i === 1 }, name: name }))
+  });
+}
+
+// reads all the features of `shp` and `dbf`, calling back with them
+function readFeatures(shp, dbf, options, callback) {
+  const features = [];
+
+  YADBF.features(shp, dbf, options)
+    .on('error', callback)
+    .on('data', feature => features.push(feature))
+    .on('end', () => callback(null, features));
+}
+
+describe('shapefile', () => {
+  describe('geometry', () => {
+    it('header should be emitted with the shape type, file length, and bounding box', done => {
+      parseShapefile(shpFile(1, []), (err, result) => {
+        assert.ifError(err);
+        assert.deepEqual(result.header, { shapeType: 'Point', fileLength: 100, bbox: [-1, -2, 3, 4] });
+        assert.deepEqual(result.features, []);
+        done();
+      });
+    });
+
+    it('Null and Point shapes and their Z and M variants should be output as null and Point geometries', done => {
+      const contents = [
+        integers([0]),
+        pointContent(1, [1, 2]),
+        pointContent(11, [1, 2, 3, 4]),
+        pointContent(21, [1, 2, 4])
+      ];
+
+      parseShapefile(shpFile(1, contents), (err, result) => {
+        assert.ifError(err);
+        assert.deepEqual(result.features, [
+          { type: 'Feature', geometry: null, properties: {} },
+          { type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2] }, properties: {} },
+          { type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2, 3] }, properties: {} },
+          { type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2] }, properties: {} }
+        ]);
+        done();
+      });
+    });
+
+    it('MultiPoint shapes and their Z and M variants should be output as MultiPoint geometries', done => {
+      const points = [[1, 2, 3, 4], [5, 6, 7, 8]];
+
+      const contents = [
+        multiPointContent(8, [points]),
+        multiPointContent(18, [points]),
+        multiPointContent(28, [points])
+      ];
+
+      parseShapefile(shpFile(8, contents), (err, result) => {
+        assert.ifError(err);
+        assert.deepEqual(result.features.map(feature => feature.geometry), [
+          { type: 'MultiPoint', coordinates: [[1, 2], [5, 6]] },
+          { type: 'MultiPoint', coordinates: [[1, 2, 3], [5, 6, 7]] },
+          { type: 'MultiPoint', coordinates: [[1, 2], [5, 6]] }
+        ]);
+        done();
+      });
+    });
+
+    it('PolyLine shapes should be output as LineString or MultiLineString geometries', done => {
+      const contents = [
+        multiPointContent(3, [[[0, 0], [1, 1]]]),
+        multiPointContent(13, [[[0, 0, 5, 9], [1, 1, 6, 9]], [[2, 2, 7, 9], [3, 3, 8, 9]]]),
+        multiPointContent(23, [[[0, 0, 0, 9], [1, 1, 0, 9]]]),
+        multiPointContent(3, [])
+      ];
+
+      parseShapefile(shpFile(3, contents), (err, result) => {
+        assert.ifError(err);
+        assert.deepEqual(result.features.map(feature => feature.geometry), [
+          { type: 'LineString', coordinates: [[0, 0], [1, 1]] },
+          { type: 'MultiLineString', coordinates: [[[0, 0, 5], [1, 1, 6]], [[2, 2, 7], [3, 3, 8]]] },
+          { type: 'LineString', coordinates: [[0, 0], [1, 1]] },
+          null
+        ]);
+        done();
+      });
+    });
+
+    it('Polygon shapes should assign holes to outer rings and follow the right-hand rule', done => {
+      // outer rings are clockwise and holes counterclockwise in shapefiles
+      const outer = [[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]];
+      const hole = [[2, 2], [4, 2], [4, 4], [2, 4], [2, 2]];
+      const otherOuter = [[20, 20], [20, 30], [30, 30], [30, 20], [20, 20]];
+
+      const contents = [
+        multiPointContent(5, [outer, hole]),
+        multiPointContent(5, [otherOuter, outer, hole]),
+        multiPointContent(15, [outer.map(point => point.concat(1, 0))])
+      ];
+
+      parseShapefile(shpFile(5, contents), (err, result) => {
+        assert.ifError(err);
+        assert.deepEqual(result.features.map(feature => feature.geometry), [
+          { type: 'Polygon', coordinates: [outer.slice().reverse(), hole.slice().reverse()] },
+          { type: 'MultiPolygon', coordinates: [[otherOuter.slice().reverse()], [outer.slice().reverse(), hole.slice().reverse()]] },
+          { type: 'Polygon', coordinates: [outer.slice().reverse().map(point => point.concat(1))] }
+        ]);
+        done();
+      });
+    });
+  });
+
+  describe('errors', () => {
+    it('invalid file code should emit error', done => {
+      const buffer = shpFile(1, []);
+      buffer.writeInt32BE(1234, 0);
+
+      parseShapefile(buffer, err => {
+        assert.ok(err instanceof YADBF.DbfShapeError);
+        assert.equal(err, 'DbfShapeError: Invalid .shp file code: 1234');
+        assert.equal(err.code, 'ERR_INVALID_FILE_CODE');
+        done();
+      });
+    });
+
+    it('header shorter than 100 bytes should emit error', done => {
+      parseShapefile(shpFile(1, []).slice(0, 99), err => {
+        assert.equal(err, 'DbfShapeError: Unable to parse 100-byte .shp header, found 99 byte(s)');
+        assert.equal(err.code, 'ERR_INSUFFICIENT_HEADER_BYTES');
+        done();
+      });
+    });
+
+    it('unsupported shape type should emit error with the record index and offset', done => {
+      parseShapefile(shpFile(1, [pointContent(1, [1, 2]), integers([31])]), err => {
+        assert.equal(err, 'DbfShapeError: Unsupported shape type in record 1: 31');
+        assert.equal(err.code, 'ERR_UNSUPPORTED_SHAPE_TYPE');
+        assert.equal(err.recordIndex, 1);
+        assert.equal(err.offset, 100 + 8 + 20 + 8);
+        done();
+      });
+    });
+
+    it('record too short for its shape should emit error', done => {
+      const content = multiPointContent(8, [[[1, 2], [3, 4]]]);
+      content.writeInt32LE(3, 36);
+
+      parseShapefile(shpFile(8, [content]), err => {
+        assert.equal(err, 'DbfShapeError: Record 0 is too short for its MultiPoint shape');
+        assert.equal(err.code, 'ERR_INVALID_RECORD_LENGTH');
+        assert.equal(err.offset, 108);
+        done();
+      });
+    });
+
+    it('truncated record should emit error', done => {
+      const buffer = shpFile(1, [pointContent(1, [1, 2]), pointContent(1, [3, 4])]);
+
+      parseShapefile(buffer.slice(0, buffer.length - 1), err => {
+        assert.equal(err, 'DbfShapeError: Record 1 is truncated');
+        assert.equal(err.code, 'ERR_TRUNCATED_RECORD');
+        assert.equal(err.offset, 128);
+        done();
+      });
+    });
+  });
+
+  describe('features', () => {
+    it('properties should be the .dbf record at the same position, skipping deleted records', done => {
+      const shp = shpFile(1, [pointContent(1, [1, 2]), pointContent(1, [3, 4]), integers([0])]);
+
+      const dbf = writeTable(['first', 'second', 'third']);
+
+      readFeatures(shp, dbf, {}, (err, features) => {
+        assert.ifError(err);
+        assert.deepEqual(features, [
+          {
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [1, 2] },
+            properties: { '@meta': { deleted: false }, name: 'first' }
+          },
+          {
+            type: 'Feature',
+            geometry: null,
+            properties: { '@meta': { deleted: false }, name: 'third' }
+          }
+        ]);
+        done();
+      });
+    });
+
+    it('deleted option should include features of deleted records and other options should apply to the .dbf', done => {
+      const shp = shpFile(1, [pointContent(1, [1, 2]), pointContent(1, [3, 4])]);
+
+      const dbf = writeTable(['first', 'second']);
+
+      // the .shp file is also read from a path
+      const shpPath = dbf.replace(/\.dbf$/, '.shp');
+      fs.writeFileSync(shpPath, shp);
+
+      readFeatures(shpPath, dbf, { deleted: true, fields: [] }, (err, features) => {
+        assert.ifError(err);
+        assert.deepEqual(features.map(feature => feature.properties), [
+          { '@meta': { deleted: false } },
+          { '@meta': { deleted: true } }
+        ]);
+        done();
+      });
+    });
+
+    it('fewer .shp records than .dbf records should emit error', done => {
+      const dbf = writeTable(['first', 'second', 'third']);
+
+      readFeatures(shpFile(1, [pointContent(1, [1, 2])]), dbf, {}, err => {
+        assert.ok(err instanceof YADBF.DbfShapeError);
+        assert.equal(err, 'DbfShapeError: .shp file has 1 record(s) but .dbf file has 3');
+        assert.equal(err.code, 'ERR_RECORD_COUNT_MISMATCH');
+        assert.equal(err.recordIndex, 1);
+        done();
+      });
+    });
+
+    it('more .shp records than .dbf records should emit error', done => {
+      const dbf = writeTable(['first']);
+
+      readFeatures(shpFile(1, [pointContent(1, [1, 2]), pointContent(1, [3, 4])]), dbf, {}, err => {
+        assert.equal(err, 'DbfShapeError: .shp file has more than the 1 record(s) in the .dbf file');
+        assert.equal(err.code, 'ERR_RECORD_COUNT_MISMATCH');
+        done();
+      });
+    });
+
+    it('features should be async iterable, reading more as they are consumed', async () => {
+      // more records than the stream buffers at once
+      const names = Array.from({ length: 40 }, (value, i) => `name ${i}`);
+
+      const shp = shpFile(1, names.map((name, i) => pointContent(1, [i, i])));
+      const dbf = writeTable(names);
+
+      const features = [];
+      for await (const feature of YADBF.features(shp, dbf)) {
+        features.push(feature);
+      }
+
+      assert.deepEqual(features.map(feature => feature.properties.name), names.filter((name, i) => i !== 1));
+      assert.deepEqual(features[1].geometry, { type: 'Point', coordinates: [2, 2] });
+    });
+
+    it('errors parsing either file should be emitted', done => {
+      const dbf = writeTable(['first']);
+
+      readFeatures(shpFile(1, []).slice(0, 50), dbf, {}, err => {
+        assert.equal(err, 'DbfShapeError: Unable to parse 100-byte .shp header, found 50 byte(s)');
+
+        readFeatures(shpFile(1, [pointContent(1, [1, 2])]), fs.readFileSync(dbf).slice(0, 20), {}, err => {
+          assert.equal(err, 'DbfHeaderError: Unable to parse first 32 bytes from header, found 20 byte(s)');
+          done();
+        });
+      });
+    });
+
+    it('pagination and filter options should throw error', () => {
+      [{ offset: 1 }, { size: 1 }, { filter: () => true }].forEach(options => {
+        assert.throws(() => YADBF.features(Buffer.alloc(0), Buffer.alloc(0), options),
+          /^Error: offset, size, and filter are not supported for features$/);
+      });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Iconv = require('iconv-lite');
+
+// temporary directories created by `temporaryPath`
+const directories = [];
+
+// temporary directories and the files in them are removed once all the tests have run
+after(() => {
+  directories.splice(0).forEach(removeDirectory);
+});
+
+// returns a path to a not-yet-existing file named `name` in a fresh temporary directory
+function temporaryPath(name = 'file.dbf') {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'yadbf-'));
+  directories.push(directory);
+
+  return path.join(directory, name);
+}
+
+// removes `directory` and everything in it
+function removeDirectory(directory) {
+  fs.readdirSync(directory).forEach(name => {
+    const file = path.join(directory, name);
+
+    if (fs.lstatSync(file).isDirectory()) {
+      removeDirectory(file);
+    } else {
+      fs.unlinkSync(file);
+    }
+  });
+
+  fs.rmdirSync(directory);
+}
+
+// returns the bytes of a .dbf file built without YADBF.Writer, `options` are the `fields` (with name, type, length,
+//  and precision), the `records`, the `version`, the `date` of last update, and the `encoding` of C-type values
+//  strings are left-aligned, numbers right-aligned with the field precision, Dates are YYYYMMDD, booleans are T or F,
+//  and missing values are blank, records with `'@meta': { deleted: true }` are flagged as deleted
+function tableBuffer(options) {
+  const fields = options.fields;
+  const records = options.records || [];
+  const date = options.date || new Date(2019, 6, 17);
+  const numberOfBytesInRecord = fields.reduce((total, field) => total + field.length, 1);
+
+  const header = Buffer.alloc(32);
+  header.writeUInt8(options.version || 0x03, 0);
+  header.writeUInt8(date.getFullYear() - 1900, 1);
+  header.writeUInt8(date.getMonth() + 1, 2);
+  header.writeUInt8(date.getDate(), 3);
+  header.writeUInt32LE(records.length, 4);
+  header.writeUInt16LE(32 + fields.length * 32 + 1, 8);
+  header.writeUInt16LE(numberOfBytesInRecord, 10);
+
+  const descriptors = fields.map(field => {
+    const descriptor = Buffer.alloc(32);
+    descriptor.write(field.name, 0, 10, 'utf-8');
+    descriptor.write(field.type, 11, 1, 'utf-8');
+    descriptor.writeUInt8(field.length, 16);
+    descriptor.writeUInt8(field.precision || 0, 17);
+    return descriptor;
+  });
+
+  const recordBytes = records.map(record => {
+    const deleted = record['@meta'] !== undefined && record['@meta'].deleted === true;
+
+    return Buffer.concat([
+      Buffer.from(deleted ? '*' : ' '),
+      ...fields.map(field => valueBytes(record[field.name], field, options.encoding || 'utf-8'))
+    ]);
+  });
+
+  return Buffer.concat([header, ...descriptors, Buffer.from([0x0D]), ...recordBytes, Buffer.from([0x1A])]);
+}
+
+// returns exactly `field.length` bytes representing `value`
+function valueBytes(value, field, encoding) {
+  const bytes = Buffer.alloc(field.length, ' ');
+
+  if (value === undefined || value === null) {
+    return bytes;
+  }
+
+  if (typeof value === 'number') {
+    const text = value.toFixed(field.precision || 0);
+    bytes.write(text, field.length - text.length, 'ascii');
+  } else if (value instanceof Date) {
+    bytes.write(value.toISOString().slice(0, 10).replace(/-/g, ''), 0, 'ascii');
+  } else if (typeof value === 'boolean') {
+    bytes.write(value ? 'T' : 'F', 0, 'ascii');
+  } else {
+    Iconv.encode(value, encoding).copy(bytes, 0, 0, field.length);
+  }
+
+  return bytes;
+}
+
+// writes the .dbf file described by `options` (see `tableBuffer`) to a temporary path and returns the path
+function writeTable(options) {
+  const file = temporaryPath();
+
+  fs.writeFileSync(file, tableBuffer(options));
+
+  return file;
+}
+
+module.exports = {
+  temporaryPath,
+  tableBuffer,
+  writeTable
+};
@@ -0,0 +1,285 @@
+const assert = require('assert');
+const YADBF = require('..');
+const fs = require('fs');
+const tables = require('./support/tables');
+
+// writes a table of `numberOfRecords` records (record i has field values `value i` and i) and returns its path
+function writeTable(numberOfRecords) {
+  return tables.writeTable({
+    fields: [
+      { name: 'string', type: 'C', length: 10 },
+      { name: 'integer', type: 'N', length: 5 }
+    ],
+    records: Array.from({ length: numberOfRecords }, (val, i) => expectedRecord(i))
+  });
+}
+
+// returns the record written by `writeTable` at position `i`
+function expectedRecord(i) {
+  return { '@meta': { deleted: i === 1 }, string: `value ${i}`, integer: i };
+}
+
+describe('table', () => {
+  describe('readRecord', () => {
+    it('record at the requested position should be returned', () => {
+      const file = writeTable(5);
+
+      const table = YADBF.open(file);
+
+      assert.equal(table.header.numberOfRecords, 5);
+      assert.deepEqual(table.readRecord(3), expectedRecord(3));
+      assert.deepEqual(table.readRecord(0), expectedRecord(0));
+
+      table.close();
+    });
+
+    it('deleted records should be returned with the deleted flag set', () => {
+      const file = writeTable(3);
+
+      const table = YADBF.open(file);
+
+      assert.deepEqual(table.readRecord(1), { '@meta': { deleted: true }, string: 'value 1', integer: 1 });
+
+      table.close();
+    });
+
+    it('record number outside the table should throw error', () => {
+      const file = writeTable(3);
+
+      const table = YADBF.open(file);
+
+      [-1, 3, 1.5, 'a', undefined].forEach(recordNumber => {
+        assert.throws(() => table.readRecord(recordNumber), /^Error: recordNumber must be an integer between 0 and 2$/);
+      });
+
+      table.close();
+    });
+
+    it('records before the requested position should not be read', () => {
+      const file = writeTable(3);
+
+      // corrupt the deleted flag of the first record, which would fail if it were parsed
+      const buffer = fs.readFileSync(file);
+      buffer.write('#', buffer.readUInt16LE(8));
+      fs.writeFileSync(file, buffer);
+
+      const table = YADBF.open(file);
+
+      assert.deepEqual(table.readRecord(2), expectedRecord(2));
+      assert.throws(() => table.readRecord(0), /^DbfRecordError: Invalid deleted record value: #$/);
+
+      table.close();
+    });
+  });
+
+  describe('readRange', () => {
+    it('records within the range should be returned', () => {
+      const file = writeTable(10);
+
+      const table = YADBF.open(file);
+
+      assert.deepEqual(table.readRange(4, 3), [4, 5, 6].map(expectedRecord));
+
+      table.close();
+    });
+
+    it('range extending past the last record should be truncated', () => {
+      const file = writeTable(5);
+
+      const table = YADBF.open(file);
+
+      assert.deepEqual(table.readRange(3, 10), [3, 4].map(expectedRecord));
+      assert.deepEqual(table.readRange(5, 10), []);
+      assert.deepEqual(table.readRange(17, 1), []);
+
+      table.close();
+    });
+
+    it('missing offset and size should return all records', () => {
+      const file = writeTable(3);
+
+      const table = YADBF.open(file);
+
+      assert.deepEqual(table.readRange(), [0, 1, 2].map(expectedRecord));
+
+      table.close();
+    });
+
+    it('invalid offset or size should throw error', () => {
+      const file = writeTable(3);
+
+      const table = YADBF.open(file);
+
+      assert.throws(() => table.readRange(-1, 1), /^Error: offset must be a non-negative integer$/);
+      assert.throws(() => table.readRange(0, 'a'), /^Error: size must be a non-negative integer$/);
+
+      table.close();
+    });
+
+    it('records missing from the end of the file should throw error', () => {
+      const file = writeTable(3);
+
+      // drop the last record and end-of-file marker
+      const buffer = fs.readFileSync(file);
+      fs.writeFileSync(file, buffer.slice(0, buffer.length - 17));
+
+      const table = YADBF.open(file);
+
+      assert.deepEqual(table.readRange(0, 2), [0, 1].map(expectedRecord));
+
+      try {
+        table.readRange(1, 2);
+        assert.fail('an error should have been thrown');
+      } catch (err) {
+        assert.ok(err instanceof YADBF.DbfRecordError);
+        assert.equal(err.message, 'Record 2 is beyond the end of the file');
+        assert.equal(err.code, 'ERR_RECORD_OUT_OF_RANGE');
+        assert.equal(err.recordIndex, 2);
+        assert.equal(err.offset, 32 + 64 + 1 + 2 * 16);
+      }
+
+      table.close();
+    });
+  });
+
+  describe('options', () => {
+    it('strict=false should skip invalid records and emit warnings', () => {
+      const file = writeTable(3);
+
+      const buffer = fs.readFileSync(file);
+      buffer.write('#', buffer.readUInt16LE(8) + 16);
+      fs.writeFileSync(file, buffer);
+
+      const table = YADBF.open(file, { strict: false });
+
+      const warnings = [];
+      table.on('warning', warning => warnings.push(warning));
+
+      assert.deepEqual(table.readRange(0, 3), [0, 2].map(expectedRecord));
+      assert.strictEqual(table.readRecord(1), undefined);
+      assert.deepEqual(warnings.map(String), [
+        'DbfRecordError: Invalid deleted record value: #',
+        'DbfRecordError: Invalid deleted record value: #'
+      ]);
+
+      table.close();
+    });
+
+    it('fields should restrict the output records', () => {
+      const file = writeTable(3);
+
+      const table = YADBF.open(file, { fields: ['integer'] });
+
+      assert.deepEqual(table.readRange(0, 2), [
+        { '@meta': { deleted: false }, integer: 0 },
+        { '@meta': { deleted: true }, integer: 1 }
+      ]);
+
+      table.close();
+
+      assert.throws(() => YADBF.open(file, { fields: ['STREET'] }), /^Error: fields not found in header: 'STREET'$/);
+    });
+
+    it('encoding should be used to decode values', () => {
+      const file = tables.writeTable({
+        fields: [ { name: 'field', type: 'C', length: 10 } ],
+        records: [ { field: 'текст' } ],
+        encoding: 'cp1251'
+      });
+
+      const table = YADBF.open(file, { encoding: 'cp1251' });
+
+      assert.equal(table.header.encoding, 'cp1251');
+      assert.equal(table.readRecord(0).field, 'текст');
+
+      table.close();
+    });
+
+    it('cpg that disagrees with the language driver ID should emit warning after open', done => {
+      const file = writeTable(1);
+
+      // set the language driver ID to cp866
+      const buffer = fs.readFileSync(file);
+      buffer.writeUInt8(0x65, 29);
+      fs.writeFileSync(file, buffer);
+
+      const table = YADBF.open(file, { cpg: Buffer.from('1251') });
+
+      assert.equal(table.header.encoding, 'cp1251');
+
+      table.on('warning', warning => {
+        assert.equal(warning, 'DbfHeaderError: Language driver ID 101 (cp866) does not match .cpg code page (cp1251)');
+        table.close();
+        done();
+      });
+    });
+
+    it('recordCount should check or infer the number of records from the size of the file', done => {
+      const file = writeTable(3);
+
+      // a header that says the table is empty
+      const buffer = fs.readFileSync(file);
+      buffer.writeUInt32LE(0, 4);
+      fs.writeFileSync(file, buffer);
+
+      assert.throws(() => YADBF.open(file, { recordCount: 'check' }),
+        /^DbfHeaderError: Number of records in header \(0\) does not match the 3 record\(s\) in the 146-byte file$/);
+
+      const table = YADBF.open(file, { recordCount: 'infer' });
+
+      assert.equal(table.header.numberOfRecords, 3);
+      assert.deepEqual(table.readRange(0, 3), [0, 1, 2].map(expectedRecord));
+
+      table.on('warning', warning => {
+        assert.equal(warning.code, 'ERR_RECORD_COUNT_MISMATCH');
+        table.close();
+        done();
+      });
+    });
+
+    it('invalid options should throw error', () => {
+      assert.throws(() => YADBF.open(tables.temporaryPath(), { strict: 'yes' }), /^Error: strict must be a boolean$/);
+      assert.throws(() => YADBF.open(tables.temporaryPath(), { recordCount: 'guess' }),
+        /^Error: recordCount must be one of: header, check, infer$/);
+    });
+
+    it('stream options that don\'t apply to reading by position should throw error', () => {
+      const file = writeTable(3);
+
+      [{ deleted: true }, { offset: 1 }, { size: 1 }, { filter: () => true }].forEach(options => {
+        assert.throws(() => YADBF.open(file, options), /^Error: deleted, offset, size, and filter are not supported for random access$/);
+      });
+    });
+
+    it('memo file should not be opened until the options and .dbf file are valid', () => {
+      const file = tables.temporaryPath();
+      const memo = tables.temporaryPath('file.dbt');
+
+      // neither file exists, so the error names whichever was opened first
+      assert.throws(() => YADBF.open(file, { memo: memo, numeric: 'float' }), /^Error: numeric must be one of/);
+      assert.throws(() => YADBF.open(file, { memo: memo }), err => err.code === 'ENOENT' && err.path === file);
+    });
+  });
+
+  describe('header', () => {
+    it('invalid header should throw error', () => {
+      const file = tables.temporaryPath();
+
+      fs.writeFileSync(file, Buffer.alloc(31));
+
+      assert.throws(() => YADBF.open(file), /^DbfHeaderError: Unable to parse first 32 bytes from header, found 31 byte\(s\)$/);
+    });
+
+    it('unsupported version should throw error', () => {
+      const file = tables.temporaryPath();
+
+      const buffer = Buffer.alloc(33);
+      buffer.writeUInt8(2, 0);
+      buffer.writeUInt16LE(33, 8);
+      buffer.writeUInt8(0x0D, 32);
+      fs.writeFileSync(file, buffer);
+
+      assert.throws(() => YADBF.open(file), /^DbfHeaderError: Unsupported version: 2$/);
+    });
+  });
+});
@@ -0,0 +1,254 @@
+const assert = require('assert');
+const YADBF = require('..');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tables = require('./support/tables');
+
+// returns the bytes of a table of 4 records with C, N, D, and L fields
+//  the header is 161 bytes and each record is 26 bytes
+function tableBuffer() {
+  return tables.tableBuffer({
+    fields: [
+      { name: 'name', type: 'C', length: 10 },
+      { name: 'amount', type: 'N', length: 6, precision: 2 },
+      { name: 'updated', type: 'D', length: 8 },
+      { name: 'active', type: 'L', length: 1 }
+    ],
+    records: Array.from({ length: 4 }, (val, i) => ({ name: `record ${i}`, amount: i, updated: new Date('2019-07-17'), active: true }))
+  });
+}
+
+// returns the offset of the field at byte `byte` of record `recordIndex`
+function recordOffset(recordIndex, byte) {
+  return 161 + recordIndex * 26 + byte;
+}
+
+describe('validator', () => {
+  it('valid file should report no issues', async () => {
+    const report = await YADBF.validate(tableBuffer());
+
+    assert.deepEqual(report, {
+      valid: true,
+      numberOfRecords: 4,
+      recordsChecked: 4,
+      numberOfIssues: 0,
+      issues: []
+    });
+  });
+
+  it('every header, field value, deleted flag, and end-of-file problem should be reported', async () => {
+    const buffer = tableBuffer();
+
+    // invalid production MDX flag and MDX index flag of the amount field descriptor
+    buffer.writeUInt8(5, 28);
+    buffer.writeUInt8(7, 32 + 32 + 31);
+
+    buffer.write('abc   ', recordOffset(0, 11));
+    buffer.write('#', recordOffset(1, 0));
+    buffer.write('20190230', recordOffset(2, 17));
+    buffer.write('x', recordOffset(2, 25));
+    buffer.write('X', recordOffset(4, 0));
+
+    const report = await YADBF.validate(buffer);
+
+    assert.equal(report.valid, false);
+    assert.equal(report.recordsChecked, 4);
+    assert.equal(report.numberOfIssues, 7);
+    assert.deepEqual(report.issues, [
+      {
+        name: 'DbfHeaderError',
+        code: 'ERR_INVALID_PRODUCTION_MDX_FLAG',
+        message: 'Invalid production MDX file existence value: 5',
+        offset: 28,
+        recordIndex: null,
+        field: null
+      },
+      {
+        name: 'DbfFieldDescriptorError',
+        code: 'ERR_INVALID_MDX_INDEX_FLAG',
+        message: 'Invalid indexed in production MDX file value: 7',
+        offset: 95,
+        recordIndex: null,
+        field: 'amount'
+      },
+      {
+        name: 'DbfRecordError',
+        code: 'ERR_INVALID_FIELD_VALUE',
+        message: 'Invalid N-type field value: \'abc   \'',
+        offset: recordOffset(0, 11),
+        recordIndex: 0,
+        field: 'amount'
+      },
+      {
+        name: 'DbfRecordError',
+        code: 'ERR_INVALID_DELETED_FLAG',
+        message: 'Invalid deleted record value: #',
+        offset: recordOffset(1, 0),
+        recordIndex: 1,
+        field: null
+      },
+      {
+        name: 'DbfRecordError',
+        code: 'ERR_INVALID_FIELD_VALUE',
+        message: 'Invalid D-type field value: \'20190230\'',
+        offset: recordOffset(2, 17),
+        recordIndex: 2,
+        field: 'updated'
+      },
+      {
+        name: 'DbfRecordError',
+        code: 'ERR_INVALID_FIELD_VALUE',
+        message: 'Invalid L-type field value: x',
+        offset: recordOffset(2, 25),
+        recordIndex: 2,
+        field: 'active'
+      },
+      {
+        name: 'DbfRecordError',
+        code: 'ERR_MISSING_EOF_MARKER',
+        message: 'Last byte of file is not end-of-file marker',
+        offset: recordOffset(4, 0),
+        recordIndex: null,
+        field: null
+      }
+    ]);
+
+    // the report is plain data
+    assert.deepEqual(JSON.parse(JSON.stringify(report)), report);
+  });
+
+  it('invalid field descriptors should be reported and the records still checked', async () => {
+    const buffer = tableBuffer();
+
+    // the name field becomes an unsupported type and the active field is renamed to name
+    buffer.write('X', 32 + 11);
+    buffer.fill(0, 32 + 32 * 3, 32 + 32 * 3 + 11);
+    buffer.write('name', 32 + 32 * 3);
+    buffer.write('abc   ', recordOffset(3, 11));
+
+    const report = await YADBF.validate(buffer);
+
+    assert.deepEqual(report.issues.map(issue => [issue.code, issue.offset, issue.field]), [
+      ['ERR_UNSUPPORTED_FIELD_TYPE', 43, 'name'],
+      ['ERR_DUPLICATE_FIELD_NAME', 128, 'name'],
+      ['ERR_INVALID_FIELD_VALUE', recordOffset(3, 11), 'amount']
+    ]);
+    assert.equal(report.recordsChecked, 4);
+  });
+
+  it('file ending before the declared records should be reported', async () => {
+    const buffer = tableBuffer();
+
+    const report = await YADBF.validate(buffer.slice(0, recordOffset(2, 10)));
+
+    assert.equal(report.recordsChecked, 2);
+    assert.deepEqual(report.issues, [
+      {
+        name: 'DbfRecordError',
+        code: 'ERR_RECORD_COUNT_MISMATCH',
+        message: 'File ends after 2 of the 4 record(s) declared in the header',
+        offset: recordOffset(2, 10),
+        recordIndex: 2,
+        field: null
+      }
+    ]);
+  });
+
+  it('missing end-of-file marker and bytes after it should be reported', async () => {
+    const buffer = tableBuffer();
+
+    const missing = await YADBF.validate(buffer.slice(0, recordOffset(4, 0)));
+
+    assert.deepEqual(missing.issues.map(issue => [issue.code, issue.message, issue.offset]), [
+      ['ERR_MISSING_EOF_MARKER', 'File ends without end-of-file marker', recordOffset(4, 0)]
+    ]);
+
+    // a stale record count leaves records after the end-of-file marker
+    buffer.writeUInt32LE(3, 4);
+
+    const stale = await YADBF.validate(buffer);
+
+    assert.deepEqual(stale.issues.map(issue => [issue.code, issue.message, issue.offset]), [
+      [
+        'ERR_RECORD_COUNT_MISMATCH',
+        'File has 27 byte(s) after the 3 record(s) declared in the header, expected only the end-of-file marker',
+        recordOffset(3, 0)
+      ]
+    ]);
+  });
+
+  it('problem that makes the rest of the file unreadable should end the checks', async () => {
+    const buffer = tableBuffer();
+    buffer.writeUInt8(0x02, 0);
+
+    const report = await YADBF.validate(buffer);
+
+    assert.deepEqual(report, {
+      valid: false,
+      numberOfRecords: null,
+      recordsChecked: 0,
+      numberOfIssues: 1,
+      issues: [
+        {
+          name: 'DbfHeaderError',
+          code: 'ERR_UNSUPPORTED_VERSION',
+          message: 'Unsupported version: 2',
+          offset: 0,
+          recordIndex: null,
+          field: null
+        }
+      ]
+    });
+  });
+
+  it('record length that disagrees with the field descriptors should end the checks', async () => {
+    const buffer = tableBuffer();
+    buffer.writeUInt16LE(27, 10);
+
+    const report = await YADBF.validate(buffer);
+
+    assert.equal(report.recordsChecked, 0);
+    assert.deepEqual(report.issues.map(issue => [issue.code, issue.message, issue.offset]), [
+      ['ERR_INVALID_RECORD_LENGTH', 'Invalid number of bytes in record: 27, the deleted flag and fields total 26', 10]
+    ]);
+  });
+
+  it('short file should report insufficient header bytes', async () => {
+    const report = await YADBF.validate(Buffer.alloc(10));
+
+    assert.deepEqual(report.issues.map(issue => [issue.code, issue.message]), [
+      ['ERR_INSUFFICIENT_HEADER_BYTES', 'Unable to parse first 32 bytes from header, found 10 byte(s)']
+    ]);
+  });
+
+  it('maxIssues should limit the issues listed but not counted', async () => {
+    const buffer = tableBuffer();
+
+    for (let i = 0; i < 4; i += 1) {
+      buffer.write('#', recordOffset(i, 0));
+    }
+
+    const file = tables.temporaryPath();
+    fs.writeFileSync(file, buffer);
+
+    const report = await YADBF.validate(fs.createReadStream(file), { maxIssues: 2 });
+
+    assert.equal(report.numberOfIssues, 4);
+    assert.deepEqual(report.issues.map(issue => issue.recordIndex), [0, 1]);
+  });
+
+  it('invalid options should reject', async () => {
+    await assert.rejects(YADBF.validate(Buffer.alloc(0), { maxIssues: -1 }), /^Error: maxIssues must be a non-negative integer$/);
+    await assert.rejects(YADBF.validate(Buffer.alloc(0), { encoding: 'qwer' }), /^Error: encoding not recognized: 'qwer'$/);
+
+    // the memo file doesn't exist, so opening it first would reject with ENOENT instead
+    const memo = tables.temporaryPath('file.dbt');
+    await assert.rejects(YADBF.validate(Buffer.alloc(0), { memo: memo, maxIssues: -1 }),
+      /^Error: maxIssues must be a non-negative integer$/);
+  });
+
+  it('unreadable source should reject', async () => {
+    await assert.rejects(YADBF.validate(path.join(os.tmpdir(), 'yadbf-does-not-exist.dbf')), /ENOENT/);
+  });
+});
@@ -0,0 +1,246 @@
+const assert = require('assert');
+const YADBF = require('..');
+const fs = require('fs');
+const { temporaryPath } = require('./support/tables');
+
+// writes `records` to `file` using `options.writer` then reads the file back using `options.reader`,
+//  calling back with the header and records
+function roundTrip(file, records, options, callback) {
+  const writer = new YADBF.Writer(file, options.writer);
+
+  writer.on('error', callback);
+  writer.on('finish', () => {
+    const result = { records: [] };
+
+    fs.createReadStream(file)
+      .pipe(new YADBF(options.reader))
+      .on('error', callback)
+      .on('header', header => result.header = header)
+      .on('data', record => result.records.push(record))
+      .on('end', () => callback(null, result));
+  });
+
+  records.forEach(record => writer.write(record));
+  writer.end();
+}
+
+describe('writer', () => {
+  describe('round trips', () => {
+    it('records written should read back unchanged', done => {
+      const fields = [
+        { name: 'string', type: 'C', length: 20 },
+        { name: 'integer', type: 'N', length: 5 },
+        { name: 'decimal', type: 'N', length: 10, precision: 3 },
+        { name: 'float', type: 'F', length: 12, precision: 5 },
+        { name: 'date', type: 'D', length: 8 },
+        { name: 'logical', type: 'L', length: 1 },
+        { name: 'memo', type: 'M', length: 10 }
+      ];
+
+      const records = [
+        {
+          '@meta': {
+            deleted: false
+          },
+          string: 'value 1',
+          integer: 17,
+          decimal: -12.345,
+          float: 3.14159,
+          date: new Date('1952-07-19'),
+          logical: true,
+          memo: '0000000001'
+        },
+        {
+          '@meta': {
+            deleted: false
+          },
+          string: 'value 2',
+          integer: -4,
+          decimal: 0.5,
+          float: 0,
+          date: new Date('2019-12-31'),
+          logical: false,
+          memo: '          '
+        },
+        {
+          '@meta': {
+            deleted: false
+          },
+          string: 'value 3',
+          integer: 0,
+          decimal: 100,
+          float: -1.5,
+          date: new Date('2000-02-29'),
+          logical: true,
+          memo: '         2'
+        }
+      ];
+
+      roundTrip(temporaryPath(), records, { writer: { fields: fields, version: 0x83 } }, (err, result) => {
+        assert.ifError(err);
+        assert.equal(result.header.version, 0x83);
+        assert.equal(result.header.numberOfRecords, 3);
+        assert.equal(result.header.numberOfBytesInRecord, 67);
+        assert.deepEqual(result.header.fields.map(f => [f.name, f.type, f.length, f.precision]), [
+          ['string', 'C', 20, 0],
+          ['integer', 'N', 5, 0],
+          ['decimal', 'N', 10, 3],
+          ['float', 'F', 12, 5],
+          ['date', 'D', 8, 0],
+          ['logical', 'L', 1, 0],
+          ['memo', 'M', 10, 0]
+        ]);
+        assert.deepEqual(result.records, records);
+        done();
+      });
+    });
+
+    it('schema from a header event should be accepted as-is', done => {
+      const fields = [
+        { name: 'field', type: 'C', length: 10, precision: 0, workAreaId: 0, isIndexedInMDXFile: true }
+      ];
+
+      roundTrip(temporaryPath(), [ { field: 'value' } ], { writer: { fields: fields } }, (err, result) => {
+        assert.ifError(err);
+        assert.deepEqual(result.header.fields, fields);
+        assert.deepEqual(result.records, [ { '@meta': { deleted: false }, field: 'value' } ]);
+        done();
+      });
+    });
+
+    it('deleted records should be flagged and missing values left blank', done => {
+      const fields = [
+        { name: 'string', type: 'C', length: 5 },
+        { name: 'logical', type: 'L', length: 1 }
+      ];
+
+      const records = [
+        { '@meta': { deleted: true }, string: 'a', logical: true },
+        { string: 'b' },
+        { logical: null }
+      ];
+
+      roundTrip(temporaryPath(), records, { writer: { fields: fields }, reader: { deleted: true } }, (err, result) => {
+        assert.ifError(err);
+        assert.deepEqual(result.records, [
+          { '@meta': { deleted: true }, string: 'a', logical: true },
+          { '@meta': { deleted: false }, string: 'b', logical: undefined },
+          { '@meta': { deleted: false }, string: '', logical: undefined }
+        ]);
+        done();
+      });
+    });
+
+    it('no records should produce a file with a header and end-of-file marker', done => {
+      const file = temporaryPath();
+
+      const fields = [ { name: 'field', type: 'C', length: 5 } ];
+
+      roundTrip(file, [], { writer: { fields: fields, date: new Date(2019, 6, 17) } }, (err, result) => {
+        assert.ifError(err);
+        assert.equal(result.header.numberOfRecords, 0);
+        assert.deepEqual(result.header.dateOfLastUpdate, new Date(2019, 6, 17));
+        assert.deepEqual(result.records, []);
+        assert.equal(fs.statSync(file).size, 32 + 32 + 1 + 1);
+        done();
+      });
+    });
+
+    it('values should be encoded with the encoding option', done => {
+      const fields = [ { name: 'field', type: 'C', length: 10 } ];
+
+      const records = [ { field: 'текст 1' }, { field: 'текст 2' } ];
+
+      const options = {
+        writer: { fields: fields, encoding: 'cp1251' },
+        reader: { encoding: 'cp1251' }
+      };
+
+      roundTrip(temporaryPath(), records, options, (err, result) => {
+        assert.ifError(err);
+        assert.deepEqual(result.records.map(r => r.field), [ 'текст 1', 'текст 2' ]);
+        done();
+      });
+    });
+  });
+
+  describe('invalid values', () => {
+    it('value too long for field should emit error', done => {
+      const writer = new YADBF.Writer(temporaryPath(), { fields: [ { name: 'field', type: 'N', length: 3 } ] });
+
+      writer.on('error', err => {
+        assert.equal(err, 'Error: Value for field \'field\' does not fit in 3 byte(s): 1234');
+        done();
+      });
+
+      writer.write({ field: 1234 });
+      writer.end();
+    });
+
+    it('value of the wrong type should emit error', done => {
+      const writer = new YADBF.Writer(temporaryPath(), { fields: [ { name: 'field', type: 'D', length: 8 } ] });
+
+      writer.on('error', err => {
+        assert.equal(err, 'Error: Invalid D-type value for field \'field\': 20190717');
+        done();
+      });
+
+      writer.write({ field: '20190717' });
+      writer.end();
+    });
+  });
+
+  describe('options', () => {
+    it('missing fields should throw error', () => {
+      assert.throws(() => {
+        const writer = new YADBF.Writer(temporaryPath());
+      }, /^Error: fields must be an array$/);
+    });
+
+    it('invalid field definitions should throw error', () => {
+      [
+        [ [ { name: 'a_very_long_name', type: 'C', length: 1 } ], /^Error: Field name must be a string of 1 to 10 bytes/ ],
+        [ [ { name: 'field', type: 'X', length: 1 } ], /^Error: Field type must be one of: C, D, F, L, M, N$/ ],
+        [ [ { name: 'field', type: 'C', length: 255 } ], /^Error: Field length must be an integer between 1 and 254: 255$/ ],
+        [ [ { name: 'field', type: 'D', length: 6 } ], /^Error: Invalid D field length: 6$/ ],
+        [ [ { name: 'field', type: 'N', length: 6, precision: -1 } ], /^Error: Field precision must be an integer/ ],
+        [ [ { name: 'field', type: 'C', length: 1 }, { name: 'field', type: 'L', length: 1 } ], /^Error: Duplicate field name 'field'$/ ]
+      ].forEach(([fields, message]) => {
+        assert.throws(() => {
+          const writer = new YADBF.Writer(temporaryPath(), { fields: fields });
+        }, message);
+      });
+    });
+
+    it('unsupported version should throw error', () => {
+      assert.throws(() => {
+        const writer = new YADBF.Writer(temporaryPath(), { fields: [], version: 0x30 });
+      }, /^Error: version must be one of: 3, 131, 245, 139, 142$/);
+    });
+
+    it('invalid date or date outside the years the header can store should throw error', () => {
+      [
+        [ new Date('invalid'), /^Error: date must be a valid Date$/ ],
+        [ '2019-07-17', /^Error: date must be a valid Date$/ ],
+        [ new Date(1899, 11, 31), /^Error: date must be in a year from 1900 to 2155: 1899$/ ],
+        [ new Date(2156, 0, 1), /^Error: date must be in a year from 1900 to 2155: 2156$/ ]
+      ].forEach(([date, message]) => {
+        assert.throws(() => {
+          const writer = new YADBF.Writer(temporaryPath(), { fields: [], date: date });
+        }, message);
+      });
+    });
+
+    it('unrecognized encoding should throw error', () => {
+      assert.throws(() => {
+        const writer = new YADBF.Writer(temporaryPath(), { fields: [], encoding: 'qwer' });
+      }, /^Error: encoding not recognized: 'qwer'$/);
+    });
+
+    it('auto encoding should throw error since there is no language driver ID to choose from', () => {
+      assert.throws(() => {
+        const writer = new YADBF.Writer(temporaryPath(), { fields: [], encoding: 'auto' });
+      }, /^Error: encoding 'auto' is only supported for reading records$/);
+    });
+  });
+});